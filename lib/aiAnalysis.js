@@ -0,0 +1,370 @@
+// lib/aiAnalysis.js
+// AI pricing analysis for /api/ai/analyze, map-reduced over large segments:
+// the segment is split into chunks of MAX_CUSTOMERS_FOR_AI, each chunk is
+// analyzed separately (a few at a time), and the per-chunk results are
+// merged into one response. Every chunk's output is schema-checked (with one
+// repair round) and the merged recommendations go through the guardrails in
+// lib/aiValidation. Customers are pseudonymized first (lib/pii): the model
+// only sees tokens and allow-listed behavioral fields.
+
+const {
+  validateAnalysisSchema,
+  completeWithRepair,
+  getDiscountRange,
+  sanitizeRecommendations,
+} = require('./aiValidation');
+const { renderTemplate } = require('./promptTemplates');
+const {
+  pseudonymizeCustomers,
+  serializeForPrompt,
+  restoreIdentities,
+} = require('./pii');
+
+// Chunks analyzed at the same time
+const AI_CHUNK_CONCURRENCY = Number(process.env.AI_CHUNK_CONCURRENCY || '3');
+
+// --------------------------------------------------
+// Prompts: template from promptTemplates.getActiveTemplate('analyze'),
+// context from brandProfile.getPromptContext()
+// segment: pseudonymized records from lib/pii
+// --------------------------------------------------
+function buildAnalyzePrompts({
+  template,
+  context,
+  segment,
+  strategyName,
+  strategyDesc,
+  discountRange = { min: 0, max: 40 },
+}) {
+  return renderTemplate(template, {
+    ...context,
+    segmentJson: serializeForPrompt(segment),
+    strategyName,
+    strategyDesc,
+    discountMin: discountRange.min,
+    discountMax: discountRange.max,
+  });
+}
+
+// One chunk: ask, and if the answer fails the schema, ask once more with
+// the errors. Returns { analysis, repairedErrors }
+async function analyzeChunk({
+  template,
+  context,
+  segment,
+  strategyName,
+  strategyDesc,
+  discountRange,
+  complete,
+}) {
+  const { systemPrompt, userPrompt } = buildAnalyzePrompts({
+    template,
+    context,
+    segment,
+    strategyName,
+    strategyDesc,
+    discountRange,
+  });
+  const { value, repairedErrors } = await completeWithRepair({
+    label: 'AI analyze',
+    systemPrompt,
+    userPrompt,
+    complete,
+    validate: validateAnalysisSchema,
+  });
+  return { analysis: value, repairedErrors };
+}
+
+// --------------------------------------------------
+// Map: run fn over items, at most `limit` at a time
+// Returns settled results in input order
+// --------------------------------------------------
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { ok: true, value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { ok: false, error };
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// --------------------------------------------------
+// Reduce: merge per-chunk analyses
+// --------------------------------------------------
+
+// "15%", "$2,500", "3.2x" -> 15, 2500, 3.2 (null if not a number)
+function parseLooseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+// Weighted mean of [value, weight] pairs, skipping missing values
+function weightedMean(pairs) {
+  let sum = 0;
+  let weight = 0;
+  for (const [value, w] of pairs) {
+    if (value === null || !(w > 0)) continue;
+    sum += value * w;
+    weight += w;
+  }
+  return weight > 0 ? sum / weight : null;
+}
+
+function uniqueStrings(lists) {
+  const seen = new Set();
+  const out = [];
+  for (const list of lists) {
+    for (const item of Array.isArray(list) ? list : []) {
+      if (typeof item !== 'string') continue;
+      const key = item.trim().toLowerCase();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      out.push(item.trim());
+    }
+  }
+  return out;
+}
+
+function mergeCampaignProjections(parts) {
+  // parts: [{ projection, customers }]
+  const conversion = weightedMean(
+    parts.map((p) => [
+      parseLooseNumber(p.projection.expectedConversionRate),
+      p.customers,
+    ])
+  );
+
+  const revenues = parts
+    .map((p) => parseLooseNumber(p.projection.projectedRevenue))
+    .filter((v) => v !== null);
+  const revenue = revenues.length ? revenues.reduce((a, b) => a + b, 0) : null;
+
+  // ROI is weighted by each chunk's revenue (falls back to chunk size)
+  const roi =
+    weightedMean(
+      parts.map((p) => [
+        parseLooseNumber(p.projection.projectedROI),
+        parseLooseNumber(p.projection.projectedRevenue),
+      ])
+    ) ??
+    weightedMean(
+      parts.map((p) => [
+        parseLooseNumber(p.projection.projectedROI),
+        p.customers,
+      ])
+    );
+
+  return {
+    expectedConversionRate:
+      conversion === null ? 'n/a' : `${Math.round(conversion * 10) / 10}%`,
+    projectedRevenue:
+      revenue === null
+        ? 'n/a'
+        : `$${Math.round(revenue).toLocaleString('en-US')}`,
+    projectedROI: roi === null ? 'n/a' : `${Math.round(roi * 10) / 10}x`,
+    riskFactors: uniqueStrings(parts.map((p) => p.projection.riskFactors)),
+  };
+}
+
+function mergeAnalyses(parts) {
+  // parts: [{ analysis, customers }]
+  const customerRecommendations = [];
+  for (const { analysis } of parts) {
+    if (Array.isArray(analysis.customerRecommendations)) {
+      customerRecommendations.push(...analysis.customerRecommendations);
+    }
+  }
+
+  // A single chunk is returned untouched (same as before chunking)
+  if (parts.length === 1) {
+    return { ...parts[0].analysis, customerRecommendations };
+  }
+
+  return {
+    customerRecommendations,
+    campaignProjection: mergeCampaignProjections(
+      parts.map(({ analysis, customers }) => ({
+        projection: analysis.campaignProjection || {},
+        customers,
+      }))
+    ),
+    strategicInsights: uniqueStrings(
+      parts.map(({ analysis }) => analysis.strategicInsights)
+    ),
+  };
+}
+
+// --------------------------------------------------
+// Analyze a whole segment
+// complete({ systemPrompt, messages }) -> raw model text
+// onProgress(event), optional:
+//   { stage: 'analysis-started', chunks, customers, chunkSize }
+//   { stage: 'chunk-analyzed', chunk, totalChunks, completedChunks, ok,
+//     customers, recommendations | error }
+// A chunk's recommendations are guard-railed on their own; the final
+// result is checked again across the whole segment.
+// --------------------------------------------------
+async function analyzeSegment({
+  template,
+  context,
+  customers,
+  strategy,
+  strategyName,
+  strategyDesc,
+  complete,
+  chunkSize,
+  concurrency = AI_CHUNK_CONCURRENCY,
+  onProgress,
+}) {
+  const { records, identities } = pseudonymizeCustomers(customers);
+  const chunks = [];
+  for (let i = 0; i < records.length; i += chunkSize) {
+    chunks.push(records.slice(i, i + chunkSize));
+  }
+
+  if (chunks.length > 1) {
+    console.log(
+      `AI analyze: ${customers.length} customers in ${chunks.length} chunks of up to ${chunkSize}`
+    );
+  }
+
+  const report = onProgress || (() => {});
+  report({
+    stage: 'analysis-started',
+    chunks: chunks.length,
+    customers: customers.length,
+    chunkSize,
+  });
+
+  const discountRange = getDiscountRange(strategy);
+  let completedChunks = 0;
+  const results = await mapWithConcurrency(
+    chunks,
+    concurrency,
+    async (segment, index) => {
+      const progress = {
+        stage: 'chunk-analyzed',
+        chunk: index + 1,
+        totalChunks: chunks.length,
+        customers: segment.length,
+      };
+      let value;
+      try {
+        value = await analyzeChunk({
+          template,
+          context,
+          segment,
+          strategyName,
+          strategyDesc,
+          discountRange,
+          complete,
+        });
+      } catch (error) {
+        completedChunks++;
+        report({
+          ...progress,
+          completedChunks,
+          ok: false,
+          error: error.message || 'Unknown error',
+        });
+        throw error;
+      }
+      completedChunks++;
+      if (onProgress) {
+        const partial = sanitizeRecommendations(
+          restoreIdentities(value.analysis.customerRecommendations, identities),
+          {
+            customers: segment.map((r) => identities.get(r.token)),
+            strategy,
+          }
+        );
+        report({
+          ...progress,
+          completedChunks,
+          ok: true,
+          recommendations: partial.recommendations,
+        });
+      }
+      return value;
+    }
+  );
+
+  const succeeded = [];
+  const failures = [];
+  const schemaRepairs = [];
+  results.forEach((result, index) => {
+    if (result.ok) {
+      succeeded.push({
+        analysis: result.value.analysis,
+        customers: chunks[index].length,
+      });
+      if (result.value.repairedErrors) {
+        schemaRepairs.push({
+          chunk: index + 1,
+          errors: result.value.repairedErrors,
+        });
+      }
+    } else {
+      console.error(`AI analyze: chunk ${index + 1} failed:`, result.error);
+      failures.push({
+        chunk: index + 1,
+        customers: chunks[index].length,
+        error: result.error.message || 'Unknown error',
+      });
+    }
+  });
+
+  // Nothing to merge: surface the first failure as before
+  if (!succeeded.length) {
+    throw results[0].error;
+  }
+
+  const analysis = mergeAnalyses(succeeded);
+  const { recommendations, report: guardrailReport } = sanitizeRecommendations(
+    restoreIdentities(analysis.customerRecommendations, identities),
+    { customers, strategy }
+  );
+
+  const customersWithoutRecommendation = failures.reduce(
+    (sum, f) => sum + f.customers,
+    0
+  );
+
+  return {
+    ...analysis,
+    customerRecommendations: recommendations,
+    validationReport: { schemaRepairs, ...guardrailReport },
+    chunks: {
+      total: chunks.length,
+      succeeded: succeeded.length,
+      failed: failures.length,
+      chunkSize,
+      customersAnalyzed: customers.length - customersWithoutRecommendation,
+      customersWithoutRecommendation,
+      failures,
+    },
+  };
+}
+
+module.exports = {
+  buildAnalyzePrompts,
+  mapWithConcurrency,
+  mergeAnalyses,
+  analyzeSegment,
+};
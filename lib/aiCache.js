@@ -0,0 +1,174 @@
+// lib/aiCache.js
+// In-memory cache in front of the AI routes (/api/ai/analyze,
+// /api/glp1/plan), so re-running the same request doesn't pay for another
+// completion.
+//
+// Keys are a hash of everything that shapes the answer: the normalized
+// input, strategy, brand profile, provider / model and prompt version. The
+// live customer counts in the brand context are left out: they change with
+// every snapshot sync and are only background for the model. Identical
+// requests that arrive while one is already running share that upstream call.
+//
+// AI_CACHE_TTL_SECONDS   how long answers are kept (default 3600, 0 = off;
+//                        in-flight sharing still applies)
+// AI_CACHE_MAX_ENTRIES   oldest entries are dropped past this (default 200)
+
+const crypto = require('crypto');
+const { pseudonymizeCustomers } = require('./pii');
+const { LIVE_COUNT_FIELDS } = require('./brandProfile');
+
+const AI_CACHE_TTL_SECONDS = Number(process.env.AI_CACHE_TTL_SECONDS ?? '3600');
+const AI_CACHE_MAX_ENTRIES = Number(process.env.AI_CACHE_MAX_ENTRIES || '200');
+
+const entries = new Map(); // key -> { value, cachedAt, expiresAt }
+const inFlight = new Map(); // key -> Promise<entry>
+const counters = { hits: 0, misses: 0, shared: 0 };
+
+// --------------------------------------------------
+// Keys
+// --------------------------------------------------
+
+// JSON with sorted object keys, so property order never changes the key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function buildKey(route, input) {
+  return crypto
+    .createHash('sha256')
+    .update(`${route}\n${stableStringify(input)}`)
+    .digest('hex');
+}
+
+// Only what the model sees (plus identity, which comes back in the answer),
+// in id order: extra fields or a reshuffled segment still hit the cache
+function normalizeSegment(customers) {
+  const sorted = customers
+    .slice()
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  const { records } = pseudonymizeCustomers(sorted);
+  return sorted.map((customer, i) => [
+    String(customer.id),
+    customer.email || null,
+    ...records[i].values,
+  ]);
+}
+
+// Brand context without the live customer counts
+function normalizeContext(context) {
+  const normalized = { ...context };
+  for (const field of LIVE_COUNT_FIELDS) delete normalized[field];
+  return normalized;
+}
+
+// --------------------------------------------------
+// Lookup
+// --------------------------------------------------
+function remember(key, entry) {
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > AI_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// compute() -> value
+// shouldCache(value) -> false to skip storing (e.g. partial failures)
+// -> { value, fromCache, deduplicated, cachedAt }
+async function getOrCompute(
+  key,
+  compute,
+  { forceRefresh = false, shouldCache = () => true } = {}
+) {
+  if (!forceRefresh) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      counters.hits++;
+      return {
+        value: entry.value,
+        fromCache: true,
+        deduplicated: false,
+        cachedAt: entry.cachedAt,
+      };
+    }
+    if (entry) entries.delete(key);
+  }
+
+  // Someone is already computing this exact answer: wait for theirs.
+  // A forced refresh can share it too, since it is fresh anyway.
+  const running = inFlight.get(key);
+  if (running) {
+    counters.shared++;
+    const entry = await running;
+    return {
+      value: entry.value,
+      fromCache: true,
+      deduplicated: true,
+      cachedAt: entry.cachedAt,
+    };
+  }
+
+  counters.misses++;
+  const promise = (async () => {
+    const value = await compute();
+    const now = Date.now();
+    const entry = {
+      value,
+      cachedAt: new Date(now).toISOString(),
+      expiresAt: now + AI_CACHE_TTL_SECONDS * 1000,
+    };
+    if (AI_CACHE_TTL_SECONDS > 0 && shouldCache(value)) remember(key, entry);
+    return entry;
+  })();
+  inFlight.set(key, promise);
+
+  try {
+    const entry = await promise;
+    return {
+      value: entry.value,
+      fromCache: false,
+      deduplicated: false,
+      cachedAt: null,
+    };
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+function getStats() {
+  const now = Date.now();
+  let live = 0;
+  for (const entry of entries.values()) {
+    if (entry.expiresAt > now) live++;
+  }
+  return {
+    ttlSeconds: AI_CACHE_TTL_SECONDS,
+    maxEntries: AI_CACHE_MAX_ENTRIES,
+    entries: live,
+    inFlight: inFlight.size,
+    ...counters,
+  };
+}
+
+function clear() {
+  entries.clear();
+}
+
+module.exports = {
+  buildKey,
+  normalizeSegment,
+  normalizeContext,
+  getOrCompute,
+  getStats,
+  clear,
+};
@@ -0,0 +1,198 @@
+// lib/aiRules.js
+// AI-generated ruleConfig for /api/reactivation/batch.
+//
+// The model only sees aggregate stats for the customer base (counts and
+// percentiles of spend / recency / orders), never individual customers.
+// Its answer is checked with validateRuleConfig (one repair round) and
+// previewed against the snapshot before anything is sent.
+
+const { CHURN_RISK_BANDS } = require('./churn');
+const { NO_ORDER_DAYS } = require('./customerMetrics');
+const {
+  applyRuleConfigToCustomer,
+  findMatchingTier,
+  validateRuleConfig,
+} = require('./rules');
+const { completeWithRepair, getDiscountRange } = require('./aiValidation');
+const { renderTemplate } = require('./promptTemplates');
+const { hasOffer } = require('./offers');
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+function percentiles(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const out = {};
+  for (const p of PERCENTILES) {
+    const index = Math.min(
+      sorted.length - 1,
+      Math.floor((p / 100) * sorted.length)
+    );
+    out[`p${p}`] = Math.round(sorted[index] * 100) / 100;
+  }
+  out.max = Math.round(sorted[sorted.length - 1] * 100) / 100;
+  return out;
+}
+
+// --------------------------------------------------
+// Aggregate, PII-free description of a customer list
+// --------------------------------------------------
+function summarizeCustomerBase(customers) {
+  const buyers = customers.filter((c) => c.totalOrders > 0);
+  const numbers = (field, list = buyers) =>
+    list.map((c) => c[field]).filter((v) => typeof v === 'number');
+
+  const churnRiskBands = {};
+  for (const band of CHURN_RISK_BANDS) churnRiskBands[band] = 0;
+  for (const c of buyers) {
+    if (c.churnRiskBand) churnRiskBands[c.churnRiskBand]++;
+  }
+
+  const buckets = [
+    ['0-30', 0, 30],
+    ['31-60', 31, 60],
+    ['61-90', 61, 90],
+    ['91-180', 91, 180],
+    ['181-365', 181, 365],
+    ['366+', 366, NO_ORDER_DAYS - 1],
+  ];
+  const daysSinceLastOrderBuckets = {};
+  for (const [label, min, max] of buckets) {
+    daysSinceLastOrderBuckets[label] = buyers.filter(
+      (c) => c.daysSinceLastOrder >= min && c.daysSinceLastOrder <= max
+    ).length;
+  }
+
+  return {
+    customers: customers.length,
+    customersWithOrders: buyers.length,
+    customersWithoutOrders: customers.length - buyers.length,
+    totalSpent: percentiles(numbers('totalSpent')),
+    totalOrders: percentiles(numbers('totalOrders')),
+    averageOrderValue: percentiles(numbers('averageOrderValue')),
+    daysSinceLastOrder: percentiles(numbers('daysSinceLastOrder')),
+    daysSinceLastOrderBuckets,
+    predictedValue365: percentiles(numbers('predictedValue365')),
+    churnRiskBands,
+  };
+}
+
+// --------------------------------------------------
+// Prompts
+// --------------------------------------------------
+// template from promptTemplates.getActiveTemplate('rule-config')
+function buildRuleConfigPrompts({
+  template,
+  context,
+  stats,
+  strategyName,
+  strategyDesc,
+  discountRange,
+}) {
+  return renderTemplate(template, {
+    ...context,
+    statsJson: JSON.stringify(stats, null, 2),
+    strategyName,
+    strategyDesc,
+    churnRiskBands: CHURN_RISK_BANDS.join(', '),
+    discountMin: discountRange.min,
+    discountMax: discountRange.max,
+  });
+}
+
+// --------------------------------------------------
+// How many customers land in each tier
+// --------------------------------------------------
+function previewRuleConfig(customers, ruleConfig) {
+  const tiers = ruleConfig.tiers.map((tier, index) => ({
+    index,
+    discountPercent: tier.discountPercent,
+    customers: 0,
+    recommendations: 0,
+  }));
+  const defaultTier = ruleConfig.default
+    ? {
+        discountPercent: ruleConfig.default.discountPercent,
+        customers: 0,
+        recommendations: 0,
+      }
+    : null;
+  let unmatched = 0;
+
+  for (const customer of customers) {
+    const match = findMatchingTier(customer, ruleConfig);
+    if (match === null) {
+      unmatched++;
+      continue;
+    }
+    const bucket = match === 'default' ? defaultTier : tiers[match];
+    bucket.customers++;
+    // Same filter the batch endpoint applies
+    const rec = applyRuleConfigToCustomer(customer, ruleConfig);
+    if (rec && rec.email && hasOffer(rec)) {
+      bucket.recommendations++;
+    }
+  }
+
+  return {
+    totalCustomers: customers.length,
+    tiers,
+    default: defaultTier,
+    unmatched,
+  };
+}
+
+// --------------------------------------------------
+// Generate + validate + preview
+// complete({ systemPrompt, messages }) -> raw model text
+// --------------------------------------------------
+async function generateRuleConfig({
+  template,
+  context,
+  customers,
+  strategy,
+  strategyName,
+  strategyDesc,
+  complete,
+}) {
+  const discountRange = getDiscountRange(strategy);
+  const stats = summarizeCustomerBase(customers);
+  const { systemPrompt, userPrompt } = buildRuleConfigPrompts({
+    template,
+    context,
+    stats,
+    strategyName,
+    strategyDesc,
+    discountRange,
+  });
+
+  const { value: ruleConfig, repairedErrors } = await completeWithRepair({
+    label: 'AI rule config',
+    systemPrompt,
+    userPrompt,
+    complete,
+    // Fixed amounts are measured against a smaller-than-median basket
+    validate: (value) =>
+      validateRuleConfig(value, {
+        discountRange,
+        orderValue: stats.averageOrderValue && stats.averageOrderValue.p25,
+      }),
+  });
+
+  return {
+    ruleConfig,
+    preview: previewRuleConfig(customers, ruleConfig),
+    stats,
+    validationReport: {
+      discountRange,
+      schemaRepairs: repairedErrors ? [{ errors: repairedErrors }] : [],
+    },
+  };
+}
+
+module.exports = {
+  summarizeCustomerBase,
+  buildRuleConfigPrompts,
+  previewRuleConfig,
+  generateRuleConfig,
+};
@@ -0,0 +1,349 @@
+// lib/aiUsage.js
+// Token usage + estimated cost of every model call (ai-usage.json), and the
+// spend caps the AI routes are held to.
+//
+// Cost is an estimate from MODEL_PRICES (USD per 1M tokens, matched on the
+// longest model-name prefix). AI_MODEL_PRICES (JSON) adds / overrides
+// prices, e.g. {"gpt-4.1-mini": {"input": 0.4, "output": 1.6}}.
+// AI_FALLBACK_MODEL_PRICE (same shape, unset = none) prices any other model.
+//
+// AI_DAILY_BUDGET_USD / AI_MONTHLY_BUDGET_USD (unset = no cap): once the
+// spend for the current UTC day / month reaches the cap, new calls throw
+// AiBudgetError. Calls already running finish, so a cap can be overshot by
+// the calls in flight when it was reached.
+//
+// A cap fails closed: while one is set, calls to a model without a price
+// are refused, and so is everything else once the period holds an unpriced
+// call (its spend is unknown). Logged calls are re-priced on read, so adding
+// the missing price lifts the block.
+
+const { createJsonStore } = require('./jsonStore');
+
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'stub-1': { input: 0, output: 0 },
+};
+
+function loadModelPrices() {
+  const raw = process.env.AI_MODEL_PRICES;
+  if (!raw) return DEFAULT_MODEL_PRICES;
+  try {
+    return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(raw) };
+  } catch (error) {
+    console.error('AI_MODEL_PRICES is not valid JSON, using defaults:', error);
+    return DEFAULT_MODEL_PRICES;
+  }
+}
+
+const MODEL_PRICES = loadModelPrices();
+
+function loadFallbackPrice() {
+  const raw = process.env.AI_FALLBACK_MODEL_PRICE;
+  if (!raw) return null;
+  let price = null;
+  try {
+    price = JSON.parse(raw);
+  } catch (error) {
+    // reported below
+  }
+  if (
+    Number.isFinite(price?.input) &&
+    Number.isFinite(price?.output) &&
+    price.input >= 0 &&
+    price.output >= 0
+  ) {
+    return { input: price.input, output: price.output };
+  }
+  console.error(
+    `AI_FALLBACK_MODEL_PRICE must look like {"input": 1, "output": 5}, ignoring "${raw}"`
+  );
+  return null;
+}
+
+const FALLBACK_MODEL_PRICE = loadFallbackPrice();
+
+function readBudget(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    console.error(`${name} must be a non-negative number, ignoring "${raw}"`);
+    return null;
+  }
+  return value;
+}
+
+const AI_DAILY_BUDGET_USD = readBudget('AI_DAILY_BUDGET_USD');
+const AI_MONTHLY_BUDGET_USD = readBudget('AI_MONTHLY_BUDGET_USD');
+
+// Calls older than this are dropped from the log
+const AI_USAGE_RETENTION_DAYS = Number(
+  process.env.AI_USAGE_RETENTION_DAYS || '120'
+);
+
+const store = createJsonStore('ai-usage.json', { calls: [] });
+
+// unpricedModel: set when the cap can't be enforced because a model has
+// no price, rather than because it was reached
+class AiBudgetError extends Error {
+  constructor({ period, limitUsd, spentUsd, unpricedModel = null }) {
+    super(
+      unpricedModel
+        ? `AI ${period} budget can't be enforced: model "${unpricedModel}" has no price. AI requests are paused until it is added to AI_MODEL_PRICES or AI_FALLBACK_MODEL_PRICE is set.`
+        : `AI ${period} budget reached: $${spentUsd.toFixed(
+            2
+          )} spent of $${limitUsd.toFixed(
+            2
+          )}. AI requests are paused until the ${
+            period === 'daily' ? 'next UTC day' : 'next UTC month'
+          } or the budget is raised.`
+    );
+    this.name = 'AiBudgetError';
+    this.status = 429;
+    this.period = period;
+    this.limitUsd = limitUsd;
+    this.spentUsd = spentUsd;
+    this.unpricedModel = unpricedModel;
+  }
+
+  toJSON() {
+    return {
+      type: this.name,
+      period: this.period,
+      limitUsd: this.limitUsd,
+      spentUsd: roundUsd(this.spentUsd),
+      ...(this.unpricedModel ? { unpricedModel: this.unpricedModel } : {}),
+      message: this.message,
+    };
+  }
+}
+
+// --------------------------------------------------
+// Cost
+// --------------------------------------------------
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// 'gpt-4.1-mini-2025-04-14' -> prices for 'gpt-4.1-mini', else the fallback
+function findModelPrice(model) {
+  if (!model) return FALLBACK_MODEL_PRICE;
+  let best = null;
+  for (const name of Object.keys(MODEL_PRICES)) {
+    if (model.startsWith(name) && (!best || name.length > best.length)) {
+      best = name;
+    }
+  }
+  return best ? MODEL_PRICES[best] : FALLBACK_MODEL_PRICE;
+}
+
+// null when the model has no known price
+function estimateCost(model, { inputTokens, outputTokens }) {
+  const price = findModelPrice(model);
+  if (!price) return null;
+  return roundUsd(
+    (inputTokens * price.input + outputTokens * price.output) / 1e6
+  );
+}
+
+// --------------------------------------------------
+// Recording
+// --------------------------------------------------
+const dayOf = (iso) => iso.slice(0, 10);
+const monthOf = (iso) => iso.slice(0, 7);
+
+// call: { route, task, provider, model, usage, error }
+async function recordCall({ route, task, provider, model, usage, error }) {
+  const at = new Date().toISOString();
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+  const costUsd = estimateCost(model, { inputTokens, outputTokens });
+  if (costUsd === null && inputTokens + outputTokens > 0) {
+    console.warn(
+      `AI usage: no price for model "${model}", cost not counted${
+        budgetsConfigured() ? ' and AI requests are paused' : ''
+      }`
+    );
+  }
+
+  const cutoff = new Date(
+    Date.now() - AI_USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+  await store.update((data) => {
+    data.calls = data.calls.filter((c) => c.at >= cutoff);
+    data.calls.push({
+      at,
+      route: route || null,
+      task: task || null,
+      provider,
+      model: model || null,
+      inputTokens,
+      outputTokens,
+      costUsd,
+      ...(error ? { error: String(error.message || error).slice(0, 300) } : {}),
+    });
+  });
+}
+
+// --------------------------------------------------
+// Budgets
+// --------------------------------------------------
+function budgetsConfigured() {
+  return AI_DAILY_BUDGET_USD !== null || AI_MONTHLY_BUDGET_USD !== null;
+}
+
+// Cost of a logged call at today's prices (null = still unpriced)
+function callCost(call) {
+  if (call.costUsd !== null) return call.costUsd;
+  if (call.inputTokens + call.outputTokens === 0) return 0;
+  return estimateCost(call.model, call);
+}
+
+// -> { spentUsd, unpricedModels }
+function spentSince(calls, prefixOf, prefix) {
+  let spentUsd = 0;
+  const unpricedModels = new Set();
+  for (const call of calls) {
+    if (prefixOf(call.at) !== prefix) continue;
+    const cost = callCost(call);
+    if (cost === null) unpricedModels.add(call.model);
+    else spentUsd += cost;
+  }
+  return { spentUsd, unpricedModels: [...unpricedModels] };
+}
+
+function budgetStatus(limitUsd, { spentUsd, unpricedModels }) {
+  return {
+    limitUsd,
+    spentUsd: roundUsd(spentUsd),
+    remainingUsd:
+      limitUsd === null ? null : roundUsd(Math.max(0, limitUsd - spentUsd)),
+    unpricedModels,
+    exceeded:
+      limitUsd !== null && (spentUsd >= limitUsd || unpricedModels.length > 0),
+  };
+}
+
+async function getBudgetStatus() {
+  const { calls } = await store.read();
+  const now = new Date().toISOString();
+  return {
+    daily: budgetStatus(
+      AI_DAILY_BUDGET_USD,
+      spentSince(calls, dayOf, dayOf(now))
+    ),
+    monthly: budgetStatus(
+      AI_MONTHLY_BUDGET_USD,
+      spentSince(calls, monthOf, monthOf(now))
+    ),
+  };
+}
+
+// Throws AiBudgetError when a cap is reached, or can't be enforced because
+// `model` (the model about to be called) or a call already logged this
+// period has no price
+async function assertWithinBudget(model) {
+  if (!budgetsConfigured()) return;
+  const budget = await getBudgetStatus();
+  for (const period of ['daily', 'monthly']) {
+    const status = budget[period];
+    if (status.limitUsd === null) continue;
+    const unpricedModel =
+      model && !findModelPrice(model) ? model : status.unpricedModels[0];
+    if (status.exceeded || unpricedModel) {
+      throw new AiBudgetError({
+        period,
+        limitUsd: status.limitUsd,
+        spentUsd: status.spentUsd,
+        unpricedModel: unpricedModel || null,
+      });
+    }
+  }
+}
+
+// --------------------------------------------------
+// Summary: totals per UTC day, split by route
+// --------------------------------------------------
+function emptyTotals() {
+  return {
+    calls: 0,
+    failedCalls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+  };
+}
+
+function addCall(totals, call) {
+  totals.calls++;
+  if (call.error) totals.failedCalls++;
+  totals.inputTokens += call.inputTokens;
+  totals.outputTokens += call.outputTokens;
+  totals.costUsd = roundUsd(totals.costUsd + (callCost(call) || 0));
+}
+
+async function getUsageSummary({ days = 30 } = {}) {
+  const { calls } = await store.read();
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+  const totals = emptyTotals();
+  const byRoute = {};
+  const byDayMap = new Map();
+  const unpricedModels = new Set();
+
+  for (const call of calls) {
+    const day = dayOf(call.at);
+    if (day < since) continue;
+    const route = call.route || 'unknown';
+
+    addCall(totals, call);
+    addCall((byRoute[route] = byRoute[route] || emptyTotals()), call);
+
+    if (!byDayMap.has(day)) {
+      byDayMap.set(day, { date: day, ...emptyTotals(), routes: {} });
+    }
+    const dayEntry = byDayMap.get(day);
+    addCall(dayEntry, call);
+    addCall(
+      (dayEntry.routes[route] = dayEntry.routes[route] || emptyTotals()),
+      call
+    );
+
+    if (callCost(call) === null) {
+      unpricedModels.add(call.model);
+    }
+  }
+
+  return {
+    since,
+    days,
+    totals,
+    byRoute,
+    byDay: [...byDayMap.values()].sort((a, b) =>
+      a.date < b.date ? 1 : a.date > b.date ? -1 : 0
+    ),
+    unpricedModels: [...unpricedModels],
+    budget: await getBudgetStatus(),
+  };
+}
+
+module.exports = {
+  AiBudgetError,
+  MODEL_PRICES,
+  estimateCost,
+  recordCall,
+  assertWithinBudget,
+  getBudgetStatus,
+  getUsageSummary,
+};
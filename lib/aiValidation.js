@@ -0,0 +1,427 @@
+// lib/aiValidation.js
+// Schema check + guardrails for /api/ai/analyze output, applied before any
+// recommendation can reach /api/shopify/discounts.
+//
+// validateAnalysisSchema  structural check; failures trigger one repair round
+//                         (completeWithRepair)
+// sanitizeRecommendations clamps discounts to the strategy range (offers
+//                         too, as a share of the customer's average
+//                         order), rejects unknown / duplicate customers,
+//                         normalizes codes and drops invalid offers
+//                         (lib/offers), returning every change it made
+
+const offers = require('./offers');
+
+// Allowed discountPercent range per pricing strategy.
+// Override with AI_DISCOUNT_RANGES='{"reactivation":[10,35]}'
+const DEFAULT_DISCOUNT_RANGES = {
+  retention: [5, 20],
+  reactivation: [10, 40],
+  upsell: [0, 15],
+  acquisition: [10, 30],
+};
+const FALLBACK_DISCOUNT_RANGE = [0, 40];
+
+function loadDiscountRanges() {
+  const raw = process.env.AI_DISCOUNT_RANGES;
+  if (!raw) return DEFAULT_DISCOUNT_RANGES;
+  try {
+    return { ...DEFAULT_DISCOUNT_RANGES, ...JSON.parse(raw) };
+  } catch (e) {
+    console.error('AI_DISCOUNT_RANGES is not valid JSON, using defaults');
+    return DEFAULT_DISCOUNT_RANGES;
+  }
+}
+
+const DISCOUNT_RANGES = loadDiscountRanges();
+
+// Shopify accepts more, but codes end up in emails and URLs
+const MAX_CODE_LENGTH = 32;
+
+const RECOMMENDATION_FIELDS = {
+  customerId: ['string', 'number'],
+  email: ['string'],
+  discountPercent: ['number'],
+  discountCode: ['string'],
+  rationale: ['string'],
+  messagingAngle: ['string'],
+  expectedValue: ['number'],
+  offer: ['object'],
+};
+const REQUIRED_RECOMMENDATION_FIELDS = [
+  'customerId',
+  'discountPercent',
+  'discountCode',
+];
+
+function getDiscountRange(strategy) {
+  const range = DISCOUNT_RANGES[strategy] || FALLBACK_DISCOUNT_RANGE;
+  return { min: range[0], max: range[1] };
+}
+
+// --------------------------------------------------
+// Schema: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateAnalysisSchema(analysis) {
+  const errors = [];
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    return ['response must be a JSON object'];
+  }
+
+  const recs = analysis.customerRecommendations;
+  if (!Array.isArray(recs)) {
+    errors.push('customerRecommendations must be an array');
+  } else {
+    recs.forEach((rec, i) => {
+      const path = `customerRecommendations[${i}]`;
+      if (!rec || typeof rec !== 'object' || Array.isArray(rec)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const field of REQUIRED_RECOMMENDATION_FIELDS) {
+        if (rec[field] === undefined || rec[field] === null) {
+          errors.push(`${path}.${field} is required`);
+        }
+      }
+      for (const [field, types] of Object.entries(RECOMMENDATION_FIELDS)) {
+        const value = rec[field];
+        if (value === undefined || value === null) continue;
+        if (!types.includes(typeof value)) {
+          errors.push(`${path}.${field} must be a ${types.join(' or ')}`);
+        } else if (typeof value === 'number' && !Number.isFinite(value)) {
+          errors.push(`${path}.${field} must be a finite number`);
+        }
+      }
+    });
+  }
+
+  const projection = analysis.campaignProjection;
+  if (!projection || typeof projection !== 'object') {
+    errors.push('campaignProjection must be an object');
+  } else {
+    for (const field of [
+      'expectedConversionRate',
+      'projectedRevenue',
+      'projectedROI',
+    ]) {
+      if (!['string', 'number'].includes(typeof projection[field])) {
+        errors.push(`campaignProjection.${field} must be a string`);
+      }
+    }
+    if (
+      projection.riskFactors !== undefined &&
+      !Array.isArray(projection.riskFactors)
+    ) {
+      errors.push('campaignProjection.riskFactors must be an array');
+    }
+  }
+
+  if (
+    !Array.isArray(analysis.strategicInsights) ||
+    !analysis.strategicInsights.every((s) => typeof s === 'string')
+  ) {
+    errors.push('strategicInsights must be an array of strings');
+  }
+
+  return errors;
+}
+
+function parseJsonResponse(raw) {
+  if (!raw) {
+    throw new Error('No content returned from the AI model');
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error('Failed to parse JSON from AI response:', raw);
+    throw new Error('The AI model did not return valid JSON.');
+  }
+}
+
+// Parse + validate raw model output: { value, errors }
+function checkResponse(raw, validate) {
+  let value;
+  try {
+    value = parseJsonResponse(raw);
+  } catch (e) {
+    return { value: null, errors: [e.message] };
+  }
+  return { value, errors: validate(value) };
+}
+
+function buildRepairPrompt(errors) {
+  return `
+Your previous response failed validation:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Return the complete corrected JSON object in the same RESPONSE FORMAT.
+Respond ONLY with valid JSON. Do NOT wrap it in markdown.`;
+}
+
+// --------------------------------------------------
+// Ask for JSON; if it fails `validate` (value -> error strings), ask once
+// more with the errors. Returns { value, repairedErrors }
+// complete({ systemPrompt, messages }) -> raw model text
+// --------------------------------------------------
+async function completeWithRepair({
+  label,
+  systemPrompt,
+  userPrompt,
+  complete,
+  validate,
+}) {
+  const messages = [{ role: 'user', content: userPrompt }];
+
+  const raw = await complete({ systemPrompt, messages });
+  const first = checkResponse(raw, validate);
+  if (!first.errors.length) {
+    return { value: first.value, repairedErrors: null };
+  }
+
+  console.warn(
+    `${label}: response failed validation (${first.errors.length} errors), asking for a repair`
+  );
+  messages.push(
+    { role: 'assistant', content: raw || '' },
+    { role: 'user', content: buildRepairPrompt(first.errors) }
+  );
+  const second = checkResponse(
+    await complete({ systemPrompt, messages }),
+    validate
+  );
+  if (second.errors.length) {
+    throw new Error(
+      `AI response failed validation after repair: ${second.errors
+        .slice(0, 5)
+        .join('; ')}`
+    );
+  }
+  return { value: second.value, repairedErrors: first.errors };
+}
+
+// --------------------------------------------------
+// Guardrails
+// --------------------------------------------------
+
+// Uppercase A-Z, 0-9, - and _ only
+function normalizeDiscountCode(code) {
+  return String(code || '')
+    .toUpperCase()
+    .replace(/\s+/g, '')
+    .replace(/[^A-Z0-9_-]/g, '')
+    .slice(0, MAX_CODE_LENGTH);
+}
+
+// COMEBACK70 at 40% -> COMEBACK40
+function recodeForPercent(code, percent) {
+  const base = code.replace(/\d+$/, '').slice(0, MAX_CODE_LENGTH - 3);
+  return `${base}${percent}`;
+}
+
+// Fallback code for non-percentage offers without one
+function offerCode(offer) {
+  if (offer.type === 'free_shipping') return 'FREESHIP';
+  if (offer.type === 'buy_x_get_y') return 'BOGO';
+  return `SAVE${Math.round(offer.amount)}`;
+}
+
+function averageOrderValue(customer) {
+  if (customer.averageOrderValue > 0) return customer.averageOrderValue;
+  return customer.totalOrders > 0
+    ? customer.totalSpent / customer.totalOrders
+    : null;
+}
+
+// customers: the segment that was sent to the model
+// Returns { recommendations, report }
+function sanitizeRecommendations(recommendations, { customers, strategy }) {
+  const range = getDiscountRange(strategy);
+  const byId = new Map(customers.map((c) => [String(c.id), c]));
+  const seenIds = new Set();
+  const seenEmails = new Set();
+  const percentByCode = new Map();
+
+  const corrections = [];
+  const rejected = [];
+  const accepted = [];
+
+  const correct = (rec, field, from, to, reason) => {
+    corrections.push({ customerId: rec.customerId, field, from, to, reason });
+  };
+
+  for (const original of recommendations) {
+    const customerId = String(original.customerId);
+    const customer = byId.get(customerId);
+
+    if (!customer) {
+      rejected.push({
+        customerId: original.customerId,
+        email: original.email,
+        reason: 'customerId was not in the analyzed segment',
+      });
+      continue;
+    }
+    if (seenIds.has(customerId)) {
+      rejected.push({
+        customerId: original.customerId,
+        email: original.email,
+        reason: 'duplicate recommendation for customer',
+      });
+      continue;
+    }
+
+    const rec = {};
+    for (const field of Object.keys(RECOMMENDATION_FIELDS)) {
+      if (original[field] !== undefined) rec[field] = original[field];
+    }
+    const extraKeys = Object.keys(original).filter(
+      (k) => !(k in RECOMMENDATION_FIELDS)
+    );
+    for (const key of extraKeys) {
+      correct(rec, key, original[key], undefined, 'unknown field removed');
+    }
+
+    // Keep the id type the caller sent us
+    rec.customerId = customer.id;
+
+    // Email always comes from the input, never from the model
+    if (customer.email && rec.email !== customer.email) {
+      correct(
+        rec,
+        'email',
+        rec.email,
+        customer.email,
+        'email did not match customer'
+      );
+      rec.email = customer.email;
+    }
+    const emailKey = String(rec.email || '').toLowerCase();
+    if (emailKey && seenEmails.has(emailKey)) {
+      rejected.push({
+        customerId: rec.customerId,
+        email: rec.email,
+        reason: 'duplicate email',
+      });
+      continue;
+    }
+
+    // A malformed offer falls back to plain percentage off
+    if (rec.offer !== undefined) {
+      const offerErrors = offers.validateOffer(rec.offer);
+      if (offerErrors.length) {
+        correct(rec, 'offer', rec.offer, undefined, offerErrors.join('; '));
+        delete rec.offer;
+      } else {
+        rec.offer = offers.normalizeOffer(rec.offer);
+      }
+    }
+    // Other offers are held to the range as a share of the customer's
+    // average order; one that can't be measured falls back to percentage
+    if (rec.offer && rec.offer.type !== 'percentage') {
+      const bounded = offers.boundOffer(rec.offer, {
+        maxPercent: range.max,
+        orderValue: averageOrderValue(customer),
+      });
+      if (!bounded) {
+        correct(
+          rec,
+          'offer',
+          rec.offer,
+          undefined,
+          `can't be checked against the ${range.min}-${range.max}% range (no order value or shipping cap)`
+        );
+        delete rec.offer;
+      } else if (bounded.changed) {
+        correct(
+          rec,
+          'offer',
+          rec.offer,
+          bounded.offer,
+          `worth more than ${range.max}% of the customer's average order`
+        );
+        rec.offer = bounded.offer;
+      }
+    }
+
+    const clamped = Math.min(
+      range.max,
+      Math.max(range.min, rec.discountPercent)
+    );
+    const percent = Math.round(clamped);
+    if (percent !== rec.discountPercent) {
+      correct(
+        rec,
+        'discountPercent',
+        rec.discountPercent,
+        percent,
+        clamped === rec.discountPercent
+          ? 'rounded to a whole number'
+          : `outside allowed range ${range.min}-${range.max}%`
+      );
+    }
+    rec.discountPercent = percent;
+
+    // The code rules are about percentage off; other offers keep
+    // discountPercent as a rough equivalent
+    if (rec.offer && rec.offer.type !== 'percentage') {
+      const code =
+        normalizeDiscountCode(rec.discountCode) || offerCode(rec.offer);
+      if (code !== rec.discountCode) {
+        correct(
+          rec,
+          'discountCode',
+          rec.discountCode,
+          code,
+          'normalized to A-Z, 0-9, - and _'
+        );
+      }
+      rec.discountCode = code;
+    } else {
+      let code = normalizeDiscountCode(rec.discountCode) || `OFFER${percent}`;
+      let codeReason = 'normalized to A-Z, 0-9, - and _';
+      // A trailing number must be the discount, and one code maps to one
+      // percentage in Shopify
+      const suffix = code.match(/(\d+)$/);
+      if (suffix && Number(suffix[1]) !== percent) {
+        code = recodeForPercent(code, percent);
+        codeReason = 'code number did not match discountPercent';
+      }
+      if (percentByCode.has(code) && percentByCode.get(code) !== percent) {
+        code = recodeForPercent(code, percent);
+        codeReason = 'code already used for a different discountPercent';
+      }
+      if (code !== rec.discountCode) {
+        correct(rec, 'discountCode', rec.discountCode, code, codeReason);
+      }
+      percentByCode.set(code, percent);
+
+      rec.discountCode = code;
+    }
+
+    seenIds.add(customerId);
+    if (emailKey) seenEmails.add(emailKey);
+    accepted.push(rec);
+  }
+
+  return {
+    recommendations: accepted,
+    report: {
+      discountRange: range,
+      accepted: accepted.length,
+      corrections,
+      rejected,
+      customersWithoutRecommendation: customers.filter(
+        (c) => !seenIds.has(String(c.id))
+      ).length,
+    },
+  };
+}
+
+module.exports = {
+  getDiscountRange,
+  validateAnalysisSchema,
+  completeWithRepair,
+  normalizeDiscountCode,
+  recodeForPercent,
+  sanitizeRecommendations,
+};
@@ -0,0 +1,477 @@
+// lib/attribution.js
+// What a campaign actually brought in: scans Shopify orders for the
+// discount codes a /api/shopify/discounts run issued (one run = one
+// idempotencyKey = one campaign, see lib/discounts) and attributes revenue,
+// orders, AOV and discount cost to the campaign, each tier and each
+// customer, next to the campaignProjection the analysis predicted.
+//
+// An order counts for a campaign when it used one of the run's codes and
+// was placed within ATTRIBUTION_WINDOW_DAYS (default 30) of the run.
+// Cancelled orders are skipped; revenue is the order total after refunds
+// (current_total_price), discount cost the amount of our code on it.
+// Shared codes can be issued by several runs: the latest run whose window
+// holds the order gets it.
+//
+// Reports are kept in campaign-attribution.json. A campaign is `final`
+// once it has been scanned after its window closed; the default run skips
+// final campaigns. ATTRIBUTION_INTERVAL_HOURS (default 0 = off) runs it on
+// a timer; POST /api/attribution/run runs it by hand.
+
+const shopify = require('./shopifyClient');
+const { createJsonStore } = require('./jsonStore');
+const { getRuns } = require('./discounts');
+const { MAX_ORDERS_FETCHED, ORDER_FIELDS } = require('./orders');
+const offers = require('./offers');
+
+const ATTRIBUTION_WINDOW_DAYS = Number(
+  process.env.ATTRIBUTION_WINDOW_DAYS || '30'
+);
+const ATTRIBUTION_INTERVAL_HOURS = Number(
+  process.env.ATTRIBUTION_INTERVAL_HOURS || '0'
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The sync's order fields plus what attribution needs
+const ATTRIBUTION_ORDER_FIELDS = `${ORDER_FIELDS},current_total_price,discount_codes`;
+
+const store = createJsonStore('campaign-attribution.json', { campaigns: {} });
+
+let lastRun = null;
+// { idempotencyKey, includeFinal, promise } while a run is in progress
+let runInFlight = null;
+let attributionTimer = null;
+
+class AttributionRunInFlightError extends Error {
+  constructor({ idempotencyKey }) {
+    super(
+      `An attribution run (${
+        idempotencyKey ? `campaign "${idempotencyKey}"` : 'all campaigns'
+      }) is already in progress; retry once it has finished`
+    );
+    this.name = 'AttributionRunInFlightError';
+    this.status = 409;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function emptyTotals() {
+  return { orders: 0, revenue: 0, discountCost: 0 };
+}
+
+function addOrder(totals, { revenue, discountCost }) {
+  totals.orders++;
+  totals.revenue += revenue;
+  totals.discountCost += discountCost;
+}
+
+function finishTotals(totals) {
+  return {
+    orders: totals.orders,
+    revenue: round2(totals.revenue),
+    averageOrderValue: totals.orders
+      ? round2(totals.revenue / totals.orders)
+      : null,
+    discountCost: round2(totals.discountCost),
+  };
+}
+
+// "$12,400" -> 12400, "18.5%" -> 18.5, "3.2x" -> 3.2, "n/a" -> null
+function parseProjectedNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value ?? '')
+    .replace(/,/g, '')
+    .match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+function compare(projected, actual) {
+  if (projected === null || actual === null) {
+    return { projected, actual, difference: null, percentOfProjection: null };
+  }
+  return {
+    projected,
+    actual,
+    difference: round2(actual - projected),
+    percentOfProjection: projected
+      ? Math.round((actual / projected) * 1000) / 10
+      : null,
+  };
+}
+
+// Older runs only have the tier key: "<code>|<percent>[|<offer json>]"
+function describeTier(tierKey, tier) {
+  const [code, percent] = tierKey.split('|');
+  const tierCode = tier.tierCode || code;
+  const percentage = tier.percentage ?? Number(percent);
+  const offer = tier.offer || null;
+  return {
+    tierCode,
+    percentage,
+    offerType: offer ? offer.type : 'percentage',
+    offerSummary: offers.describeOffer(offer, percentage),
+    priceRuleId: tier.priceRuleId,
+  };
+}
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateRunOptions({ idempotencyKey, includeFinal }) {
+  const errors = [];
+  if (
+    idempotencyKey !== undefined &&
+    (typeof idempotencyKey !== 'string' || !idempotencyKey)
+  ) {
+    errors.push('idempotencyKey must be a non-empty string');
+  }
+  if (includeFinal !== undefined && typeof includeFinal !== 'boolean') {
+    errors.push('includeFinal must be a boolean');
+  }
+  return errors;
+}
+
+// --------------------------------------------------
+// Code index: code -> [{ key, tierKey, customerId, start, end }]
+// customerId is who the code was issued to (null for shared codes)
+// --------------------------------------------------
+function indexCodes(campaigns) {
+  const index = new Map();
+  for (const campaign of campaigns) {
+    for (const [tierKey, tier] of Object.entries(campaign.run.tiers)) {
+      const holders = new Map();
+      for (const [customerId, code] of Object.entries(tier.codes || {})) {
+        const upper = code.toUpperCase();
+        holders.set(upper, [...(holders.get(upper) || []), customerId]);
+      }
+      for (const [code, customerIds] of holders) {
+        if (!index.has(code)) index.set(code, []);
+        index.get(code).push({
+          key: campaign.key,
+          tierKey,
+          customerId: customerIds.length === 1 ? customerIds[0] : null,
+          start: campaign.start,
+          end: campaign.end,
+        });
+      }
+    }
+  }
+  // Latest run first, for shared codes
+  for (const entries of index.values()) {
+    entries.sort((a, b) => b.start.localeCompare(a.start));
+  }
+  return index;
+}
+
+// --------------------------------------------------
+// Build one campaign's report from its attributed orders
+// --------------------------------------------------
+function buildReport(campaign, attributed, now) {
+  const { key, run, start, end } = campaign;
+
+  const tiers = new Map();
+  const customers = new Map();
+  const campaignTotals = emptyTotals();
+  let recipients = 0;
+  let expectedRevenue = 0;
+
+  for (const [tierKey, tier] of Object.entries(run.tiers)) {
+    const issued = Object.keys(tier.codes || {});
+    const expected = Object.values(tier.expectedValues || {}).reduce(
+      (sum, v) => sum + v,
+      0
+    );
+    recipients += issued.length;
+    expectedRevenue += expected;
+    tiers.set(tierKey, {
+      ...describeTier(tierKey, tier),
+      recipients: issued.length,
+      redeemingCustomers: new Set(),
+      expectedValue: round2(expected),
+      totals: emptyTotals(),
+    });
+  }
+
+  for (const entry of attributed) {
+    const tier = tiers.get(entry.tierKey);
+    const stored = run.tiers[entry.tierKey];
+    addOrder(campaignTotals, entry);
+    addOrder(tier.totals, entry);
+
+    const customerId = entry.customerId;
+    if (customerId === null) continue;
+    // Shared codes can reach customers the campaign never mailed: their
+    // orders count, but not towards the conversion rate
+    const recipient = !!(stored.codes || {})[customerId];
+    if (recipient) tier.redeemingCustomers.add(customerId);
+    if (!customers.has(customerId)) {
+      customers.set(customerId, {
+        customerId: Number(customerId) || customerId,
+        tierCode: tier.tierCode,
+        code: entry.code,
+        recipient,
+        expectedValue: (stored.expectedValues || {})[customerId] ?? null,
+        totals: emptyTotals(),
+      });
+    }
+    addOrder(customers.get(customerId).totals, entry);
+  }
+
+  const redeeming = new Set(
+    [...tiers.values()].flatMap((t) => [...t.redeemingCustomers])
+  );
+  const totals = finishTotals(campaignTotals);
+  const conversionRate = recipients
+    ? Math.round((redeeming.size / recipients) * 1000) / 10
+    : null;
+  const roi = totals.discountCost
+    ? Math.round((totals.revenue / totals.discountCost) * 10) / 10
+    : null;
+
+  const projection = run.campaignProjection || null;
+  return {
+    idempotencyKey: key,
+    campaignName: run.campaignName || null,
+    codeMode: run.codeMode,
+    createdAt: run.createdAt,
+    window: { start, end },
+    final: now >= end,
+    attributedAt: now,
+    totals: {
+      recipients,
+      redeemingCustomers: redeeming.size,
+      conversionRate,
+      ...totals,
+      roi,
+    },
+    tiers: [...tiers.values()].map(
+      ({ totals: t, redeemingCustomers, ...tier }) => ({
+        ...tier,
+        redeemingCustomers: redeemingCustomers.size,
+        ...finishTotals(t),
+      })
+    ),
+    // Customers with at least one attributed order
+    customers: [...customers.values()]
+      .map(({ totals: t, ...customer }) => ({
+        ...customer,
+        ...finishTotals(t),
+      }))
+      .sort((a, b) => b.revenue - a.revenue),
+    projection: {
+      campaignProjection: projection,
+      expectedValue: round2(expectedRevenue),
+      comparison: {
+        revenue: compare(
+          projection ? parseProjectedNumber(projection.projectedRevenue) : null,
+          totals.revenue
+        ),
+        expectedValue: compare(
+          expectedRevenue ? round2(expectedRevenue) : null,
+          totals.revenue
+        ),
+        conversionRate: compare(
+          projection
+            ? parseProjectedNumber(projection.expectedConversionRate)
+            : null,
+          conversionRate
+        ),
+        roi: compare(
+          projection ? parseProjectedNumber(projection.projectedROI) : null,
+          roi
+        ),
+      },
+    },
+  };
+}
+
+// --------------------------------------------------
+// Run: scan orders for every (non-final) campaign, or just idempotencyKey
+// -> { startedAt, finishedAt, ordersScanned, ordersTruncated (hit
+//      MAX_ORDERS_FETCHED), ordersAttributed,
+//      campaigns: [summary] }
+// Overlapping calls with the same options share the run already in
+// progress; different options reject with AttributionRunInFlightError
+// --------------------------------------------------
+async function runAttribution(options = {}) {
+  const idempotencyKey = options.idempotencyKey || null;
+  const includeFinal = !!options.includeFinal;
+  if (runInFlight) {
+    if (
+      runInFlight.idempotencyKey === idempotencyKey &&
+      runInFlight.includeFinal === includeFinal
+    ) {
+      return runInFlight.promise;
+    }
+    throw new AttributionRunInFlightError(runInFlight);
+  }
+  const promise = scanOrders(options).finally(() => {
+    runInFlight = null;
+  });
+  runInFlight = { idempotencyKey, includeFinal, promise };
+  return promise;
+}
+
+async function scanOrders({ idempotencyKey, includeFinal = false }) {
+  const startedAt = new Date().toISOString();
+  const runs = await getRuns();
+  const { campaigns: previous } = await store.read();
+
+  const allCampaigns = Object.entries(runs).map(([key, run]) => ({
+    key,
+    run,
+    start: run.createdAt,
+    end: new Date(
+      Date.parse(run.createdAt) + ATTRIBUTION_WINDOW_DAYS * DAY_MS
+    ).toISOString(),
+  }));
+  const campaigns = allCampaigns
+    .filter(({ key }) => !idempotencyKey || key === idempotencyKey)
+    .filter(
+      ({ key }) =>
+        idempotencyKey ||
+        includeFinal ||
+        !(previous[key] && previous[key].final)
+    );
+
+  const attributed = new Map(campaigns.map((c) => [c.key, []]));
+  let orders = [];
+  if (campaigns.length) {
+    const earliest = campaigns.reduce(
+      (min, c) => (c.start < min ? c.start : min),
+      campaigns[0].start
+    );
+    orders = await shopify.paginate('/orders.json', {
+      resourceKey: 'orders',
+      query: { status: 'any', created_at_min: earliest },
+      fields: ATTRIBUTION_ORDER_FIELDS,
+      limitTotal: MAX_ORDERS_FETCHED,
+    });
+    if (orders.length >= MAX_ORDERS_FETCHED) {
+      console.warn(
+        `Attribution: stopped at MAX_ORDERS_FETCHED (${MAX_ORDERS_FETCHED}) orders; the rest are not counted`
+      );
+    }
+  }
+
+  // Every run's codes are indexed, not just the ones being reported on: a
+  // shared code's order goes to the latest run whose window holds it, and
+  // that may be a run this scan leaves out
+  const index = indexCodes(allCampaigns);
+  let ordersAttributed = 0;
+  for (const order of orders) {
+    const time = Date.parse(order.created_at);
+    if (order.cancelled_at || Number.isNaN(time)) continue;
+    const createdAt = new Date(time).toISOString();
+    for (const used of order.discount_codes || []) {
+      const code = String(used.code || '').toUpperCase();
+      const match = (index.get(code) || []).find(
+        (e) => createdAt >= e.start && createdAt < e.end
+      );
+      if (!match) continue;
+      // One campaign per order, even with several of our codes on it
+      if (!attributed.has(match.key)) break;
+      const orderCustomer = order.customer ? String(order.customer.id) : null;
+      attributed.get(match.key).push({
+        tierKey: match.tierKey,
+        code,
+        customerId: orderCustomer || match.customerId,
+        revenue: Number(order.current_total_price ?? order.total_price) || 0,
+        discountCost: Number(used.amount) || 0,
+      });
+      ordersAttributed++;
+      break;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const reports = campaigns.map((c) =>
+    buildReport(c, attributed.get(c.key), now)
+  );
+  const result = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    ordersScanned: orders.length,
+    ordersTruncated: orders.length >= MAX_ORDERS_FETCHED,
+    ordersAttributed,
+    campaigns: reports.map(summarize),
+  };
+
+  await store.update((data) => {
+    for (const report of reports) {
+      data.campaigns[report.idempotencyKey] = report;
+    }
+  });
+  lastRun = result;
+  return result;
+}
+
+function summarize({ customers, tiers, ...report }) {
+  return { ...report, tiers: tiers.length, customers: customers.length };
+}
+
+// --------------------------------------------------
+// Stored reports
+// --------------------------------------------------
+
+// Newest campaign first, without tiers / customers
+async function listCampaigns() {
+  const { campaigns } = await store.read();
+  return Object.values(campaigns)
+    .map(summarize)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// null when the campaign has not been attributed yet
+async function getCampaign(idempotencyKey) {
+  const { campaigns } = await store.read();
+  return campaigns[idempotencyKey] || null;
+}
+
+// Timer for ATTRIBUTION_INTERVAL_HOURS (no-op when 0). The timer doesn't
+// keep the process alive.
+function startAttributionSchedule() {
+  if (attributionTimer || !(ATTRIBUTION_INTERVAL_HOURS > 0)) return false;
+  attributionTimer = setInterval(
+    async () => {
+      try {
+        const { campaigns, ordersAttributed } = await runAttribution();
+        console.log(
+          `📈 Attribution: ${ordersAttributed} orders across ${campaigns.length} campaigns`
+        );
+      } catch (error) {
+        console.error('Error in scheduled attribution run:', error);
+      }
+    },
+    ATTRIBUTION_INTERVAL_HOURS * 60 * 60 * 1000
+  );
+  attributionTimer.unref();
+  return true;
+}
+
+function getAttributionStatus() {
+  return {
+    windowDays: ATTRIBUTION_WINDOW_DAYS,
+    intervalHours: ATTRIBUTION_INTERVAL_HOURS,
+    scheduled: !!attributionTimer,
+    running: !!runInFlight,
+    lastRun: lastRun && {
+      startedAt: lastRun.startedAt,
+      finishedAt: lastRun.finishedAt,
+      ordersScanned: lastRun.ordersScanned,
+      ordersAttributed: lastRun.ordersAttributed,
+      campaigns: lastRun.campaigns.length,
+    },
+  };
+}
+
+module.exports = {
+  AttributionRunInFlightError,
+  validateRunOptions,
+  runAttribution,
+  listCampaigns,
+  getCampaign,
+  startAttributionSchedule,
+  getAttributionStatus,
+};
@@ -0,0 +1,132 @@
+// lib/brandProfile.js
+// Brand / business profile used to fill the AI prompts (brand-profile.json).
+// Customer counts are never stored here: they are counted live from the
+// customer snapshot whenever a prompt is built.
+
+const { createJsonStore } = require('./jsonStore');
+const customerStore = require('./customerStore');
+
+// Editable fields and their types
+const PROFILE_FIELDS = {
+  brandName: 'string',
+  productDescription: 'string',
+  monthlyRevenue: 'string',
+  currentRoas: 'number',
+  activeCustomerDays: 'number',
+  notes: 'string',
+};
+
+const DEFAULT_PROFILE = {
+  brandName: "Daily N'Oats",
+  productDescription:
+    'Low-carb oatmeal alternative targeting keto and GLP-1 users',
+  monthlyRevenue: '$12-15K',
+  currentRoas: 1.3,
+  // "Active" = ordered within this many days
+  activeCustomerDays: 90,
+  notes: '',
+  updatedAt: null,
+};
+
+const store = createJsonStore('brand-profile.json', DEFAULT_PROFILE);
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateProfileChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return ['Body must be an object'];
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(changes)) {
+    const type = PROFILE_FIELDS[key];
+    if (!type) {
+      errors.push(
+        `${key} is not a profile field (allowed: ${Object.keys(
+          PROFILE_FIELDS
+        ).join(', ')})`
+      );
+    } else if (
+      typeof value !== type ||
+      (type === 'number' && !Number.isFinite(value))
+    ) {
+      errors.push(`${key} must be a ${type}`);
+    }
+  }
+  if (
+    typeof changes.activeCustomerDays === 'number' &&
+    changes.activeCustomerDays <= 0
+  ) {
+    errors.push('activeCustomerDays must be positive');
+  }
+  return errors;
+}
+
+async function getProfile() {
+  const data = await store.read();
+  return { ...data };
+}
+
+// Call validateProfileChanges first
+async function updateProfile(changes) {
+  const data = await store.read();
+  for (const key of Object.keys(PROFILE_FIELDS)) {
+    if (changes[key] !== undefined) data[key] = changes[key];
+  }
+  data.updatedAt = new Date().toISOString();
+  await store.write(data);
+  return { ...data };
+}
+
+// Counts from the local snapshot (null before the first sync)
+async function getLiveCounts(activeCustomerDays) {
+  const status = await customerStore.getStatus();
+  if (!status.lastSyncAt) return null;
+
+  const customers = await customerStore.getCustomersWithMetrics();
+  return {
+    totalCustomers: customers.length,
+    customersWithOrders: customers.filter((c) => c.totalOrders > 0).length,
+    activeCustomers: customers.filter(
+      (c) => c.totalOrders > 0 && c.daysSinceLastOrder <= activeCustomerDays
+    ).length,
+    activeCustomerDays,
+    countedAt: status.lastSyncAt,
+  };
+}
+
+// --------------------------------------------------
+// Profile + live counts as prompt template variables
+// --------------------------------------------------
+
+// Context variables counted from the snapshot (they move with every sync)
+const LIVE_COUNT_FIELDS = ['totalCustomers', 'activeCustomers'];
+
+async function getPromptContext() {
+  const profile = await getProfile();
+  const counts = await getLiveCounts(profile.activeCustomerDays);
+  return {
+    brandName: profile.brandName,
+    productDescription: profile.productDescription,
+    monthlyRevenue: profile.monthlyRevenue,
+    currentRoas: profile.currentRoas,
+    activeCustomerDays: profile.activeCustomerDays,
+    brandNotes: profile.notes || 'none',
+    totalCustomers: counts
+      ? counts.totalCustomers.toLocaleString('en-US')
+      : 'unknown',
+    activeCustomers: counts
+      ? counts.activeCustomers.toLocaleString('en-US')
+      : 'unknown',
+  };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  LIVE_COUNT_FIELDS,
+  validateProfileChanges,
+  getProfile,
+  updateProfile,
+  getLiveCounts,
+  getPromptContext,
+};
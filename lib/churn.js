@@ -0,0 +1,109 @@
+// lib/churn.js
+// Churn-risk scoring against each customer's own purchase cadence.
+//
+// A monthly buyer 45 days out is overdue; a quarterly buyer 45 days out is
+// not. We compare the current gap with the customer's usual interval:
+//
+//   ratio = daysSinceLastOrder / expectedDaysBetweenOrders
+//   score = ratio^3 / (ratio^3 + 1.5^3)      (0.5 at 1.5× their cadence)
+//
+// Bands (by score): healthy < 0.2 <= cooling < 0.4 <= at-risk < 0.85 <= lapsed
+// i.e. roughly up to 0.95×, 1.3×, 2.7× and beyond 2.7× their cadence.
+//
+// Cadence is the median gap between the customer's orders. One gap is a
+// noisy estimate, so it's averaged with the store-wide median; single-order
+// customers use the store-wide median alone. Cadences are floored at
+// CHURN_MIN_CADENCE_DAYS so same-day repeat orders (a 0-day median) don't
+// make every later day look like a lapse.
+//
+// Buyers with no order in the fetched history (often only 60 days) are
+// exactly the lapsed ones: they're scored on the store-wide cadence, from
+// the daysSinceLastOrder customerMetrics estimates from updated_at.
+
+const CHURN_RISK_BANDS = ['healthy', 'cooling', 'at-risk', 'lapsed'];
+
+const BAND_THRESHOLDS = [
+  [0.2, 'healthy'],
+  [0.4, 'cooling'],
+  [0.85, 'at-risk'],
+];
+
+// Cadence used when nobody in the store has a repeat purchase yet
+const CHURN_DEFAULT_CADENCE_DAYS = Number(
+  process.env.CHURN_DEFAULT_CADENCE_DAYS || '60'
+);
+
+// Shortest cadence we believe; same-day or next-day reorders are split
+// baskets, not a daily buying habit
+const CHURN_MIN_CADENCE_DAYS = Number(
+  process.env.CHURN_MIN_CADENCE_DAYS || '7'
+);
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function bandForScore(score) {
+  for (const [limit, band] of BAND_THRESHOLDS) {
+    if (score < limit) return band;
+  }
+  return 'lapsed';
+}
+
+function scoreForRatio(ratio) {
+  const k = ratio ** 3;
+  return k / (k + 1.5 ** 3);
+}
+
+// --------------------------------------------------
+// Attach churnRiskScore / churnRiskBand / expectedDaysBetweenOrders
+// statsByCustomer comes from buildOrderStatsByCustomer
+// --------------------------------------------------
+function applyChurnRisk(customers, statsByCustomer) {
+  const personalMedians = [];
+  for (const stats of statsByCustomer.values()) {
+    const m = median(stats.interPurchaseDays);
+    if (m !== null) personalMedians.push(m);
+  }
+  const populationCadence = Math.max(
+    CHURN_MIN_CADENCE_DAYS,
+    median(personalMedians) || CHURN_DEFAULT_CADENCE_DAYS
+  );
+
+  for (const customer of customers) {
+    const stats = statsByCustomer.get(String(customer.id));
+    if (!stats && !(customer.totalOrders > 0)) {
+      customer.expectedDaysBetweenOrders = null;
+      customer.churnRiskScore = null;
+      customer.churnRiskBand = null;
+      continue;
+    }
+
+    const intervals = stats ? stats.interPurchaseDays : [];
+    let cadence = populationCadence;
+    if (intervals.length === 1) {
+      cadence = (intervals[0] + populationCadence) / 2;
+    } else if (intervals.length > 1) {
+      cadence = median(intervals);
+    }
+    cadence = Math.max(CHURN_MIN_CADENCE_DAYS, cadence);
+
+    const score = scoreForRatio(
+      customer.daysSinceLastOrder / Math.max(1, cadence)
+    );
+
+    customer.expectedDaysBetweenOrders = Math.round(cadence * 10) / 10;
+    customer.churnRiskScore = Math.round(score * 1000) / 1000;
+    customer.churnRiskBand = bandForScore(score);
+  }
+
+  return customers;
+}
+
+module.exports = {
+  CHURN_RISK_BANDS,
+  applyChurnRisk,
+};
@@ -0,0 +1,361 @@
+// lib/clv.js
+// Customer lifetime value prediction from order history.
+//
+// - BG/NBD (Fader, Hardie & Lee 2005) for purchase counts + P(alive)
+// - Gamma-Gamma for expected order value
+//
+// Both are fitted by maximum likelihood (Nelder-Mead on log-params) over the
+// whole snapshot each time it changes. Time is measured in weeks.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const WEEK_DAYS = 7;
+
+// Below this many purchasers the fit is too noisy to be useful
+const CLV_MIN_CUSTOMERS = Number(process.env.CLV_MIN_CUSTOMERS || '50');
+
+// Optional L2 penalty on the parameters (helps stability on sparse data,
+// but biases the fit, so it is off by default)
+const PENALIZER = Number(process.env.CLV_PENALIZER || '0');
+
+let lastModel = {
+  status: 'not-fitted',
+  fittedAt: null,
+};
+
+// --------------------------------------------------
+// Math helpers
+// --------------------------------------------------
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+function lgamma(z) {
+  if (z < 0.5) {
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * z))) - lgamma(1 - z);
+  }
+  const x = z - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < 9; i++) sum += LANCZOS[i] / (x + i);
+  const t = x + 7.5;
+  return (
+    0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum)
+  );
+}
+
+function lbeta(a, b) {
+  return lgamma(a) + lgamma(b) - lgamma(a + b);
+}
+
+function logSumExp(a, b) {
+  const max = Math.max(a, b);
+  return max + Math.log(Math.exp(a - max) + Math.exp(b - max));
+}
+
+// Gaussian hypergeometric 2F1(a, b; c; z) by power series, |z| < 1
+function hyp2f1(a, b, c, z) {
+  let term = 1;
+  let sum = 1;
+  for (let n = 0; n < 20000; n++) {
+    term *= (((a + n) * (b + n)) / ((c + n) * (n + 1))) * z;
+    sum += term;
+    if (Math.abs(term) < 1e-12 * Math.abs(sum)) break;
+  }
+  return sum;
+}
+
+// Log-params are kept inside [-LOG_PARAM_BOUND, LOG_PARAM_BOUND]; degenerate
+// data (e.g. everyone buying on the same cadence) otherwise drives the
+// MLE off to infinity.
+const LOG_PARAM_BOUND = 12;
+
+function outOfBounds(logParams) {
+  return logParams.some((v) => Math.abs(v) > LOG_PARAM_BOUND);
+}
+
+// Minimize f over R^n (Nelder-Mead simplex)
+function nelderMead(f, start, { maxIterations = 2000, tolerance = 1e-9 } = {}) {
+  const n = start.length;
+  let simplex = [start.slice()];
+  for (let i = 0; i < n; i++) {
+    const point = start.slice();
+    point[i] += 0.5;
+    simplex.push(point);
+  }
+  let values = simplex.map(f);
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    const order = values.map((v, i) => i).sort((i, j) => values[i] - values[j]);
+    simplex = order.map((i) => simplex[i]);
+    values = order.map((i) => values[i]);
+
+    if (Math.abs(values[n] - values[0]) < tolerance) break;
+
+    const centroid = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+    }
+    const along = (coef) =>
+      centroid.map((c, j) => c + coef * (simplex[n][j] - c));
+
+    const reflected = along(-1);
+    const fr = f(reflected);
+    if (fr < values[0]) {
+      const expanded = along(-2);
+      const fe = f(expanded);
+      if (fe < fr) {
+        simplex[n] = expanded;
+        values[n] = fe;
+      } else {
+        simplex[n] = reflected;
+        values[n] = fr;
+      }
+    } else if (fr < values[n - 1]) {
+      simplex[n] = reflected;
+      values[n] = fr;
+    } else {
+      const contracted = fr < values[n] ? along(-0.5) : along(0.5);
+      const fc = f(contracted);
+      if (fc < Math.min(fr, values[n])) {
+        simplex[n] = contracted;
+        values[n] = fc;
+      } else {
+        // Shrink towards the best point
+        for (let i = 1; i <= n; i++) {
+          simplex[i] = simplex[i].map(
+            (v, j) => simplex[0][j] + 0.5 * (v - simplex[0][j])
+          );
+          values[i] = f(simplex[i]);
+        }
+      }
+    }
+  }
+
+  return { point: simplex[0], value: values[0] };
+}
+
+// Collapse identical (x, t_x, T) rows so the likelihood is cheap to evaluate
+function groupObservations(observations, keyFn) {
+  const groups = new Map();
+  for (const obs of observations) {
+    const key = keyFn(obs);
+    const group = groups.get(key);
+    if (group) group.weight += 1;
+    else groups.set(key, { ...obs, weight: 1 });
+  }
+  return Array.from(groups.values());
+}
+
+// --------------------------------------------------
+// BG/NBD
+// --------------------------------------------------
+function bgNbdLogLikelihood({ r, alpha, a, b }, { x, tx, T }) {
+  const common = lgamma(r + x) - lgamma(r) + r * Math.log(alpha);
+  const aliveTerm =
+    lbeta(a, b + x) - lbeta(a, b) - (r + x) * Math.log(alpha + T);
+  if (x === 0) return common + aliveTerm;
+  const dropoutTerm =
+    lbeta(a + 1, b + x - 1) - lbeta(a, b) - (r + x) * Math.log(alpha + tx);
+  return common + logSumExp(aliveTerm, dropoutTerm);
+}
+
+function fitBgNbd(observations) {
+  const grouped = groupObservations(
+    observations,
+    (o) => `${o.x}|${o.tx.toFixed(2)}|${o.T.toFixed(2)}`
+  );
+
+  const objective = (logParams) => {
+    if (outOfBounds(logParams)) return 1e12;
+    const [r, alpha, a, b] = logParams.map(Math.exp);
+    let ll = 0;
+    for (const obs of grouped) {
+      ll += obs.weight * bgNbdLogLikelihood({ r, alpha, a, b }, obs);
+    }
+    const penalty = PENALIZER * (r * r + alpha * alpha + a * a + b * b);
+    const value = -ll / observations.length + penalty;
+    return Number.isFinite(value) ? value : 1e12;
+  };
+
+  const { point } = nelderMead(objective, [0, Math.log(5), 0, 0]);
+  const [r, alpha, a, b] = point.map(Math.exp);
+  return { r, alpha, a, b };
+}
+
+function probabilityAlive({ r, alpha, a, b }, { x, tx, T }) {
+  if (x === 0) return 1;
+  const ratio = (a / (b + x - 1)) * Math.pow((alpha + T) / (alpha + tx), r + x);
+  return 1 / (1 + ratio);
+}
+
+// Expected purchases in the next t weeks given the customer's history
+function expectedPurchases(params, { x, tx, T }, t) {
+  const { r, alpha, a, b } = params;
+
+  // The closed form needs a > 1; otherwise fall back to
+  // P(alive) × posterior purchase rate × t
+  if (a <= 1) {
+    return probabilityAlive(params, { x, tx, T }) * ((r + x) / (alpha + T)) * t;
+  }
+
+  const hyp = hyp2f1(r + x, b + x, a + b + x - 1, t / (alpha + T + t));
+  const numerator =
+    ((a + b + x - 1) / (a - 1)) *
+    (1 - Math.pow((alpha + T) / (alpha + T + t), r + x) * hyp);
+  const denominator =
+    x > 0
+      ? 1 + (a / (b + x - 1)) * Math.pow((alpha + T) / (alpha + tx), r + x)
+      : 1;
+  return Math.max(0, numerator / denominator);
+}
+
+// --------------------------------------------------
+// Gamma-Gamma (spend per order)
+// --------------------------------------------------
+function fitGammaGamma(observations) {
+  const rows = observations.filter((o) => o.orders >= 2 && o.meanValue > 0);
+  if (rows.length < 10) return null;
+
+  const objective = (logParams) => {
+    if (outOfBounds(logParams)) return 1e12;
+    const [p, q, gamma] = logParams.map(Math.exp);
+    let ll = 0;
+    for (const { orders: n, meanValue: m } of rows) {
+      ll +=
+        lgamma(p * n + q) -
+        lgamma(p * n) -
+        lgamma(q) +
+        q * Math.log(gamma) +
+        (p * n - 1) * Math.log(m) +
+        p * n * Math.log(n) -
+        (p * n + q) * Math.log(gamma + m * n);
+    }
+    const penalty = PENALIZER * (p * p + q * q + gamma * gamma);
+    const value = -ll / rows.length + penalty;
+    return Number.isFinite(value) ? value : 1e12;
+  };
+
+  const { point } = nelderMead(objective, [0, Math.log(2), Math.log(10)]);
+  const [p, q, gamma] = point.map(Math.exp);
+  // The conditional expectation only exists for q > 1
+  return q > 1 ? { p, q, gamma } : null;
+}
+
+function expectedOrderValue(ggParams, { orders, meanValue }, fallback) {
+  if (!ggParams) return orders > 0 ? meanValue : fallback;
+  const { p, q, gamma } = ggParams;
+  return (p * (gamma + orders * meanValue)) / (p * orders + q - 1);
+}
+
+// --------------------------------------------------
+// Fit on the snapshot + attach predictions to customer objects
+// statsByCustomer comes from buildOrderStatsByCustomer
+// --------------------------------------------------
+function toObservation(stats, now) {
+  const T = (now - stats.firstOrderAt) / DAY_MS / WEEK_DAYS;
+  const tx = (stats.lastOrderAt - stats.firstOrderAt) / DAY_MS / WEEK_DAYS;
+  return {
+    x: stats.orderCount - 1,
+    tx,
+    T: Math.max(T, tx),
+    orders: stats.orderCount,
+    meanValue: stats.orderRevenue / stats.orderCount,
+  };
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function applyClvPredictions(customers, statsByCustomer, now = Date.now()) {
+  const observations = [];
+  const byCustomer = new Map();
+  for (const customer of customers) {
+    const stats = statsByCustomer.get(String(customer.id));
+    if (!stats) continue;
+    const obs = toObservation(stats, now);
+    observations.push(obs);
+    byCustomer.set(customer, obs);
+  }
+
+  const emptyFields = {
+    predictedPurchases90: null,
+    predictedPurchases365: null,
+    predictedValue90: null,
+    predictedValue365: null,
+    probabilityAlive: null,
+  };
+
+  if (observations.length < CLV_MIN_CUSTOMERS) {
+    lastModel = {
+      status: 'insufficient-data',
+      fittedAt: new Date(now).toISOString(),
+      customersWithOrders: observations.length,
+      minCustomers: CLV_MIN_CUSTOMERS,
+    };
+    for (const customer of customers) Object.assign(customer, emptyFields);
+    return customers;
+  }
+
+  const started = Date.now();
+  const bgNbd = fitBgNbd(observations);
+  const gammaGamma = fitGammaGamma(observations);
+  const populationOrderValue =
+    observations.reduce((sum, o) => sum + o.meanValue, 0) / observations.length;
+
+  let total365 = 0;
+  for (const customer of customers) {
+    const obs = byCustomer.get(customer);
+    if (!obs) {
+      Object.assign(customer, emptyFields);
+      continue;
+    }
+
+    const orderValue = expectedOrderValue(
+      gammaGamma,
+      obs,
+      populationOrderValue
+    );
+    const purchases90 = expectedPurchases(bgNbd, obs, 90 / WEEK_DAYS);
+    const purchases365 = expectedPurchases(bgNbd, obs, 365 / WEEK_DAYS);
+    total365 += purchases365 * orderValue;
+
+    Object.assign(customer, {
+      predictedPurchases90: round(purchases90, 3),
+      predictedPurchases365: round(purchases365, 3),
+      predictedValue90: round(purchases90 * orderValue, 2),
+      predictedValue365: round(purchases365 * orderValue, 2),
+      probabilityAlive: round(probabilityAlive(bgNbd, obs), 4),
+    });
+  }
+
+  lastModel = {
+    status: 'fitted',
+    fittedAt: new Date(now).toISOString(),
+    fitDurationMs: Date.now() - started,
+    customersWithOrders: observations.length,
+    repeatCustomers: observations.filter((o) => o.x > 0).length,
+    bgNbd,
+    gammaGamma,
+    populationOrderValue: round(populationOrderValue, 2),
+    totalPredictedValue365: round(total365, 2),
+  };
+
+  return customers;
+}
+
+function getModelSummary() {
+  return lastModel;
+}
+
+module.exports = {
+  applyClvPredictions,
+  getModelSummary,
+  // exported for reuse / inspection
+  fitBgNbd,
+  fitGammaGamma,
+  expectedPurchases,
+  probabilityAlive,
+};
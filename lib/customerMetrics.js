@@ -0,0 +1,156 @@
+// lib/customerMetrics.js
+// Turn raw Shopify customers + order history into the metric objects
+// returned by /api/shopify/customers and used by the batch rules.
+
+const { buildOrderStatsByCustomer } = require('./orders');
+const { applyClvPredictions } = require('./clv');
+const { applyChurnRisk } = require('./churn');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Sentinel used for customers with no order on record (kept for the UI)
+const NO_ORDER_DAYS = 999;
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// --------------------------------------------------
+// Helper: metrics for a single customer
+// --------------------------------------------------
+function buildCustomerMetrics(customer, orderStats, now = Date.now()) {
+  const stats = orderStats || null;
+
+  // Shopify's lifetime counters stay authoritative for totals; order
+  // history (which may be limited to 60 days) drives the dates.
+  const totalOrders = Number(
+    customer.orders_count ?? (stats ? stats.orderCount : 0)
+  );
+  const totalSpent = parseFloat(
+    customer.total_spent ?? (stats ? stats.orderRevenue : '0.00')
+  );
+
+  const lastOrderDate = stats ? new Date(stats.lastOrderAt) : null;
+  const firstOrderDate = stats ? new Date(stats.firstOrderAt) : null;
+
+  // Buyers whose orders are all older than the fetched history: Shopify
+  // bumps updated_at when they order, so it's the closest thing to a last
+  // order date we have (a lower bound on the real gap). They stay out of
+  // the RFM quintiles (hasOrderHistory: false).
+  const updatedAt = Date.parse(customer.updated_at);
+  let daysSinceLastOrder = NO_ORDER_DAYS;
+  if (lastOrderDate) {
+    daysSinceLastOrder = Math.floor((now - lastOrderDate.getTime()) / DAY_MS);
+  } else if (totalOrders > 0 && !Number.isNaN(updatedAt)) {
+    daysSinceLastOrder = Math.max(0, Math.floor((now - updatedAt) / DAY_MS));
+  }
+  const daysSinceFirstOrder = firstOrderDate
+    ? Math.floor((now - firstOrderDate.getTime()) / DAY_MS)
+    : null;
+
+  const intervals = stats ? stats.interPurchaseDays : [];
+  const averageDaysBetweenOrders = intervals.length
+    ? round(intervals.reduce((sum, d) => sum + d, 0) / intervals.length, 1)
+    : null;
+
+  // Orders per 30 days across the customer's observed lifetime
+  const observedOrders = stats ? stats.orderCount : 0;
+  const orderFrequency =
+    observedOrders > 0
+      ? round(observedOrders / Math.max(1, (daysSinceFirstOrder || 0) / 30), 3)
+      : 0;
+
+  return {
+    id: customer.id,
+    email: customer.email,
+    firstName: customer.first_name || 'Customer',
+    lastName: customer.last_name || '',
+    totalOrders,
+    totalSpent,
+    averageOrderValue: totalOrders > 0 ? totalSpent / totalOrders : 0,
+    daysSinceLastOrder,
+    hasOrderHistory: !!stats,
+    lastOrderDate,
+    firstOrderDate,
+    daysSinceFirstOrder,
+    orderFrequency,
+    averageDaysBetweenOrders,
+    rfm: null,
+    tags: customer.tags || '',
+    state: customer.state || 'active',
+  };
+}
+
+// --------------------------------------------------
+// Helper: quintile score (1–5) of value within an ascending sorted list
+// Ties share the same score.
+// --------------------------------------------------
+function quintileScore(sortedValues, value) {
+  let lo = 0;
+  let hi = sortedValues.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sortedValues[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return (
+    1 + Math.min(4, Math.floor((5 * lo) / Math.max(1, sortedValues.length - 1)))
+  );
+}
+
+// --------------------------------------------------
+// Attach RFM scores (mutates + returns the list)
+// Only customers with order history are scored; everyone else keeps rfm: null
+// --------------------------------------------------
+function applyRfmScores(customers) {
+  const scored = customers.filter((c) => c.hasOrderHistory);
+  if (scored.length === 0) return customers;
+
+  // Recency is "higher is better", so rank on negative days
+  const recency = scored
+    .map((c) => -c.daysSinceLastOrder)
+    .sort((a, b) => a - b);
+  const frequency = scored.map((c) => c.totalOrders).sort((a, b) => a - b);
+  const monetary = scored.map((c) => c.totalSpent).sort((a, b) => a - b);
+
+  for (const c of scored) {
+    const r = quintileScore(recency, -c.daysSinceLastOrder);
+    const f = quintileScore(frequency, c.totalOrders);
+    const m = quintileScore(monetary, c.totalSpent);
+    c.rfm = {
+      recency: r,
+      frequency: f,
+      monetary: m,
+      score: `${r}${f}${m}`,
+      total: r + f + m,
+    };
+  }
+
+  return customers;
+}
+
+// --------------------------------------------------
+// Raw customers + raw orders -> customer metric objects
+// (with RFM, churn risk + CLV)
+// --------------------------------------------------
+function buildCustomersWithMetrics(rawCustomers, orders, now = Date.now()) {
+  const statsByCustomer = buildOrderStatsByCustomer(orders);
+  const customers = rawCustomers.map((customer) =>
+    buildCustomerMetrics(
+      customer,
+      statsByCustomer.get(String(customer.id)),
+      now
+    )
+  );
+  applyRfmScores(customers);
+  applyChurnRisk(customers, statsByCustomer);
+  return applyClvPredictions(customers, statsByCustomer, now);
+}
+
+module.exports = {
+  NO_ORDER_DAYS,
+  buildCustomerMetrics,
+  applyRfmScores,
+  buildCustomersWithMetrics,
+};
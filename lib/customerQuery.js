@@ -0,0 +1,301 @@
+// lib/customerQuery.js
+// Server-side filtering, sorting and cursor paging for /api/shopify/customers
+//
+// Cursors are keyset cursors: they hold the sort value + id of the last
+// customer on the page, and the next page starts after that position. A
+// snapshot sync between two pages (new, deleted or re-sorted customers)
+// then doesn't make the pages skip or repeat the customers that stayed put.
+
+const crypto = require('crypto');
+const { CHURN_RISK_BANDS } = require('./churn');
+
+// query param -> [customer field, comparison]
+const RANGE_FILTERS = {
+  minSpent: ['totalSpent', 'min'],
+  maxSpent: ['totalSpent', 'max'],
+  minDaysSinceLastOrder: ['daysSinceLastOrder', 'min'],
+  maxDaysSinceLastOrder: ['daysSinceLastOrder', 'max'],
+  minOrders: ['totalOrders', 'min'],
+  maxOrders: ['totalOrders', 'max'],
+};
+
+const SORT_KEYS = [
+  'id',
+  'email',
+  'totalSpent',
+  'totalOrders',
+  'averageOrderValue',
+  'daysSinceLastOrder',
+  'lastOrderDate',
+  'predictedValue90',
+  'predictedValue365',
+  'probabilityAlive',
+  'churnRiskScore',
+];
+
+function splitList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value.join(',') : String(value);
+  return raw
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function customerTags(customer) {
+  return splitList(customer.tags);
+}
+
+// --------------------------------------------------
+// Parse + validate req.query
+// Returns { options } or { error }
+// --------------------------------------------------
+function parseCustomerQuery(query, { defaultLimit, maxLimit }) {
+  const options = {
+    ranges: [],
+    orderCount: null,
+    tags: splitList(query.tags),
+    tagMatch: query.tagMatch === 'all' ? 'all' : 'any',
+    states: splitList(query.state),
+    churnRiskBands: splitList(query.churnRiskBand),
+    search: query.search ? String(query.search).trim().toLowerCase() : '',
+    segmentId: query.segmentId ? String(query.segmentId) : null,
+    sortKey: 'id',
+    sortDir: 'asc',
+    limit: defaultLimit,
+    // { value, id } of the last customer on the previous page
+    after: null,
+  };
+
+  for (const [param, [field, kind]] of Object.entries(RANGE_FILTERS)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = Number(query[param]);
+    if (!Number.isFinite(value)) {
+      return { error: `${param} must be a number` };
+    }
+    options.ranges.push({ field, kind, value });
+  }
+
+  const unknownBand = options.churnRiskBands.find(
+    (b) => !CHURN_RISK_BANDS.includes(b)
+  );
+  if (unknownBand) {
+    return {
+      error: `churnRiskBand must be one of: ${CHURN_RISK_BANDS.join(', ')}`,
+    };
+  }
+
+  if (query.orderCount !== undefined && query.orderCount !== '') {
+    const value = Number(query.orderCount);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: 'orderCount must be a non-negative integer' };
+    }
+    options.orderCount = value;
+  }
+
+  // sort=totalSpent (asc) or sort=-totalSpent (desc)
+  if (query.sort) {
+    const sort = String(query.sort);
+    const desc = sort.startsWith('-');
+    const key = desc ? sort.slice(1) : sort;
+    if (!SORT_KEYS.includes(key)) {
+      return {
+        error: `sort must be one of: ${SORT_KEYS.join(', ')} (prefix with - for descending)`,
+      };
+    }
+    options.sortKey = key;
+    options.sortDir = desc ? 'desc' : 'asc';
+  }
+
+  if (query.limit !== undefined && query.limit !== '') {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    options.limit = Math.min(limit, maxLimit);
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.q !== queryFingerprint(options)) {
+      return {
+        error:
+          'Invalid cursor (it must come from a previous response with the same filters and sort)',
+      };
+    }
+    options.after = { value: cursor.k, id: cursor.i };
+  }
+
+  return { options };
+}
+
+// Cursors are tied to the filters + sort that produced them
+function queryFingerprint(options) {
+  const {
+    ranges,
+    orderCount,
+    tags,
+    tagMatch,
+    states,
+    churnRiskBands,
+    search,
+    segmentId,
+  } = options;
+  return crypto
+    .createHash('sha1')
+    .update(
+      JSON.stringify({
+        ranges,
+        orderCount,
+        tags,
+        tagMatch,
+        states,
+        churnRiskBands,
+        search,
+        segmentId,
+        sortKey: options.sortKey,
+        sortDir: options.sortDir,
+      })
+    )
+    .digest('hex')
+    .slice(0, 12);
+}
+
+// URL-safe base64 by hand (Buffer 'base64url' needs Node 15.7+)
+function encodeCursor(lastCustomer, options) {
+  return Buffer.from(
+    JSON.stringify({
+      k: sortValue(lastCustomer, options.sortKey),
+      i: lastCustomer.id,
+      q: queryFingerprint(options),
+    })
+  )
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const base64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+    const parsed = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+    const validValue =
+      parsed.k === null || ['number', 'string'].includes(typeof parsed.k);
+    return validValue && Number.isFinite(Number(parsed.i)) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// --------------------------------------------------
+// Filtering
+// --------------------------------------------------
+function matchesCustomer(customer, options) {
+  for (const { field, kind, value } of options.ranges) {
+    const actual = customer[field];
+    if (kind === 'min' && !(actual >= value)) return false;
+    if (kind === 'max' && !(actual <= value)) return false;
+  }
+
+  if (
+    options.orderCount !== null &&
+    customer.totalOrders !== options.orderCount
+  ) {
+    return false;
+  }
+
+  if (options.tags.length) {
+    const tags = customerTags(customer);
+    const hasTag = (t) => tags.includes(t);
+    const ok =
+      options.tagMatch === 'all'
+        ? options.tags.every(hasTag)
+        : options.tags.some(hasTag);
+    if (!ok) return false;
+  }
+
+  if (
+    options.states.length &&
+    !options.states.includes(String(customer.state || '').toLowerCase())
+  ) {
+    return false;
+  }
+
+  if (
+    options.churnRiskBands.length &&
+    !options.churnRiskBands.includes(customer.churnRiskBand)
+  ) {
+    return false;
+  }
+
+  if (options.search) {
+    const haystack = [customer.email, customer.firstName, customer.lastName]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    if (!haystack.includes(options.search)) return false;
+  }
+
+  return true;
+}
+
+function sortValue(customer, key) {
+  const value = customer[key];
+  if (value instanceof Date) return value.getTime();
+  if (value === null || value === undefined) return null;
+  return value;
+}
+
+function compareCustomers(a, b, { sortKey, sortDir }) {
+  const av = sortValue(a, sortKey);
+  const bv = sortValue(b, sortKey);
+  let result;
+  // Missing values always sort last
+  if (av === null && bv === null) result = 0;
+  else if (av === null) return 1;
+  else if (bv === null) return -1;
+  else if (typeof av === 'string' || typeof bv === 'string') {
+    result = String(av).localeCompare(String(bv));
+  } else {
+    result = av - bv;
+  }
+  if (sortDir === 'desc') result = -result;
+  // Tie-break on id so pages are stable
+  return result || Number(a.id) - Number(b.id);
+}
+
+// --------------------------------------------------
+// Filter + sort + page a customer list
+// --------------------------------------------------
+function queryCustomers(customers, options) {
+  const matching = customers
+    .filter((c) => matchesCustomer(c, options))
+    .sort((a, b) => compareCustomers(a, b, options));
+
+  let start = 0;
+  if (options.after) {
+    const last = {
+      id: options.after.id,
+      [options.sortKey]: options.after.value,
+    };
+    start = matching.findIndex((c) => compareCustomers(c, last, options) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + options.limit);
+  const hasMore = start + page.length < matching.length;
+
+  return {
+    customers: page,
+    total: matching.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], options) : null,
+  };
+}
+
+module.exports = {
+  SORT_KEYS,
+  parseCustomerQuery,
+  queryCustomers,
+};
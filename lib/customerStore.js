@@ -0,0 +1,405 @@
+// lib/customerStore.js
+// Local customer snapshot: one full sync from Shopify, then incremental
+// `updated_at_min` syncs. Routes read customers from here instead of
+// paging through Shopify on every request.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { fetchShopifyCustomersPaginated } = require('./customers');
+const { fetchShopifyOrdersPaginated } = require('./orders');
+const { buildCustomersWithMetrics } = require('./customerMetrics');
+const { exportCustomersWithOrders } = require('./shopifyBulk');
+
+// How many customers the snapshot holds (same ceiling as batch runs)
+const MAX_SNAPSHOT_CUSTOMERS = Number(
+  process.env.MAX_BATCH_CUSTOMERS || '10000'
+);
+
+// Snapshot older than this gets an incremental sync before it is served
+const SYNC_MAX_AGE_MINUTES = Number(process.env.SYNC_MAX_AGE_MINUTES || '15');
+
+// Full re-sync interval (picks up deleted customers / orders)
+const SYNC_FULL_INTERVAL_HOURS = Number(
+  process.env.SYNC_FULL_INTERVAL_HOURS || '24'
+);
+
+// Use a GraphQL bulk operation for every full sync (large stores)
+const BULK_FULL_SYNC = process.env.SHOPIFY_BULK_FULL_SYNC === 'true';
+
+// Overlap incremental windows so clock skew never drops an update
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+const store = createJsonStore('customer-snapshot.json', {
+  customers: {},
+  orders: {},
+  lastFullSyncAt: null,
+  lastSyncAt: null,
+  lastSyncType: null,
+  lastSyncStats: null,
+  lastError: null,
+});
+
+// { id, kind, status, promise, listeners, ... }: the running sync, and at
+// most one sync waiting for it (kind: 'incremental' | 'full' | 'full-bulk';
+// listeners: progress callbacks of everyone waiting on that sync)
+let syncInFlight = null;
+let syncQueued = null;
+// Finished syncs, oldest first, for GET /api/sync/:id
+const SYNC_HISTORY = 20;
+const recentSyncs = [];
+let metricsCache = null; // { version, customers }
+let snapshotVersion = 0;
+
+// Keep only what the metrics need (raw customers carry addresses etc.)
+function slimCustomer(customer) {
+  return {
+    id: customer.id,
+    email: customer.email,
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    orders_count: customer.orders_count,
+    total_spent: customer.total_spent,
+    tags: customer.tags,
+    state: customer.state,
+    created_at: customer.created_at,
+    updated_at: customer.updated_at,
+  };
+}
+
+function slimOrder(order) {
+  return {
+    id: order.id,
+    customer: order.customer ? { id: order.customer.id } : null,
+    created_at: order.created_at,
+    updated_at: order.updated_at,
+    cancelled_at: order.cancelled_at,
+    total_price: order.total_price,
+    financial_status: order.financial_status,
+  };
+}
+
+function emitSyncProgress(event) {
+  for (const listener of syncInFlight ? syncInFlight.listeners : []) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Sync progress listener failed:', error);
+    }
+  }
+}
+
+function pageReporter(resource) {
+  return ({ count, total }) =>
+    emitSyncProgress({ stage: 'page-fetched', resource, count, total });
+}
+
+function toMap(items, slim) {
+  const map = {};
+  for (const item of items) map[String(item.id)] = slim(item);
+  return map;
+}
+
+// --------------------------------------------------
+// Full sync: replace the snapshot with everything Shopify has
+// useBulkOperation: export via GraphQL bulk query instead of REST paging
+// --------------------------------------------------
+async function runFullSync({ useBulkOperation = BULK_FULL_SYNC } = {}) {
+  const startedAt = new Date();
+  console.log(
+    `\n🗄️  Customer snapshot: FULL sync starting (${
+      useBulkOperation ? 'bulk operation' : 'REST pagination'
+    })…`
+  );
+
+  let rawCustomers;
+  let orders;
+  emitSyncProgress({
+    stage: 'sync-started',
+    mode: useBulkOperation ? 'full-bulk' : 'full',
+  });
+  if (useBulkOperation) {
+    ({ customers: rawCustomers, orders } = await exportCustomersWithOrders({
+      onProgress: ({ status, objectCount }) =>
+        emitSyncProgress({ stage: 'bulk-status', status, objectCount }),
+    }));
+  } else {
+    rawCustomers = await fetchShopifyCustomersPaginated(
+      MAX_SNAPSHOT_CUSTOMERS,
+      { onPage: pageReporter('customers') }
+    );
+    orders = await fetchShopifyOrdersPaginated({
+      onPage: pageReporter('orders'),
+    });
+  }
+
+  const data = await store.read();
+  data.customers = toMap(rawCustomers, slimCustomer);
+  data.orders = toMap(orders, slimOrder);
+  data.lastFullSyncAt = startedAt.toISOString();
+  data.lastSyncAt = startedAt.toISOString();
+  data.lastSyncType = useBulkOperation ? 'full-bulk' : 'full';
+  data.lastSyncStats = {
+    customersFetched: rawCustomers.length,
+    ordersFetched: orders.length,
+    durationMs: Date.now() - startedAt.getTime(),
+  };
+  data.lastError = null;
+  await store.write(data);
+  snapshotVersion++;
+
+  console.log(
+    `🗄️  Customer snapshot: FULL sync done (${rawCustomers.length} customers, ${orders.length} orders)`
+  );
+  return data.lastSyncStats;
+}
+
+// --------------------------------------------------
+// Incremental sync: merge customers/orders updated since the last sync
+// --------------------------------------------------
+async function runIncrementalSync() {
+  const data = await store.read();
+  if (!data.lastSyncAt) return runFullSync();
+
+  const startedAt = new Date();
+  const since = new Date(
+    new Date(data.lastSyncAt).getTime() - SYNC_OVERLAP_MS
+  ).toISOString();
+  console.log(`\n🗄️  Customer snapshot: incremental sync since ${since}…`);
+  emitSyncProgress({ stage: 'sync-started', mode: 'incremental', since });
+
+  const changedCustomers = await fetchShopifyCustomersPaginated(
+    MAX_SNAPSHOT_CUSTOMERS,
+    { updatedAtMin: since, onPage: pageReporter('customers') }
+  );
+  const changedOrders = await fetchShopifyOrdersPaginated({
+    updatedAtMin: since,
+    onPage: pageReporter('orders'),
+  });
+
+  let newCustomers = 0;
+  for (const customer of changedCustomers) {
+    const key = String(customer.id);
+    if (!data.customers[key]) newCustomers++;
+    data.customers[key] = slimCustomer(customer);
+  }
+  for (const order of changedOrders) {
+    data.orders[String(order.id)] = slimOrder(order);
+  }
+
+  data.lastSyncAt = startedAt.toISOString();
+  data.lastSyncType = 'incremental';
+  data.lastSyncStats = {
+    customersUpdated: changedCustomers.length,
+    customersAdded: newCustomers,
+    ordersUpdated: changedOrders.length,
+    durationMs: Date.now() - startedAt.getTime(),
+  };
+  data.lastError = null;
+  await store.write(data);
+  snapshotVersion++;
+
+  console.log(
+    `🗄️  Customer snapshot: incremental sync done (${changedCustomers.length} customers, ${changedOrders.length} orders)`
+  );
+  return data.lastSyncStats;
+}
+
+// A full snapshot also brings everything an incremental sync would
+function covers(runningKind, requestedKind) {
+  return requestedKind === 'incremental' || runningKind !== 'incremental';
+}
+
+function newSyncId() {
+  return `sync_${Date.now().toString(36)}${crypto
+    .randomBytes(3)
+    .toString('hex')}`;
+}
+
+function describeSync(entry) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    status: entry.status,
+    queuedAt: entry.queuedAt,
+    startedAt: entry.startedAt,
+    finishedAt: entry.finishedAt,
+    stats: entry.stats,
+    error: entry.error,
+  };
+}
+
+function finishSync(entry, changes) {
+  Object.assign(entry, changes, { finishedAt: new Date().toISOString() });
+  recentSyncs.push(describeSync(entry));
+  if (recentSyncs.length > SYNC_HISTORY) recentSyncs.shift();
+}
+
+function runSync(entry) {
+  syncInFlight = entry;
+  if (syncQueued === entry) syncQueued = null;
+  entry.status = 'running';
+  entry.startedAt = new Date().toISOString();
+
+  const run =
+    entry.kind === 'incremental'
+      ? runIncrementalSync()
+      : runFullSync({ useBulkOperation: entry.kind === 'full-bulk' });
+  return run
+    .then((stats) => {
+      emitSyncProgress({ stage: 'sync-done', stats });
+      finishSync(entry, { status: 'completed', stats });
+      return stats;
+    })
+    .catch(async (error) => {
+      finishSync(entry, {
+        status: 'failed',
+        error: error.message || 'Unknown error',
+      });
+      const data = await store.read();
+      data.lastError = {
+        message: error.message || 'Unknown error',
+        at: new Date().toISOString(),
+      };
+      await store.write(data);
+      throw error;
+    })
+    .finally(() => {
+      syncInFlight = null;
+    });
+}
+
+// --------------------------------------------------
+// Run a sync
+// mode: 'full' | 'incremental'
+// Callers share a running sync when it covers what they asked for (a full
+// sync covers an incremental one). Otherwise the sync is queued to run
+// right after; a full request upgrades an incremental one already queued.
+// onProgress(event): { stage: 'sync-started' | 'page-fetched' |
+//   'bulk-status' | 'sync-done', ... }, also when joining a running sync
+// -> the sync's stats
+// --------------------------------------------------
+function sync(mode = 'incremental', options = {}) {
+  return requestSync(mode, options).promise;
+}
+
+// Same, without waiting: -> the sync (see getSync), which keeps running
+// in the background
+function startSync(mode = 'incremental', options = {}) {
+  const entry = requestSync(mode, options);
+  entry.promise.catch((error) => {
+    console.error(`Error in background snapshot sync ${entry.id}:`, error);
+  });
+  return describeSync(entry);
+}
+
+function requestSync(mode, { useBulkOperation, onProgress }) {
+  let kind = 'incremental';
+  if (mode === 'full') {
+    kind = (useBulkOperation ?? BULK_FULL_SYNC) ? 'full-bulk' : 'full';
+  }
+
+  let entry = [syncInFlight, syncQueued].find((e) => e && covers(e.kind, kind));
+  if (!entry && syncQueued) {
+    // Not started yet: run the bigger sync instead
+    syncQueued.kind = kind;
+    entry = syncQueued;
+  }
+  if (entry) {
+    if (onProgress) entry.listeners.add(onProgress);
+    return entry;
+  }
+
+  entry = {
+    id: newSyncId(),
+    kind,
+    status: 'queued',
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    stats: null,
+    error: null,
+    listeners: new Set(onProgress ? [onProgress] : []),
+  };
+  if (syncInFlight) {
+    syncQueued = entry;
+    entry.promise = syncInFlight.promise
+      .catch(() => {})
+      .then(() => runSync(entry));
+  } else {
+    entry.promise = runSync(entry);
+  }
+  return entry;
+}
+
+// A running, queued or recently finished sync (null when unknown)
+function getSync(id) {
+  for (const entry of [syncInFlight, syncQueued]) {
+    if (entry && entry.id === id) return describeSync(entry);
+  }
+  return recentSyncs.find((s) => s.id === id) || null;
+}
+
+// --------------------------------------------------
+// Make sure the snapshot exists and is reasonably fresh
+// --------------------------------------------------
+async function ensureFresh({ onProgress } = {}) {
+  const data = await store.read();
+  const now = Date.now();
+
+  if (
+    !data.lastFullSyncAt ||
+    now - new Date(data.lastFullSyncAt).getTime() >
+      SYNC_FULL_INTERVAL_HOURS * 60 * 60 * 1000
+  ) {
+    await sync('full', { onProgress });
+  } else if (
+    now - new Date(data.lastSyncAt).getTime() >
+    SYNC_MAX_AGE_MINUTES * 60 * 1000
+  ) {
+    await sync('incremental', { onProgress });
+  }
+}
+
+// --------------------------------------------------
+// Customer metric objects built from the snapshot (cached per version)
+// --------------------------------------------------
+async function getCustomersWithMetrics() {
+  if (metricsCache && metricsCache.version === snapshotVersion) {
+    return metricsCache.customers;
+  }
+
+  const data = await store.read();
+  const customers = buildCustomersWithMetrics(
+    Object.values(data.customers),
+    Object.values(data.orders)
+  );
+  metricsCache = { version: snapshotVersion, customers };
+  return customers;
+}
+
+async function getStatus() {
+  const data = await store.read();
+  return {
+    lastSyncAt: data.lastSyncAt,
+    lastFullSyncAt: data.lastFullSyncAt,
+    lastSyncType: data.lastSyncType,
+    lastSyncStats: data.lastSyncStats,
+    lastError: data.lastError,
+    syncInProgress: !!syncInFlight,
+    syncRunning: syncInFlight ? describeSync(syncInFlight) : null,
+    syncQueued: syncQueued ? describeSync(syncQueued) : null,
+    customerCount: Object.keys(data.customers).length,
+    orderCount: Object.keys(data.orders).length,
+    maxAgeMinutes: SYNC_MAX_AGE_MINUTES,
+    fullSyncIntervalHours: SYNC_FULL_INTERVAL_HOURS,
+  };
+}
+
+module.exports = {
+  sync,
+  startSync,
+  getSync,
+  ensureFresh,
+  getCustomersWithMetrics,
+  getStatus,
+};
@@ -0,0 +1,37 @@
+// lib/customers.js
+// Shopify customer fetching (REST, cursor pagination)
+
+const shopify = require('./shopifyClient');
+
+// --------------------------------------------------
+// Helper: fetch customers from Shopify with pagination
+// Pass updatedAtMin to only pull customers changed since a given time.
+// onPage({ count, total }) is called after every page.
+// --------------------------------------------------
+async function fetchShopifyCustomersPaginated(
+  limitTotal,
+  { updatedAtMin = null, onPage } = {}
+) {
+  console.log('\n📄 Starting Shopify pagination fetch...');
+  console.log(`➡️ Limit Total: ${limitTotal}`);
+  if (updatedAtMin) console.log(`➡️ Updated since: ${updatedAtMin}`);
+
+  const allCustomers = await shopify.paginate('/customers.json', {
+    resourceKey: 'customers',
+    query: { updated_at_min: updatedAtMin },
+    limitTotal,
+    onPage: ({ count, total }) => {
+      console.log(
+        `📦 Customers received this page: ${count} (total so far: ${total})`
+      );
+      if (onPage) onPage({ count, total });
+    },
+  });
+
+  console.log(`\n✅ TOTAL RAW CUSTOMERS FETCHED: ${allCustomers.length}`);
+  console.log('--------------------------------------------------------');
+
+  return allCustomers;
+}
+
+module.exports = { fetchShopifyCustomersPaginated };
@@ -0,0 +1,166 @@
+// lib/discountBatches.js
+// Discount codes through Shopify's batch job API: up to 100 codes per
+// job (POST /price_rules/<id>/batch.json), polled until Shopify has
+// imported them, then read back code by code for errors. 1,000 unique
+// codes are 10 jobs instead of 1,000 requests.
+//
+// DISCOUNT_BATCH_POLL_INTERVAL_MS (default 1000) between status checks;
+// DISCOUNT_BATCH_TIMEOUT_MINUTES (default 10) before a job is given up on.
+// A job that times out may still finish in Shopify: re-running with the
+// same idempotencyKey picks up whatever it created (lib/discounts).
+
+const shopify = require('./shopifyClient');
+
+const BATCH_SIZE = 100;
+const BATCH_POLL_INTERVAL_MS = Number(
+  process.env.DISCOUNT_BATCH_POLL_INTERVAL_MS || '1000'
+);
+const BATCH_TIMEOUT_MINUTES = Number(
+  process.env.DISCOUNT_BATCH_TIMEOUT_MINUTES || '10'
+);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// { code: ['must be unique'] } -> 'code must be unique'
+function formatCodeErrors(errors) {
+  if (!errors) return null;
+  if (typeof errors === 'string') return errors || null;
+  const messages = Object.entries(errors).flatMap(([field, list]) =>
+    (Array.isArray(list) ? list : [list]).map((m) => `${field} ${m}`)
+  );
+  return messages.length ? messages.join('; ') : null;
+}
+
+function describeBatch(batch) {
+  return {
+    id: batch.id,
+    status: batch.status,
+    codesCount: batch.codes_count,
+    importedCount: batch.imported_count,
+    failedCount: batch.failed_count,
+  };
+}
+
+// --------------------------------------------------
+// Queue one job (<= BATCH_SIZE codes)
+// --------------------------------------------------
+async function queueBatch(priceRuleId, codes) {
+  const { data } = await shopify.post(
+    `/price_rules/${priceRuleId}/batch.json`,
+    {
+      discount_codes: codes.map((code) => ({ code })),
+    }
+  );
+  return data.discount_code_creation;
+}
+
+// --------------------------------------------------
+// Poll until Shopify reports the job completed
+// --------------------------------------------------
+async function waitForBatch(priceRuleId, batchId, { onStatus } = {}) {
+  const deadline = Date.now() + BATCH_TIMEOUT_MINUTES * 60 * 1000;
+
+  while (Date.now() < deadline) {
+    const { data } = await shopify.get(
+      `/price_rules/${priceRuleId}/batch/${batchId}.json`
+    );
+    const batch = data.discount_code_creation;
+    if (onStatus) onStatus(batch);
+    if (batch.status === 'completed') return batch;
+
+    await sleep(BATCH_POLL_INTERVAL_MS);
+  }
+
+  throw new Error(
+    `Discount code batch ${batchId} did not finish within ${BATCH_TIMEOUT_MINUTES} minutes`
+  );
+}
+
+// Per-code outcome of a finished job: [{ code, id, error }]
+async function fetchBatchResults(priceRuleId, batchId) {
+  const { data } = await shopify.get(
+    `/price_rules/${priceRuleId}/batch/${batchId}/discount_codes.json`
+  );
+  return ((data && data.discount_codes) || []).map((c) => ({
+    code: c.code,
+    id: c.id || null,
+    error: formatCodeErrors(c.errors),
+  }));
+}
+
+// --------------------------------------------------
+// Create `codes` under one price rule. All jobs are queued first, then
+// polled in order. Never throws for a failed job: its codes come back in
+// `errors` instead.
+// -> { created: Set<code>, errors: Map<code, { error, details }>,
+//      batches: [{ id, status, codesCount, importedCount, failedCount }] }
+// onProgress({ stage: 'batch-queued' | 'batch-status', batch })
+// --------------------------------------------------
+async function createCodesInBatches(priceRuleId, codes, { onProgress } = {}) {
+  const created = new Set();
+  const errors = new Map();
+  const batches = [];
+
+  const failAll = (chunk, error) => {
+    for (const code of chunk) {
+      errors.set(code, {
+        error: error.message,
+        details: error instanceof shopify.ShopifyApiError ? error : undefined,
+      });
+    }
+  };
+
+  const queued = [];
+  for (let i = 0; i < codes.length; i += BATCH_SIZE) {
+    const chunk = codes.slice(i, i + BATCH_SIZE);
+    try {
+      const batch = await queueBatch(priceRuleId, chunk);
+      queued.push({ chunk, batch });
+      if (onProgress) {
+        onProgress({ stage: 'batch-queued', batch: describeBatch(batch) });
+      }
+    } catch (error) {
+      console.error(
+        `Error queueing ${chunk.length} discount codes for price rule ${priceRuleId}:`,
+        error
+      );
+      failAll(chunk, error);
+    }
+  }
+
+  for (const { chunk, batch } of queued) {
+    try {
+      const finished = await waitForBatch(priceRuleId, batch.id, {
+        onStatus: (b) =>
+          onProgress &&
+          onProgress({ stage: 'batch-status', batch: describeBatch(b) }),
+      });
+      batches.push(describeBatch(finished));
+
+      const results = new Map(
+        (await fetchBatchResults(priceRuleId, batch.id)).map((r) => [r.code, r])
+      );
+      for (const code of chunk) {
+        const result = results.get(code);
+        if (result && !result.error) {
+          created.add(code);
+        } else {
+          errors.set(code, {
+            error: result ? result.error : 'Missing from batch results',
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`Error in discount code batch ${batch.id}:`, error);
+      batches.push({ ...describeBatch(batch), status: 'failed' });
+      failAll(chunk, error);
+    }
+  }
+
+  return { created, errors, batches };
+}
+
+module.exports = {
+  BATCH_SIZE,
+  createCodesInBatches,
+};
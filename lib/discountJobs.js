@@ -0,0 +1,196 @@
+// lib/discountJobs.js
+// Background runs of createDiscountCodes for /api/shopify/discounts with
+// `async: true`: the request returns a job id right away and the dashboard
+// follows GET /api/shopify/discounts/jobs/:id until the job is completed.
+//
+// Jobs are kept in discount-jobs.json (the last DISCOUNT_JOB_HISTORY,
+// default 50). A job that was running when the server stopped is reported
+// as 'interrupted'; re-running it with the same idempotencyKey picks up
+// where it stopped.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const {
+  createDiscountCodes,
+  isRunInFlight,
+  DiscountRunInFlightError,
+} = require('./discounts');
+
+const DISCOUNT_JOB_HISTORY = Number(process.env.DISCOUNT_JOB_HISTORY || '50');
+
+// Tells this process' jobs apart from ones a previous process left running
+const BOOT_ID = crypto.randomBytes(6).toString('hex');
+
+const store = createJsonStore('discount-jobs.json', { jobs: [] });
+
+function newJobId() {
+  return `dj_${Date.now().toString(36)}${crypto
+    .randomBytes(3)
+    .toString('hex')}`;
+}
+
+function withLiveStatus({ bootId, ...job }) {
+  if (['queued', 'running'].includes(job.status) && bootId !== BOOT_ID) {
+    return { ...job, status: 'interrupted' };
+  }
+  return job;
+}
+
+async function updateJob(id, mutate) {
+  await store.update((data) => {
+    const job = data.jobs.find((j) => j.id === id);
+    if (job) {
+      mutate(job);
+      job.updatedAt = new Date().toISOString();
+    }
+  });
+}
+
+// Fold createDiscountCodes progress events into job.progress
+function applyProgress(progress, event) {
+  switch (event.stage) {
+    case 'plan-ready':
+      progress.tiersTotal = event.tiers;
+      progress.codesToCreate = event.toCreate;
+      progress.codesExisting = event.existing;
+      progress.codesConflicting = event.conflicts;
+      break;
+    case 'batch-queued':
+    case 'batch-status': {
+      const batch = { tierCode: event.tierCode, ...event.batch };
+      const index = progress.batches.findIndex((b) => b.id === batch.id);
+      if (index === -1) progress.batches.push(batch);
+      else progress.batches[index] = batch;
+      progress.codesImported = progress.batches.reduce(
+        (sum, b) => sum + (b.importedCount || 0),
+        0
+      );
+      progress.codesFailed = progress.batches.reduce(
+        (sum, b) => sum + (b.failedCount || 0),
+        0
+      );
+      break;
+    }
+    case 'tier-done':
+      progress.tiersDone++;
+      break;
+    default:
+  }
+  progress.lastStage = event.stage;
+}
+
+// --------------------------------------------------
+// Start a job; resolves once it is stored, not when it finishes
+// -> the job (see getJob)
+// Throws DiscountRunInFlightError when its idempotencyKey is already
+// being run (by a job or a request)
+// --------------------------------------------------
+async function startDiscountJob(recommendations, options = {}) {
+  if (isRunInFlight(options.idempotencyKey)) {
+    throw new DiscountRunInFlightError(options.idempotencyKey);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: newJobId(),
+    status: 'queued',
+    bootId: BOOT_ID,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    request: {
+      recommendations: recommendations.length,
+      codeMode: options.codeMode || 'unique',
+      idempotencyKey: options.idempotencyKey || null,
+    },
+    progress: {
+      tiersTotal: null,
+      tiersDone: 0,
+      codesToCreate: null,
+      codesExisting: null,
+      codesConflicting: null,
+      codesImported: 0,
+      codesFailed: 0,
+      batches: [],
+      lastStage: null,
+    },
+    result: null,
+    error: null,
+  };
+
+  const stored = store.update((data) => {
+    data.jobs.push(job);
+    data.jobs = data.jobs.slice(-DISCOUNT_JOB_HISTORY);
+  });
+
+  // Progress writes are chained after the job is stored so they land in
+  // order. The run itself starts in this same tick, so it claims its
+  // idempotencyKey before another request can get past the check above.
+  let writes = stored.catch(() => {});
+  const track = (mutate) => {
+    writes = writes
+      .then(() => updateJob(job.id, mutate))
+      .catch((error) => {
+        console.error(`Error updating discount job ${job.id}:`, error);
+      });
+    return writes;
+  };
+
+  track((j) => {
+    j.status = 'running';
+    j.startedAt = new Date().toISOString();
+  });
+
+  createDiscountCodes(recommendations, {
+    ...options,
+    dryRun: false,
+    onProgress: (event) => track((j) => applyProgress(j.progress, event)),
+  })
+    .then((result) =>
+      track((j) => {
+        j.status = 'completed';
+        j.finishedAt = new Date().toISOString();
+        j.result = result;
+      })
+    )
+    .then(() => {
+      console.log(`🏷️  Discount job ${job.id} completed`);
+    })
+    .catch((error) => {
+      console.error(`Error in discount job ${job.id}:`, error);
+      return track((j) => {
+        j.status = 'failed';
+        j.finishedAt = new Date().toISOString();
+        j.error = error.message || 'Unknown error';
+      });
+    });
+
+  await stored;
+  return withLiveStatus(job);
+}
+
+// null when unknown (or pruned from the history)
+async function getJob(id) {
+  const { jobs } = await store.read();
+  const job = jobs.find((j) => j.id === id);
+  return job ? withLiveStatus(job) : null;
+}
+
+// Newest first, without the (large) results
+async function listJobs() {
+  const { jobs } = await store.read();
+  return jobs
+    .map(withLiveStatus)
+    .reverse()
+    .map(({ result, ...job }) => ({
+      ...job,
+      progress: { ...job.progress, batches: job.progress.batches.length },
+    }));
+}
+
+module.exports = {
+  startDiscountJob,
+  getJob,
+  listJobs,
+};
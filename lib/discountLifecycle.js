@@ -0,0 +1,359 @@
+// lib/discountLifecycle.js
+// Housekeeping for the price rules /api/shopify/discounts creates
+// ("<code> - AI Dynamic Pricing", see lib/discounts): list them with their
+// codes and redemptions, expire / extend / delete them in bulk, and sweep
+// away rules that expired long ago.
+//
+// Only rules with that title are ever touched; anything else in the store
+// is reported as a failure, not modified.
+//
+// Sweep: DISCOUNT_SWEEP_MIN_AGE_DAYS (default 30) is how long a rule must
+// have been expired before it is deleted. DISCOUNT_SWEEP_INTERVAL_HOURS
+// (default 0 = off) runs the sweep on a timer; it can always be run by hand
+// via POST /api/shopify/discounts/sweep.
+
+const shopify = require('./shopifyClient');
+const { parsePriceRuleTitle, getPriceRule } = require('./discounts');
+const offers = require('./offers');
+
+const BULK_ACTIONS = ['expire', 'extend', 'delete'];
+const RULE_STATUSES = ['active', 'scheduled', 'expired'];
+const MAX_BULK_IDS = 250;
+
+const DISCOUNT_SWEEP_MIN_AGE_DAYS = Number(
+  process.env.DISCOUNT_SWEEP_MIN_AGE_DAYS || '30'
+);
+const DISCOUNT_SWEEP_INTERVAL_HOURS = Number(
+  process.env.DISCOUNT_SWEEP_INTERVAL_HOURS || '0'
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let lastSweep = null;
+// { minAgeDays, dryRun, promise } while a sweep runs
+let sweepInFlight = null;
+let sweepTimer = null;
+
+class SweepInFlightError extends Error {
+  constructor({ minAgeDays, dryRun }) {
+    super(
+      `A discount sweep (minAgeDays ${minAgeDays}${
+        dryRun ? ', dry run' : ''
+      }) is already running; retry once it has finished`
+    );
+    this.name = 'SweepInFlightError';
+    this.status = 409;
+  }
+}
+
+function ruleStatus(rule, now = new Date().toISOString()) {
+  if (rule.starts_at && rule.starts_at > now) return 'scheduled';
+  if (rule.ends_at && rule.ends_at <= now) return 'expired';
+  return 'active';
+}
+
+// percentage for percentage rules (free shipping / buy X get Y included:
+// their value is a percentage of the shipping line / the free items),
+// amount for fixed-amount ones; the other is null
+function describeRule(rule, codes) {
+  const { tierCode, idempotencyKey } = parsePriceRuleTitle(rule.title);
+  const value = Math.abs(Number(rule.value));
+  const fixedAmount = rule.value_type === 'fixed_amount';
+  return {
+    id: rule.id,
+    title: rule.title,
+    tierCode,
+    idempotencyKey,
+    offerType: offers.offerTypeOfPriceRule(rule),
+    percentage: fixedAmount ? null : value,
+    amount: fixedAmount ? value : null,
+    status: ruleStatus(rule),
+    startsAt: rule.starts_at || null,
+    endsAt: rule.ends_at || null,
+    usageLimit: rule.usage_limit ?? null,
+    lockedToCustomers: rule.customer_selection === 'prerequisite',
+    createdAt: rule.created_at || null,
+    ...(codes
+      ? {
+          codeCount: codes.length,
+          redemptions: codes.reduce((sum, c) => sum + (c.usage_count || 0), 0),
+          codes: codes.map((c) => ({
+            id: c.id,
+            code: c.code,
+            usageCount: c.usage_count || 0,
+          })),
+        }
+      : {}),
+  };
+}
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateListOptions({ status }) {
+  const errors = [];
+  if (status !== undefined && !RULE_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${RULE_STATUSES.join(', ')}`);
+  }
+  return errors;
+}
+
+function validateBulkAction({ action, ids, days }) {
+  const errors = [];
+  if (!BULK_ACTIONS.includes(action)) {
+    errors.push(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > MAX_BULK_IDS ||
+    !ids.every((id) => /^\d+$/.test(String(id)))
+  ) {
+    errors.push(`ids must be a list of 1-${MAX_BULK_IDS} price rule ids`);
+  }
+  if (action === 'extend') {
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      errors.push('days must be a whole number between 1 and 365');
+    }
+  } else if (days !== undefined) {
+    errors.push('days only applies to action "extend"');
+  }
+  return errors;
+}
+
+function validateSweepOptions({ minAgeDays, dryRun }) {
+  const errors = [];
+  if (
+    minAgeDays !== undefined &&
+    (!Number.isInteger(minAgeDays) || minAgeDays < 0 || minAgeDays > 3650)
+  ) {
+    errors.push('minAgeDays must be a whole number between 0 and 3650');
+  }
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    errors.push('dryRun must be a boolean');
+  }
+  return errors;
+}
+
+// --------------------------------------------------
+// Listing
+// --------------------------------------------------
+async function fetchAiPriceRules(query = {}) {
+  const rules = await shopify.paginate('/price_rules.json', {
+    resourceKey: 'price_rules',
+    query,
+  });
+  return rules.filter((rule) => parsePriceRuleTitle(rule.title));
+}
+
+function fetchCodes(priceRuleId) {
+  return shopify.paginate(`/price_rules/${priceRuleId}/discount_codes.json`, {
+    resourceKey: 'discount_codes',
+  });
+}
+
+// -> { rules: [...], totals: { rules, codes, redemptions, byStatus } }
+// includeCodes: false skips the per-rule code listing (one call per rule)
+async function listAiDiscounts({ status, includeCodes = true } = {}) {
+  const now = new Date().toISOString();
+  const rules = (await fetchAiPriceRules()).filter(
+    (rule) => !status || ruleStatus(rule, now) === status
+  );
+
+  const described = [];
+  for (const rule of rules) {
+    const codes = includeCodes ? await fetchCodes(rule.id) : null;
+    described.push(describeRule(rule, codes));
+  }
+  described.sort((a, b) =>
+    String(b.createdAt || '').localeCompare(String(a.createdAt || ''))
+  );
+
+  const byStatus = Object.fromEntries(RULE_STATUSES.map((s) => [s, 0]));
+  for (const rule of described) byStatus[rule.status]++;
+
+  return {
+    rules: described,
+    totals: {
+      rules: described.length,
+      byStatus,
+      ...(includeCodes
+        ? {
+            codes: described.reduce((sum, r) => sum + r.codeCount, 0),
+            redemptions: described.reduce((sum, r) => sum + r.redemptions, 0),
+          }
+        : {}),
+    },
+  };
+}
+
+// --------------------------------------------------
+// Bulk expire / extend / delete
+// extend: `days` past the current end (or past now, for expired rules)
+// -> { action, succeeded: [{ id, title, endsAt }], failed: [{ id, error }] }
+// --------------------------------------------------
+async function applyBulkAction({ action, ids, days }) {
+  const succeeded = [];
+  const failed = [];
+
+  for (const id of [...new Set(ids.map(Number))]) {
+    try {
+      const rule = await getPriceRule(id);
+      if (!rule) {
+        failed.push({ id, error: 'Price rule not found' });
+        continue;
+      }
+      if (!parsePriceRuleTitle(rule.title)) {
+        failed.push({
+          id,
+          error: 'Not an AI Dynamic Pricing price rule, left untouched',
+        });
+        continue;
+      }
+
+      if (action === 'delete') {
+        await shopify.del(`/price_rules/${rule.id}.json`);
+        succeeded.push({ id: rule.id, title: rule.title, deleted: true });
+        continue;
+      }
+
+      const now = Date.now();
+      let endsAt;
+      if (action === 'expire') {
+        endsAt = new Date(now).toISOString();
+      } else {
+        const currentEnd = rule.ends_at ? Date.parse(rule.ends_at) : now;
+        endsAt = new Date(
+          Math.max(currentEnd, now) + days * DAY_MS
+        ).toISOString();
+      }
+      await shopify.put(`/price_rules/${rule.id}.json`, {
+        price_rule: { id: rule.id, ends_at: endsAt },
+      });
+      succeeded.push({ id: rule.id, title: rule.title, endsAt });
+    } catch (error) {
+      console.error(`Error applying ${action} to price rule ${id}:`, error);
+      failed.push({
+        id,
+        error: error.message,
+        details: error instanceof shopify.ShopifyApiError ? error : undefined,
+      });
+    }
+  }
+
+  return { action, succeeded, failed };
+}
+
+// --------------------------------------------------
+// Sweep: delete AI rules that expired more than minAgeDays ago
+// -> { minAgeDays, cutoff, dryRun, deleted, failed, startedAt, finishedAt }
+// Overlapping calls with the same options share the sweep already
+// running; different options reject with SweepInFlightError
+// --------------------------------------------------
+async function sweepExpiredRules({
+  minAgeDays = DISCOUNT_SWEEP_MIN_AGE_DAYS,
+  dryRun = false,
+} = {}) {
+  if (sweepInFlight) {
+    if (
+      sweepInFlight.minAgeDays === minAgeDays &&
+      sweepInFlight.dryRun === dryRun
+    ) {
+      return sweepInFlight.promise;
+    }
+    throw new SweepInFlightError(sweepInFlight);
+  }
+  const promise = runSweep({ minAgeDays, dryRun }).finally(() => {
+    sweepInFlight = null;
+  });
+  sweepInFlight = { minAgeDays, dryRun, promise };
+  return promise;
+}
+
+async function runSweep({ minAgeDays, dryRun }) {
+  const startedAt = new Date().toISOString();
+  const cutoff = new Date(Date.now() - minAgeDays * DAY_MS).toISOString();
+
+  const rules = (await fetchAiPriceRules({ ends_at_max: cutoff })).filter(
+    (rule) => rule.ends_at && rule.ends_at <= cutoff
+  );
+
+  const deleted = [];
+  const failed = [];
+  for (const rule of rules) {
+    const entry = { id: rule.id, title: rule.title, endsAt: rule.ends_at };
+    if (dryRun) {
+      deleted.push(entry);
+      continue;
+    }
+    try {
+      await shopify.del(`/price_rules/${rule.id}.json`);
+      deleted.push(entry);
+    } catch (error) {
+      console.error(`Error sweeping price rule ${rule.id}:`, error);
+      failed.push({ ...entry, error: error.message });
+    }
+  }
+
+  const result = {
+    minAgeDays,
+    cutoff,
+    dryRun,
+    deleted,
+    failed,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+  };
+  if (!dryRun) lastSweep = result;
+  return result;
+}
+
+// Timer for DISCOUNT_SWEEP_INTERVAL_HOURS (no-op when 0). The timer doesn't
+// keep the process alive.
+function startSweepSchedule() {
+  if (sweepTimer || !(DISCOUNT_SWEEP_INTERVAL_HOURS > 0)) return false;
+  sweepTimer = setInterval(
+    async () => {
+      try {
+        const { deleted, failed } = await sweepExpiredRules();
+        console.log(
+          `🧹 Discount sweep: ${deleted.length} expired price rules deleted, ${failed.length} failed`
+        );
+      } catch (error) {
+        console.error('Error in scheduled discount sweep:', error);
+      }
+    },
+    DISCOUNT_SWEEP_INTERVAL_HOURS * 60 * 60 * 1000
+  );
+  sweepTimer.unref();
+  return true;
+}
+
+function getSweepStatus() {
+  return {
+    intervalHours: DISCOUNT_SWEEP_INTERVAL_HOURS,
+    minAgeDays: DISCOUNT_SWEEP_MIN_AGE_DAYS,
+    scheduled: !!sweepTimer,
+    running: !!sweepInFlight,
+    lastSweep: lastSweep && {
+      startedAt: lastSweep.startedAt,
+      finishedAt: lastSweep.finishedAt,
+      deleted: lastSweep.deleted.length,
+      failed: lastSweep.failed.length,
+    },
+  };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  RULE_STATUSES,
+  SweepInFlightError,
+  validateListOptions,
+  validateBulkAction,
+  validateSweepOptions,
+  listAiDiscounts,
+  applyBulkAction,
+  sweepExpiredRules,
+  startSweepSchedule,
+  getSweepStatus,
+};
@@ -0,0 +1,846 @@
+// lib/discounts.js
+// Shopify discount codes for a set of recommendations.
+//
+// codeMode 'unique' (default): every customer gets their own code,
+// "<tier code>-<random suffix>" (e.g. COMEBACK20-7KQ9XM), with one price
+// rule per tier (same percent + code). The rule's usage_limit equals the
+// number of codes and once_per_customer is set.
+//
+// lockToCustomer is a tier-level restriction, not a per-customer lock: the
+// tier's price rule gets prerequisite_customer_ids = every customer in the
+// tier. A code forwarded outside the tier won't redeem, but any customer of
+// the same tier can redeem any of its codes (Shopify ties customers to price
+// rules, not to individual codes).
+//
+// codeMode 'shared': one code per tier, usable once by each customer
+// (the old behaviour, minus the usage_limit of 1 that let only the first
+// customer redeem it).
+//
+// Re-runs don't duplicate anything:
+// - with an idempotencyKey (one per campaign) the run is remembered in
+//   discount-runs.json: customers keep the codes they were issued, price
+//   rules are reused (found by id, or by their title, which carries the
+//   key) and only what is missing gets created
+// - codes are looked up in Shopify before they are created, and a code
+//   that turns out to exist already on the same price rule is reused
+// dryRun returns the plan without writing anything (Shopify or local).
+//
+// Codes are created with Shopify's batch jobs (lib/discountBatches), 100
+// per job; lib/discountJobs runs the whole thing in the background for
+// callers that don't want to wait.
+//
+// Offers (lib/offers): a recommendation's `offer`, or the one tierOffers
+// sets for its code, decides the kind of price rule (fixed amount, free
+// shipping, buy X get Y, minimums, product / collection targeting); plain
+// percentage off everything when there is none.
+//
+// A run with an idempotencyKey is also what lib/attribution reports on: it
+// keeps the campaignName / campaignProjection it was created with, and
+// each tier its offer and the customers' expectedValue.
+
+const crypto = require('crypto');
+const shopify = require('./shopifyClient');
+const { createJsonStore } = require('./jsonStore');
+const { normalizeDiscountCode } = require('./aiValidation');
+const offers = require('./offers');
+const { createCodesInBatches } = require('./discountBatches');
+
+const CODE_MODES = ['unique', 'shared'];
+const DEFAULT_EXPIRES_IN_DAYS = 7;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// No 0/O/1/I: codes get typed in by hand
+const SUFFIX_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SUFFIX_LENGTH = 6;
+const MAX_CODE_LENGTH = 32;
+const MAX_CAMPAIGN_NAME_LENGTH = 200;
+
+const runStore = createJsonStore('discount-runs.json', { runs: {} });
+
+function randomSuffix() {
+  const bytes = crypto.randomBytes(SUFFIX_LENGTH);
+  let out = '';
+  for (const byte of bytes) {
+    out += SUFFIX_ALPHABET[byte % SUFFIX_ALPHABET.length];
+  }
+  return out;
+}
+
+// AI / rule code as the prefix, e.g. COMEBACK20 -> COMEBACK20-7KQ9XM
+function uniqueCode(tierCode, taken) {
+  const prefix = tierCode.slice(0, MAX_CODE_LENGTH - SUFFIX_LENGTH - 1);
+  let code;
+  do {
+    code = `${prefix}-${randomSuffix()}`;
+  } while (taken.has(code));
+  taken.add(code);
+  return code;
+}
+
+// "<tier code> - AI Dynamic Pricing [<idempotencyKey>]" marks the price
+// rules created here (lib/discountLifecycle lists / sweeps them by title)
+const PRICE_RULE_TITLE_SUFFIX = ' - AI Dynamic Pricing';
+const PRICE_RULE_TITLE_PATTERN =
+  /^(.+) - AI Dynamic Pricing(?: \[([^\]]+)\])?$/;
+
+function priceRuleTitle(tierCode, idempotencyKey) {
+  return `${tierCode}${PRICE_RULE_TITLE_SUFFIX}${
+    idempotencyKey ? ` [${idempotencyKey}]` : ''
+  }`;
+}
+
+// -> { tierCode, idempotencyKey } or null for rules not created here
+function parsePriceRuleTitle(title) {
+  const match = String(title || '').match(PRICE_RULE_TITLE_PATTERN);
+  return match
+    ? { tierCode: match[1], idempotencyKey: match[2] || null }
+    : null;
+}
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateDiscountOptions({
+  codeMode,
+  lockToCustomer,
+  expiresInDays,
+  idempotencyKey,
+  dryRun,
+  tierOffers,
+  campaignName,
+  campaignProjection,
+}) {
+  const errors = [];
+  if (codeMode !== undefined && !CODE_MODES.includes(codeMode)) {
+    errors.push(`codeMode must be one of: ${CODE_MODES.join(', ')}`);
+  }
+  if (lockToCustomer !== undefined && typeof lockToCustomer !== 'boolean') {
+    errors.push('lockToCustomer must be a boolean');
+  }
+  if (
+    expiresInDays !== undefined &&
+    (!Number.isInteger(expiresInDays) ||
+      expiresInDays < 1 ||
+      expiresInDays > 365)
+  ) {
+    errors.push('expiresInDays must be a whole number between 1 and 365');
+  }
+  if (
+    idempotencyKey !== undefined &&
+    (typeof idempotencyKey !== 'string' ||
+      !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey))
+  ) {
+    errors.push(
+      'idempotencyKey must be 1-64 characters of A-Z, a-z, 0-9, _ . : -'
+    );
+  }
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    errors.push('dryRun must be a boolean');
+  }
+  if (tierOffers !== undefined) {
+    if (
+      !tierOffers ||
+      typeof tierOffers !== 'object' ||
+      Array.isArray(tierOffers)
+    ) {
+      errors.push('tierOffers must be an object of discount code -> offer');
+    } else {
+      for (const [code, offer] of Object.entries(tierOffers)) {
+        errors.push(...offers.validateOffer(offer, `tierOffers.${code}`));
+      }
+    }
+  }
+  if (
+    campaignName !== undefined &&
+    (typeof campaignName !== 'string' ||
+      campaignName.length > MAX_CAMPAIGN_NAME_LENGTH)
+  ) {
+    errors.push(
+      `campaignName must be a string of up to ${MAX_CAMPAIGN_NAME_LENGTH} characters`
+    );
+  }
+  if (
+    campaignProjection !== undefined &&
+    (!campaignProjection ||
+      typeof campaignProjection !== 'object' ||
+      Array.isArray(campaignProjection))
+  ) {
+    errors.push(
+      'campaignProjection must be an object (the analysis campaignProjection)'
+    );
+  }
+  if (
+    (campaignName !== undefined || campaignProjection !== undefined) &&
+    idempotencyKey === undefined
+  ) {
+    errors.push(
+      'campaignName / campaignProjection are kept with the run: idempotencyKey is required'
+    );
+  }
+  return errors;
+}
+
+// Keys with a createDiscountCodes run going right now. Two runs of one key
+// at once would both see no price rule yet and both create one.
+const runsInFlight = new Set();
+
+class DiscountRunInFlightError extends Error {
+  constructor(idempotencyKey) {
+    super(
+      `idempotencyKey "${idempotencyKey}" is already being run; retry once it has finished`
+    );
+    this.name = 'DiscountRunInFlightError';
+    this.status = 409;
+    this.idempotencyKey = idempotencyKey;
+  }
+}
+
+function isRunInFlight(idempotencyKey) {
+  return !!idempotencyKey && runsInFlight.has(idempotencyKey);
+}
+
+// A key can't switch code modes between runs, or run twice at once
+// (null = no conflict)
+async function findRunConflict(idempotencyKey, { codeMode = 'unique' } = {}) {
+  if (!idempotencyKey) return null;
+  if (isRunInFlight(idempotencyKey)) {
+    return new DiscountRunInFlightError(idempotencyKey).message;
+  }
+  const { runs } = await runStore.read();
+  const run = runs[idempotencyKey];
+  if (run && run.codeMode !== codeMode) {
+    return `idempotencyKey "${idempotencyKey}" was used with codeMode "${run.codeMode}"`;
+  }
+  return null;
+}
+
+// Recommendations with their final offer: tierOffers (keyed by discount
+// code) wins over the recommendation's own; normalized, and left off for
+// plain percentage offers. Callers that check or change recommendations
+// before planning (the margin floor) resolve first: the offer then
+// travels with the recommendation, whatever its code becomes.
+function resolveOffers(recommendations, tierOffers) {
+  const byCode = new Map(
+    Object.entries(tierOffers || {}).map(([code, offer]) => [
+      normalizeDiscountCode(code),
+      offer,
+    ])
+  );
+  return recommendations.map((rec) => {
+    const { offer: own, ...rest } = rec;
+    const offer = byCode.get(normalizeDiscountCode(rec.discountCode)) || own;
+    if (!offer || offers.isPlainPercentage(offers.normalizeOffer(offer))) {
+      return rest;
+    }
+    return { ...rest, offer: offers.normalizeOffer(offer) };
+  });
+}
+
+// --------------------------------------------------
+// Recommendations -> tiers:
+//   [{ key, tierCode, percentage, offer, recommendations }]
+// Recommendations without a code or percent are skipped. Plain percentage
+// tiers keep the "<code>|<percent>" key earlier runs were stored under
+// --------------------------------------------------
+function groupIntoTiers(recommendations) {
+  const tiers = new Map();
+  for (const rec of recommendations) {
+    const tierCode = normalizeDiscountCode(rec.discountCode);
+    if (!tierCode || typeof rec.discountPercent !== 'number') continue;
+    const offer = rec.offer || null;
+    const key = offer
+      ? `${tierCode}|${rec.discountPercent}|${JSON.stringify(offer)}`
+      : `${tierCode}|${rec.discountPercent}`;
+    if (!tiers.has(key)) {
+      tiers.set(key, {
+        key,
+        tierCode,
+        percentage: rec.discountPercent,
+        offer,
+        recommendations: [],
+      });
+    }
+    tiers.get(key).recommendations.push(rec);
+  }
+  return [...tiers.values()];
+}
+
+// tierCustomerIds (lockToCustomer) limits the rule - and so every code
+// under it - to the tier's customers as a group
+function buildPriceRule({
+  title,
+  percentage,
+  offer,
+  endsAt,
+  usageLimit,
+  tierCustomerIds,
+}) {
+  return {
+    price_rule: {
+      title,
+      ...offers.priceRuleFields(offer, percentage),
+      ...(tierCustomerIds
+        ? {
+            customer_selection: 'prerequisite',
+            prerequisite_customer_ids: tierCustomerIds,
+          }
+        : { customer_selection: 'all' }),
+      once_per_customer: true,
+      usage_limit: usageLimit,
+      starts_at: new Date().toISOString(),
+      ends_at: endsAt,
+    },
+  };
+}
+
+function failure(error) {
+  return {
+    error: error.message,
+    details: error instanceof shopify.ShopifyApiError ? error : undefined,
+  };
+}
+
+function isNotFound(error) {
+  return error instanceof shopify.ShopifyApiError && error.status === 404;
+}
+
+// --------------------------------------------------
+// Shopify lookups
+// --------------------------------------------------
+
+// -> { id, priceRuleId } or null. Shopify answers the lookup with a 303
+// to /price_rules/<id>/discount_codes/<id>.json
+async function lookupDiscountCode(code) {
+  try {
+    const { data, headers } = await shopify.get('/discount_codes/lookup.json', {
+      code,
+    });
+    if (data && data.discount_code) {
+      return {
+        id: data.discount_code.id,
+        priceRuleId: data.discount_code.price_rule_id,
+      };
+    }
+    const match = String(headers.get('location') || '').match(
+      /price_rules\/(\d+)\/discount_codes\/(\d+)/
+    );
+    return match
+      ? { id: Number(match[2]), priceRuleId: Number(match[1]) }
+      : null;
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+// null when the rule doesn't exist (any more)
+async function getPriceRule(id) {
+  try {
+    const { data } = await shopify.get(`/price_rules/${id}.json`);
+    return (data && data.price_rule) || null;
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+// Codes under a price rule -> Set of codes
+async function listRuleCodes(priceRuleId) {
+  const codes = await shopify.paginate(
+    `/price_rules/${priceRuleId}/discount_codes.json`,
+    { resourceKey: 'discount_codes', fields: 'code' }
+  );
+  return new Set(codes.map((c) => c.code));
+}
+
+// Unexpired price rules by title (listed once per run, only when needed)
+function createTitleIndex() {
+  let index = null;
+  return async function findByTitle(title, offer, percentage) {
+    if (!index) {
+      index = new Map();
+      const rules = await shopify.paginate('/price_rules.json', {
+        resourceKey: 'price_rules',
+      });
+      const now = new Date().toISOString();
+      for (const rule of rules) {
+        if (rule.ends_at && rule.ends_at < now) continue;
+        if (!index.has(rule.title)) index.set(rule.title, []);
+        index.get(rule.title).push(rule);
+      }
+    }
+    return (
+      (index.get(title) || []).find((rule) =>
+        offers.matchesPriceRule(rule, offer, percentage)
+      ) || null
+    );
+  };
+}
+
+// --------------------------------------------------
+// Plan: what exists, what would be created
+// -> { ..., recommendations (offers resolved),
+//      tiers: [{ key, tierCode, percentage, offer, title, customerIds,
+//      priceRule: { action: 'create' | 'reuse', id, rule },
+//      codes: [{ code, customerIds, action: 'create' | 'exists' |
+//                'conflict', reason }] }] }
+// --------------------------------------------------
+async function planDiscountCodes(
+  recommendations,
+  {
+    codeMode = 'unique',
+    lockToCustomer = false,
+    expiresInDays = DEFAULT_EXPIRES_IN_DAYS,
+    idempotencyKey = null,
+    tierOffers,
+  } = {}
+) {
+  const resolved = resolveOffers(recommendations, tierOffers);
+  const { runs } = await runStore.read();
+  const run = idempotencyKey ? runs[idempotencyKey] : null;
+  const findByTitle = createTitleIndex();
+  const taken = new Set();
+
+  const tiers = [];
+  for (const tier of groupIntoTiers(resolved)) {
+    const { tierCode, percentage, offer } = tier;
+    const stored = (run && run.tiers[tier.key]) || {
+      priceRuleId: null,
+      codes: {},
+    };
+    const title = priceRuleTitle(tierCode, idempotencyKey);
+    const customerIds = [
+      ...new Set(
+        tier.recommendations
+          .map((rec) => rec.customerId)
+          .filter((id) => id !== undefined && id !== null)
+      ),
+    ];
+
+    // Customers keep the code a previous run issued them
+    const codes =
+      codeMode === 'shared'
+        ? [{ code: tierCode, customerIds, issuedBefore: false }]
+        : tier.recommendations.map((rec) => {
+            const previous = stored.codes[String(rec.customerId)];
+            if (previous) taken.add(previous);
+            return {
+              code: previous || uniqueCode(tierCode, taken),
+              customerIds: rec.customerId === undefined ? [] : [rec.customerId],
+              issuedBefore: !!previous,
+            };
+          });
+
+    // Price rule: remembered id, then the key's title, then (shared mode)
+    // whatever rule already owns the code
+    let rule = stored.priceRuleId
+      ? await getPriceRule(stored.priceRuleId)
+      : null;
+    if (!rule && idempotencyKey) {
+      rule = await findByTitle(title, offer, percentage);
+    }
+    let sharedLookup = null;
+    if (!rule && codeMode === 'shared') {
+      sharedLookup = await lookupDiscountCode(tierCode);
+      if (sharedLookup) rule = await getPriceRule(sharedLookup.priceRuleId);
+    }
+
+    // Freshly generated codes can't exist yet; shared codes and codes
+    // issued by an earlier run are checked, against the reused rule's own
+    // codes first (a few listing pages instead of a lookup per code)
+    const needsCheck = (entry) => codeMode === 'shared' || entry.issuedBefore;
+    const ruleCodes =
+      rule && codes.some(needsCheck) ? await listRuleCodes(rule.id) : null;
+
+    for (const entry of codes) {
+      entry.action = 'create';
+      if (!needsCheck(entry)) continue;
+      if (ruleCodes && ruleCodes.has(entry.code)) {
+        entry.action = 'exists';
+        continue;
+      }
+      const found =
+        sharedLookup && entry.code === tierCode
+          ? sharedLookup
+          : await lookupDiscountCode(entry.code);
+      if (!found) continue;
+      if (rule && Number(found.priceRuleId) === Number(rule.id)) {
+        entry.action = 'exists';
+      } else {
+        entry.action = 'conflict';
+        entry.reason = `Code already exists on price rule ${found.priceRuleId}`;
+      }
+    }
+
+    tiers.push({
+      key: tier.key,
+      tierCode,
+      percentage,
+      offer,
+      title,
+      customerIds,
+      priceRule: rule
+        ? { action: 'reuse', id: rule.id, rule }
+        : { action: 'create', id: null, rule: null },
+      codes: codes.map(({ issuedBefore, ...entry }) => entry),
+    });
+  }
+
+  return {
+    idempotencyKey,
+    codeMode,
+    lockToCustomer,
+    expiresAt: new Date(
+      Date.now() + expiresInDays * 24 * 60 * 60 * 1000
+    ).toISOString(),
+    recommendations: resolved,
+    tiers,
+  };
+}
+
+// Dry-run response: the plan, minus raw Shopify objects. Unique codes
+// shown for new customers are examples: a real run draws fresh suffixes.
+function describePlan(plan) {
+  const issuedCodes = {};
+  for (const tier of plan.tiers) {
+    for (const entry of tier.codes) {
+      if (entry.action === 'conflict') continue;
+      for (const id of entry.customerIds) issuedCodes[String(id)] = entry.code;
+    }
+  }
+
+  const count = (tier, action) =>
+    tier.codes.filter((c) => c.action === action).length;
+
+  return {
+    dryRun: true,
+    idempotencyKey: plan.idempotencyKey,
+    codeMode: plan.codeMode,
+    lockToCustomer: plan.lockToCustomer,
+    expiresAt: plan.expiresAt,
+    tiers: plan.tiers.map((tier) => ({
+      tierCode: tier.tierCode,
+      percentage: tier.percentage,
+      offer: tier.offer,
+      offerSummary: offers.describeOffer(tier.offer, tier.percentage),
+      title: tier.title,
+      priceRule: { action: tier.priceRule.action, id: tier.priceRule.id },
+      toCreate: count(tier, 'create'),
+      existing: count(tier, 'exists'),
+      conflicts: count(tier, 'conflict'),
+      codes: tier.codes,
+    })),
+    issuedCodes,
+    recommendations: applyIssuedCodes(plan.recommendations, issuedCodes),
+  };
+}
+
+async function recordRun(idempotencyKey, codeMode, mutate) {
+  if (!idempotencyKey) return;
+  await runStore.update((data) => {
+    const now = new Date().toISOString();
+    if (!data.runs[idempotencyKey]) {
+      data.runs[idempotencyKey] = { codeMode, createdAt: now, tiers: {} };
+    }
+    const run = data.runs[idempotencyKey];
+    run.updatedAt = now;
+    mutate(run);
+  });
+}
+
+function recordTier(idempotencyKey, codeMode, tierKey, mutate) {
+  return recordRun(idempotencyKey, codeMode, (run) => {
+    if (!run.tiers[tierKey]) {
+      run.tiers[tierKey] = { priceRuleId: null, codes: {} };
+    }
+    mutate(run.tiers[tierKey]);
+  });
+}
+
+// Reused rule: raise usage_limit / add new tier customers when the tier
+// grew since the rule was created
+async function syncPriceRule(rule, { usageLimit, tierCustomerIds }) {
+  const changes = {};
+  if (
+    usageLimit !== null &&
+    rule.usage_limit !== null &&
+    rule.usage_limit < usageLimit
+  ) {
+    changes.usage_limit = usageLimit;
+  }
+  if (tierCustomerIds) {
+    const current = (rule.prerequisite_customer_ids || []).map(String);
+    const missing = tierCustomerIds.filter(
+      (id) => !current.includes(String(id))
+    );
+    if (missing.length) {
+      changes.customer_selection = 'prerequisite';
+      changes.prerequisite_customer_ids = [
+        ...(rule.prerequisite_customer_ids || []),
+        ...missing,
+      ];
+    }
+  }
+  if (!Object.keys(changes).length) return;
+  await shopify.put(`/price_rules/${rule.id}.json`, {
+    price_rule: { id: rule.id, ...changes },
+  });
+}
+
+// --------------------------------------------------
+// Create the price rules + codes
+// dryRun -> the plan (see describePlan), nothing is written
+// otherwise -> { createdCodes (status 'created' | 'existing'), failedCodes,
+//   issuedCodes: { customerId: code }, recommendations (discountCode =
+//   issued code), tiers (with their Shopify batch jobs) }
+// options.onProgress({ stage, ... }): plan-ready, price-rule-ready,
+//   batch-queued, batch-status, tier-done
+// A real run with an idempotencyKey claims the key before anything is
+// awaited; another run of that key meanwhile throws DiscountRunInFlightError
+// --------------------------------------------------
+async function createDiscountCodes(recommendations, options = {}) {
+  const key = options.dryRun ? null : options.idempotencyKey;
+  if (!key) return runDiscountCodes(recommendations, options);
+  if (runsInFlight.has(key)) throw new DiscountRunInFlightError(key);
+
+  runsInFlight.add(key);
+  try {
+    return await runDiscountCodes(recommendations, options);
+  } finally {
+    runsInFlight.delete(key);
+  }
+}
+
+async function runDiscountCodes(recommendations, options) {
+  const progress = (event) => options.onProgress && options.onProgress(event);
+  const plan = await planDiscountCodes(recommendations, options);
+  if (options.dryRun) return describePlan(plan);
+
+  const count = (action) =>
+    plan.tiers.reduce(
+      (sum, tier) => sum + tier.codes.filter((c) => c.action === action).length,
+      0
+    );
+  progress({
+    stage: 'plan-ready',
+    tiers: plan.tiers.length,
+    toCreate: count('create'),
+    existing: count('exists'),
+    conflicts: count('conflict'),
+  });
+
+  const { idempotencyKey, codeMode, lockToCustomer, expiresAt } = plan;
+  const { campaignName, campaignProjection } = options;
+  if (campaignName !== undefined || campaignProjection !== undefined) {
+    await recordRun(idempotencyKey, codeMode, (run) => {
+      if (campaignName !== undefined) run.campaignName = campaignName;
+      if (campaignProjection !== undefined) {
+        run.campaignProjection = campaignProjection;
+      }
+    });
+  }
+  const expectedValues = new Map(
+    plan.recommendations
+      .filter((rec) => typeof rec.expectedValue === 'number')
+      .map((rec) => [String(rec.customerId), rec.expectedValue])
+  );
+
+  const createdCodes = [];
+  const failedCodes = [];
+  const issuedCodes = {};
+  const tierReports = [];
+
+  for (const tier of plan.tiers) {
+    const { tierCode, percentage, offer } = tier;
+    const report = {
+      tierCode,
+      percentage,
+      offer,
+      priceRuleId: tier.priceRule.id,
+      priceRuleAction: tier.priceRule.action === 'reuse' ? 'reused' : 'created',
+      customers: tier.codes.reduce((sum, c) => sum + c.customerIds.length, 0),
+      created: 0,
+      existing: 0,
+      failed: 0,
+    };
+    tierReports.push(report);
+
+    const usageLimit = codeMode === 'shared' ? null : tier.codes.length;
+    const tierCustomerIds =
+      lockToCustomer && tier.customerIds.length ? tier.customerIds : null;
+
+    let priceRuleId = tier.priceRule.id;
+    try {
+      if (tier.priceRule.action === 'reuse') {
+        await syncPriceRule(tier.priceRule.rule, {
+          usageLimit,
+          tierCustomerIds,
+        });
+      } else {
+        const { data } = await shopify.post(
+          '/price_rules.json',
+          buildPriceRule({
+            title: tier.title,
+            percentage,
+            offer,
+            endsAt: expiresAt,
+            usageLimit,
+            tierCustomerIds,
+          })
+        );
+        priceRuleId = data.price_rule.id;
+        report.priceRuleId = priceRuleId;
+      }
+    } catch (error) {
+      console.error(`Error preparing price rule for ${tierCode}:`, error);
+      for (const { code, customerIds } of tier.codes) {
+        report.failed++;
+        failedCodes.push({ code, percentage, customerIds, ...failure(error) });
+      }
+      progress({
+        stage: 'tier-done',
+        tierCode,
+        created: 0,
+        existing: 0,
+        failed: report.failed,
+      });
+      continue;
+    }
+    await recordTier(idempotencyKey, codeMode, tier.key, (stored) => {
+      stored.priceRuleId = priceRuleId;
+      stored.tierCode = tierCode;
+      stored.percentage = percentage;
+      stored.offer = offer;
+    });
+    progress({
+      stage: 'price-rule-ready',
+      tierCode,
+      priceRuleId,
+      action: report.priceRuleAction,
+    });
+
+    const toCreate = tier.codes
+      .filter((entry) => entry.action === 'create')
+      .map((entry) => entry.code);
+    const batchResult = toCreate.length
+      ? await createCodesInBatches(priceRuleId, toCreate, {
+          onProgress: (event) => progress({ ...event, tierCode }),
+        })
+      : { created: new Set(), errors: new Map(), batches: [] };
+    report.batches = batchResult.batches;
+
+    const issued = [];
+    for (const entry of tier.codes) {
+      const { code, customerIds } = entry;
+      if (entry.action === 'conflict') {
+        report.failed++;
+        failedCodes.push({
+          code,
+          percentage,
+          customerIds,
+          error: entry.reason,
+        });
+        continue;
+      }
+
+      let status = 'existing';
+      if (entry.action === 'create') {
+        if (batchResult.created.has(code)) {
+          status = 'created';
+        } else {
+          const failed = batchResult.errors.get(code) || {
+            error: 'Code was not created',
+          };
+          // Already created by an earlier, interrupted attempt?
+          const found = /unique|taken|already/i.test(failed.error)
+            ? await lookupDiscountCode(code).catch(() => null)
+            : null;
+          if (!found || Number(found.priceRuleId) !== Number(priceRuleId)) {
+            report.failed++;
+            failedCodes.push({ code, percentage, customerIds, ...failed });
+            continue;
+          }
+        }
+      }
+
+      report[status]++;
+      createdCodes.push({
+        code,
+        percentage,
+        priceRuleId,
+        status,
+        ...(codeMode === 'unique' ? { customerId: customerIds[0] } : {}),
+      });
+      for (const id of customerIds) issuedCodes[String(id)] = code;
+      issued.push(entry);
+    }
+
+    await recordTier(idempotencyKey, codeMode, tier.key, (stored) => {
+      stored.expectedValues = stored.expectedValues || {};
+      for (const { code, customerIds } of issued) {
+        for (const id of customerIds) {
+          stored.codes[String(id)] = code;
+          if (expectedValues.has(String(id))) {
+            stored.expectedValues[String(id)] = expectedValues.get(String(id));
+          }
+        }
+      }
+    });
+    progress({
+      stage: 'tier-done',
+      tierCode,
+      created: report.created,
+      existing: report.existing,
+      failed: report.failed,
+    });
+  }
+
+  return {
+    dryRun: false,
+    idempotencyKey,
+    codeMode,
+    lockToCustomer,
+    expiresAt,
+    createdCodes,
+    failedCodes,
+    issuedCodes,
+    recommendations: applyIssuedCodes(plan.recommendations, issuedCodes),
+    tiers: tierReports,
+  };
+}
+
+// Runs remembered under an idempotencyKey:
+// { key: { codeMode, createdAt, updatedAt, campaignName,
+//   campaignProjection, tiers: { tierKey: { priceRuleId, tierCode,
+//   percentage, offer, codes: { customerId: code },
+//   expectedValues: { customerId: number } } } } }
+async function getRuns() {
+  const { runs } = await runStore.read();
+  return runs;
+}
+
+// Recommendations with discountCode replaced by the code issued to that
+// customer (left as-is when none was issued)
+function applyIssuedCodes(recommendations, issuedCodes) {
+  if (!issuedCodes) return recommendations;
+  return recommendations.map((rec) => {
+    const code = issuedCodes[String(rec.customerId)];
+    return code ? { ...rec, discountCode: code } : rec;
+  });
+}
+
+module.exports = {
+  CODE_MODES,
+  DiscountRunInFlightError,
+  parsePriceRuleTitle,
+  validateDiscountOptions,
+  isRunInFlight,
+  findRunConflict,
+  resolveOffers,
+  groupIntoTiers,
+  planDiscountCodes,
+  createDiscountCodes,
+  applyIssuedCodes,
+  getPriceRule,
+  getRuns,
+};
@@ -0,0 +1,241 @@
+// lib/heuristicPricing.js
+// Deterministic pricing recommender: the fallback for /api/ai/analyze when
+// the model is unavailable (no key, provider down), or on request with
+// `mode: 'heuristic'`.
+//
+// Each strategy turns recency / frequency / spend (plus churn risk and
+// predicted value when the customer has them) into a "depth" between 0 and
+// 1, which is mapped onto the strategy's discount range (lib/aiValidation)
+// in steps of 5%. The output has the same shape as the AI analysis.
+
+const { getDiscountRange, sanitizeRecommendations } = require('./aiValidation');
+
+// Per strategy: code prefix, baseConversion (chance an offered customer
+// orders, before adjusting for probabilityAlive), depth(customer) and the
+// messaging angle
+const STRATEGIES = {
+  retention: {
+    codePrefix: 'THANKS',
+    baseConversion: 0.25,
+    depth(c) {
+      const byBand = { healthy: 0, cooling: 0.4, 'at-risk': 0.8, lapsed: 1 };
+      if (c.churnRiskBand in byBand) return byBand[c.churnRiskBand];
+      return clamp01((c.daysSinceLastOrder - 30) / 90);
+    },
+    angle(c) {
+      if (c.totalOrders >= 3) {
+        return 'Thank a loyal regular: early access and a small reward, no hard sell.';
+      }
+      return 'Build the habit: remind them what they liked and make the next order easy.';
+    },
+  },
+  reactivation: {
+    codePrefix: 'COMEBACK',
+    baseConversion: 0.08,
+    depth(c) {
+      let depth = clamp01((c.daysSinceLastOrder - 45) / 270);
+      // Proven repeat buyers come back for less
+      if (c.totalOrders >= 3) depth -= 0.2;
+      return clamp01(depth);
+    },
+    angle(c) {
+      if (c.daysSinceLastOrder > 180) {
+        return 'It has been a while: show what is new since their last order.';
+      }
+      return 'We miss you: a timely nudge back to their usual order.';
+    },
+  },
+  upsell: {
+    codePrefix: 'UPGRADE',
+    baseConversion: 0.15,
+    depth(c) {
+      // Smaller baskets need more incentive to trade up
+      const monetary = c.rfm ? c.rfm.monetary : null;
+      if (monetary) return clamp01((5 - monetary) / 4);
+      return c.averageOrderValue > 0
+        ? clamp01(1 - c.averageOrderValue / 100)
+        : 0.5;
+    },
+    angle(c) {
+      if (c.totalOrders >= 2) {
+        return 'Suggest a bundle or bigger size of what they already reorder.';
+      }
+      return 'Introduce a complementary product to round out their first order.';
+    },
+  },
+  acquisition: {
+    codePrefix: 'WELCOME',
+    baseConversion: 0.05,
+    depth(c) {
+      if (c.totalOrders === 0) return 1;
+      if (c.totalOrders === 1) return 0.5;
+      return 0;
+    },
+    angle(c) {
+      if (c.totalOrders === 0) {
+        return 'Welcome offer: lower the risk of a first order.';
+      }
+      return 'Second-order push: turn a one-time buyer into a repeat customer.';
+    },
+  },
+};
+
+const DEFAULT_STRATEGY = 'reactivation';
+
+function clamp01(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(1, Math.max(0, value));
+}
+
+const num = (value, fallback = 0) =>
+  Number.isFinite(Number(value)) ? Number(value) : fallback;
+
+// Missing metric fields default to "no history"
+function normalizeCustomer(customer) {
+  const totalOrders = num(customer.totalOrders);
+  const totalSpent = num(customer.totalSpent);
+  return {
+    ...customer,
+    totalOrders,
+    totalSpent,
+    averageOrderValue: num(
+      customer.averageOrderValue,
+      totalOrders > 0 ? totalSpent / totalOrders : 0
+    ),
+    daysSinceLastOrder: num(customer.daysSinceLastOrder, 365),
+  };
+}
+
+// Depth 0..1 -> whole percent inside the range, in steps of 5
+function depthToPercent(depth, { min, max }) {
+  const raw = min + depth * (max - min);
+  const stepped = Math.round(raw / 5) * 5;
+  return Math.min(max, Math.max(min, stepped));
+}
+
+function describeCustomer(c) {
+  const parts = [];
+  if (c.totalOrders > 0) {
+    parts.push(
+      `${c.totalOrders} order${c.totalOrders === 1 ? '' : 's'}`,
+      `$${Math.round(c.totalSpent)} spent`,
+      `last order ${Math.round(c.daysSinceLastOrder)} days ago`
+    );
+  } else {
+    parts.push('no orders yet');
+  }
+  if (c.churnRiskBand) parts.push(`churn risk ${c.churnRiskBand}`);
+  return parts.join(', ');
+}
+
+// --------------------------------------------------
+// One customer
+// --------------------------------------------------
+function recommendForCustomer(customer, strategyName, discountRange) {
+  const strategy = STRATEGIES[strategyName] || STRATEGIES[DEFAULT_STRATEGY];
+  const c = normalizeCustomer(customer);
+
+  let depth = strategy.depth(c);
+  // Likely to buy anyway: keep the offer small
+  if (typeof c.probabilityAlive === 'number' && c.probabilityAlive > 0.8) {
+    depth = clamp01(depth - 0.25);
+  }
+  const discountPercent = depthToPercent(depth, discountRange);
+
+  const aov = c.averageOrderValue > 0 ? c.averageOrderValue : 30;
+  const conversion = Math.min(
+    0.9,
+    strategy.baseConversion *
+      (typeof c.probabilityAlive === 'number' ? 0.5 + c.probabilityAlive : 1) *
+      (1 + discountPercent / 100)
+  );
+
+  return {
+    recommendation: {
+      customerId: customer.id,
+      email: customer.email,
+      discountPercent,
+      discountCode: `${strategy.codePrefix}${discountPercent}`,
+      rationale: `Heuristic (${strategyName}): ${describeCustomer(
+        c
+      )} -> ${discountPercent}% off.`,
+      messagingAngle: strategy.angle(c),
+      expectedValue:
+        Math.round(aov * (1 - discountPercent / 100) * conversion * 100) / 100,
+    },
+    conversion,
+    discountCost: aov * (discountPercent / 100) * conversion,
+  };
+}
+
+// --------------------------------------------------
+// Whole segment -> { customerRecommendations, campaignProjection,
+//                    strategicInsights }
+// --------------------------------------------------
+function recommendSegment(customers, strategy) {
+  const strategyName = STRATEGIES[strategy] ? strategy : DEFAULT_STRATEGY;
+  const discountRange = getDiscountRange(strategy);
+  const results = customers.map((c) =>
+    recommendForCustomer(c, strategyName, discountRange)
+  );
+  const customerRecommendations = results.map((r) => r.recommendation);
+
+  const revenue = customerRecommendations.reduce(
+    (sum, r) => sum + r.expectedValue,
+    0
+  );
+  const cost = results.reduce((sum, r) => sum + r.discountCost, 0);
+  const conversion = results.length
+    ? results.reduce((sum, r) => sum + r.conversion, 0) / results.length
+    : 0;
+
+  const byPercent = {};
+  for (const r of customerRecommendations) {
+    byPercent[r.discountPercent] = (byPercent[r.discountPercent] || 0) + 1;
+  }
+  const levels = Object.keys(byPercent)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((p) => `${p}%: ${byPercent[p]}`)
+    .join(', ');
+
+  return {
+    customerRecommendations,
+    campaignProjection: {
+      expectedConversionRate: `${Math.round(conversion * 1000) / 10}%`,
+      projectedRevenue: `$${Math.round(revenue).toLocaleString('en-US')}`,
+      projectedROI:
+        cost > 0 ? `${Math.round((revenue / cost) * 10) / 10}x` : 'n/a',
+      riskFactors: [
+        'Rule-of-thumb projections (no AI analysis): treat as rough estimates',
+        'Conversion assumptions are fixed per strategy, not learned from past campaigns',
+      ],
+    },
+    strategicInsights: [
+      `Heuristic ${strategyName} pricing for ${customers.length} customers (discount range ${discountRange.min}-${discountRange.max}%).`,
+      `Discount levels: ${levels || 'none'}.`,
+    ],
+  };
+}
+
+// Same response shape as aiAnalysis.analyzeSegment (same guardrails too)
+function analyzeSegmentHeuristically({ customers, strategy }) {
+  const analysis = recommendSegment(customers, strategy);
+  const { recommendations, report } = sanitizeRecommendations(
+    analysis.customerRecommendations,
+    { customers, strategy }
+  );
+  return {
+    ...analysis,
+    customerRecommendations: recommendations,
+    validationReport: { schemaRepairs: [], ...report },
+    chunks: null,
+  };
+}
+
+module.exports = {
+  HEURISTIC_STRATEGIES: Object.keys(STRATEGIES),
+  recommendForCustomer,
+  recommendSegment,
+  analyzeSegmentHeuristically,
+};
@@ -0,0 +1,56 @@
+// lib/jsonStore.js
+// Tiny file-backed JSON store used for local snapshots and saved config.
+// One JSON file per store under DATA_DIR (default: ./data).
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function createJsonStore(fileName, defaults = {}) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let cache = null;
+  let writeChain = Promise.resolve();
+
+  // Load once, then serve from memory
+  async function read() {
+    if (cache) return cache;
+    try {
+      const text = await fs.promises.readFile(filePath, 'utf8');
+      cache = { ...defaults, ...JSON.parse(text) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read ${filePath}, starting empty:`, error);
+      }
+      cache = JSON.parse(JSON.stringify(defaults));
+    }
+    return cache;
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a file.
+  // Writes are chained so concurrent callers can't interleave.
+  async function write(data) {
+    cache = data;
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+        await fs.promises.rename(tmpPath, filePath);
+      });
+    return writeChain;
+  }
+
+  // Read-modify-write helper
+  async function update(mutator) {
+    const data = await read();
+    const result = await mutator(data);
+    await write(data);
+    return result;
+  }
+
+  return { filePath, read, write, update };
+}
+
+module.exports = { DATA_DIR, createJsonStore };
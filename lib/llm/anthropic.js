@@ -0,0 +1,78 @@
+// lib/llm/anthropic.js
+// Anthropic Messages API provider (plain fetch, no SDK)
+
+const fetch = require('node-fetch');
+const { LlmError } = require('./errors');
+
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5';
+const ANTHROPIC_MAX_TOKENS = Number(
+  process.env.ANTHROPIC_MAX_TOKENS || '16000'
+);
+const ANTHROPIC_API_URL =
+  process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+function isConfigured() {
+  return !!ANTHROPIC_API_KEY;
+}
+
+// No JSON mode here: strip a markdown fence / stray prose around the object
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+async function complete({ systemPrompt, messages, json, maxTokens }) {
+  let response;
+  try {
+    response = await fetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: {
+        'x-api-key': ANTHROPIC_API_KEY,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: ANTHROPIC_MODEL,
+        max_tokens: maxTokens || ANTHROPIC_MAX_TOKENS,
+        system: systemPrompt,
+        messages,
+      }),
+    });
+  } catch (error) {
+    throw new LlmError({ provider: 'anthropic', message: error.message });
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new LlmError({
+      provider: 'anthropic',
+      status: response.status,
+      message: body?.error?.message || response.statusText || 'Request failed',
+      details: body?.error || null,
+    });
+  }
+
+  const text = (body?.content || [])
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('');
+
+  return {
+    text: json ? extractJsonObject(text) : text,
+    model: body?.model || ANTHROPIC_MODEL,
+    usage: {
+      inputTokens: body?.usage?.input_tokens || 0,
+      outputTokens: body?.usage?.output_tokens || 0,
+    },
+  };
+}
+
+module.exports = {
+  name: 'anthropic',
+  model: ANTHROPIC_MODEL,
+  isConfigured,
+  complete,
+};
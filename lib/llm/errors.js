@@ -0,0 +1,23 @@
+// lib/llm/errors.js
+// Error type: every failed model call surfaces as one of these
+
+class LlmError extends Error {
+  constructor({ provider, status = null, message, details = null }) {
+    super(`${provider} error${status ? ` ${status}` : ''}: ${message}`);
+    this.name = 'LlmError';
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      type: this.name,
+      provider: this.provider,
+      status: this.status,
+      message: this.message,
+    };
+  }
+}
+
+module.exports = { LlmError };
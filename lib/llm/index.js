@@ -0,0 +1,126 @@
+// lib/llm/index.js
+// Provider layer for every AI route.
+//
+// LLM_PROVIDER selects the provider: openai | anthropic | stub.
+// Unset: openai if OPENAI_API_KEY is set, otherwise anthropic if
+// ANTHROPIC_API_KEY is set.
+//
+// complete({ task, route, systemPrompt, messages, json })
+//   task      short name of the caller ('analyze', 'glp1-plan', ...)
+//   route     HTTP route that made the call (usage accounting)
+//   messages  [{ role: 'user' | 'assistant', content }]
+//   json      ask for a single JSON object back
+// -> { text, provider, model, usage: { inputTokens, outputTokens } }
+//
+// Every call is recorded in lib/aiUsage and refused (AiBudgetError) once a
+// spend cap is reached, or while a cap is set and the model has no price.
+
+const { LlmError } = require('./errors');
+const aiUsage = require('../aiUsage');
+
+const PROVIDERS = {
+  openai: require('./openai'),
+  anthropic: require('./anthropic'),
+  stub: require('./stub'),
+};
+
+function selectProviderName() {
+  const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (configured) return configured;
+  if (PROVIDERS.openai.isConfigured()) return 'openai';
+  if (PROVIDERS.anthropic.isConfigured()) return 'anthropic';
+  return 'openai';
+}
+
+const PROVIDER_NAME = selectProviderName();
+if (!PROVIDERS[PROVIDER_NAME]) {
+  console.error(
+    `Unknown LLM_PROVIDER "${PROVIDER_NAME}" (expected ${Object.keys(
+      PROVIDERS
+    ).join(', ')})`
+  );
+}
+
+function getProvider() {
+  return PROVIDERS[PROVIDER_NAME] || null;
+}
+
+function isConfigured() {
+  const provider = getProvider();
+  return !!provider && provider.isConfigured();
+}
+
+// What the routes return when isConfigured() is false
+function notConfiguredMessage() {
+  if (!getProvider()) {
+    return `Unknown LLM_PROVIDER "${PROVIDER_NAME}"`;
+  }
+  if (PROVIDER_NAME === 'anthropic') {
+    return 'Anthropic API key (ANTHROPIC_API_KEY) not configured';
+  }
+  return 'No AI provider configured (set OPENAI_API_KEY, ANTHROPIC_API_KEY or LLM_PROVIDER=stub)';
+}
+
+function describe() {
+  const provider = getProvider();
+  return {
+    provider: PROVIDER_NAME,
+    model: provider ? provider.model : null,
+    configured: isConfigured(),
+  };
+}
+
+async function complete({ task, route, systemPrompt, messages, json = false }) {
+  const provider = getProvider();
+  if (!provider || !provider.isConfigured()) {
+    throw new LlmError({
+      provider: PROVIDER_NAME,
+      message: notConfiguredMessage(),
+    });
+  }
+
+  await aiUsage.assertWithinBudget(provider.model);
+
+  let result;
+  try {
+    result = await provider.complete({
+      task,
+      systemPrompt,
+      messages,
+      json,
+    });
+  } catch (error) {
+    await aiUsage.recordCall({
+      route,
+      task,
+      provider: PROVIDER_NAME,
+      model: provider.model,
+      error,
+    });
+    throw error;
+  }
+
+  await aiUsage.recordCall({
+    route,
+    task,
+    provider: PROVIDER_NAME,
+    model: result.model,
+    usage: result.usage,
+  });
+
+  if (!result.text) {
+    throw new LlmError({
+      provider: PROVIDER_NAME,
+      message: 'No content returned from the model',
+    });
+  }
+  return { ...result, provider: PROVIDER_NAME };
+}
+
+module.exports = {
+  LlmError,
+  isConfigured,
+  notConfiguredMessage,
+  describe,
+  complete,
+};
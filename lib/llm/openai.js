@@ -0,0 +1,56 @@
+// lib/llm/openai.js
+// OpenAI Chat Completions provider (official SDK)
+
+const { LlmError } = require('./errors');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
+
+// The SDK throws at construction without a key, so build it on first use
+let client = null;
+function getClient() {
+  if (!client) {
+    const OpenAI = require('openai');
+    client = new OpenAI({ apiKey: OPENAI_API_KEY });
+  }
+  return client;
+}
+
+function isConfigured() {
+  return !!OPENAI_API_KEY;
+}
+
+async function complete({ systemPrompt, messages, json, maxTokens }) {
+  let completion;
+  try {
+    completion = await getClient().chat.completions.create({
+      model: OPENAI_MODEL,
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      messages: [{ role: 'system', content: systemPrompt }, ...messages],
+    });
+  } catch (error) {
+    throw new LlmError({
+      provider: 'openai',
+      status: error.status || null,
+      message: error.message || 'Request failed',
+      details: error.error || null,
+    });
+  }
+
+  return {
+    text: completion.choices?.[0]?.message?.content || '',
+    model: completion.model || OPENAI_MODEL,
+    usage: {
+      inputTokens: completion.usage?.prompt_tokens || 0,
+      outputTokens: completion.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  model: OPENAI_MODEL,
+  isConfigured,
+  complete,
+};
@@ -0,0 +1,527 @@
+// lib/margins.js
+// Margin floor for every offer: recommendations from /api/ai/analyze,
+// /api/reactivation/batch and /api/shopify/discounts are checked against
+// the contribution margin they leave, and capped or flagged when they go
+// below minContributionMarginPercent.
+//
+// margin-config.json   floor, action ('cap' | 'flag'), shipping cost /
+//                      charge per order, assumed order value, fallback
+//                      cost ratio
+// product-costs.json   unit cost + price per variant, imported from
+//                      Shopify (inventory item cost) or a CSV
+//
+// Per recommendation, over the customer's average order (or
+// assumedOrderValue, or the offer's minimum subtotal if higher):
+//   net revenue   = items after discount + shipping charged
+//   contribution  = net revenue - unit costs - shipping cost
+//   margin %      = contribution / net revenue
+// Unit costs come from the cost / price ratio of the targeted products
+// (productIds), else the whole catalog, else defaultCostRatio. With no
+// cost data at all, recommendations are left unchecked (`skipped`).
+//
+// 'cap' lowers discountPercent / a fixed amount to the largest value that
+// keeps the floor (removing the offer when nothing does); free shipping and
+// buy X get Y can't be capped and are always flagged. 'flag' leaves the
+// offer as is and adds `marginBreach` to it. With a strategy, a percentage
+// capped below that strategy's minimum (aiValidation.getDiscountRange) is
+// removed too: a 6% win-back offer isn't the campaign anyone planned.
+
+const shopify = require('./shopifyClient');
+const { createJsonStore } = require('./jsonStore');
+const { normalizeOffer } = require('./offers');
+const { recodeForPercent, getDiscountRange } = require('./aiValidation');
+
+const MARGIN_ACTIONS = ['cap', 'flag'];
+
+const DEFAULT_CONFIG = {
+  // null = no floor
+  minContributionMarginPercent: null,
+  action: 'cap',
+  shippingCostPerOrder: 0,
+  shippingChargedPerOrder: 0,
+  // Order value for customers without order history
+  assumedOrderValue: 40,
+  // cost / price to assume when no product costs are known (null = skip)
+  defaultCostRatio: null,
+  updatedAt: null,
+};
+
+const CONFIG_FIELDS = {
+  minContributionMarginPercent: { min: 0, max: 95, nullable: true },
+  shippingCostPerOrder: { min: 0, max: 1000 },
+  shippingChargedPerOrder: { min: 0, max: 1000 },
+  assumedOrderValue: { min: 1, max: 100000 },
+  defaultCostRatio: { min: 0, max: 1, nullable: true },
+};
+
+// Inventory items per Shopify request
+const INVENTORY_ITEMS_PER_REQUEST = 100;
+
+const configStore = createJsonStore('margin-config.json', DEFAULT_CONFIG);
+const costStore = createJsonStore('product-costs.json', {
+  variants: {},
+  source: null,
+  importedAt: null,
+});
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateMarginConfig(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return ['Body must be an object'];
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(changes)) {
+    if (key === 'action') {
+      if (!MARGIN_ACTIONS.includes(value)) {
+        errors.push(`action must be one of: ${MARGIN_ACTIONS.join(', ')}`);
+      }
+      continue;
+    }
+    const spec = CONFIG_FIELDS[key];
+    if (!spec) {
+      errors.push(
+        `${key} is not a margin setting (allowed: action, ${Object.keys(
+          CONFIG_FIELDS
+        ).join(', ')})`
+      );
+    } else if (value === null && spec.nullable) {
+      continue;
+    } else if (
+      typeof value !== 'number' ||
+      !Number.isFinite(value) ||
+      value < spec.min ||
+      value > spec.max
+    ) {
+      errors.push(
+        `${key} must be a number between ${spec.min} and ${spec.max}${
+          spec.nullable ? ' (or null)' : ''
+        }`
+      );
+    }
+  }
+  return errors;
+}
+
+// --------------------------------------------------
+// Config + cost summary
+// --------------------------------------------------
+async function getMarginConfig() {
+  const data = await configStore.read();
+  return { ...data };
+}
+
+// Call validateMarginConfig first
+async function updateMarginConfig(changes) {
+  const data = await configStore.read();
+  for (const key of ['action', ...Object.keys(CONFIG_FIELDS)]) {
+    if (changes[key] !== undefined) data[key] = changes[key];
+  }
+  data.updatedAt = new Date().toISOString();
+  await configStore.write(data);
+  return { ...data };
+}
+
+async function getCostSummary() {
+  const { variants, source, importedAt } = await costStore.read();
+  const all = Object.values(variants);
+  const ratio = costRatio(all);
+  return {
+    source,
+    importedAt,
+    variants: all.length,
+    variantsWithCost: all.filter((v) => typeof v.cost === 'number').length,
+    catalogCostRatio: ratio === null ? null : round2(ratio),
+  };
+}
+
+// --------------------------------------------------
+// Import: Shopify inventory item cost
+// --------------------------------------------------
+async function importCostsFromShopify({ onProgress } = {}) {
+  const products = await shopify.paginate('/products.json', {
+    resourceKey: 'products',
+    fields: 'id,title,variants',
+    onPage: onProgress
+      ? ({ total }) => onProgress({ stage: 'products-fetched', total })
+      : undefined,
+  });
+
+  const variants = {};
+  const byInventoryItem = new Map();
+  for (const product of products) {
+    for (const variant of product.variants || []) {
+      const entry = {
+        productId: product.id,
+        sku: variant.sku || null,
+        title:
+          variant.title && variant.title !== 'Default Title'
+            ? `${product.title} - ${variant.title}`
+            : product.title,
+        price: Number(variant.price) || null,
+        cost: null,
+      };
+      variants[variant.id] = entry;
+      if (variant.inventory_item_id) {
+        byInventoryItem.set(String(variant.inventory_item_id), entry);
+      }
+    }
+  }
+
+  const itemIds = [...byInventoryItem.keys()];
+  for (let i = 0; i < itemIds.length; i += INVENTORY_ITEMS_PER_REQUEST) {
+    const ids = itemIds.slice(i, i + INVENTORY_ITEMS_PER_REQUEST);
+    const { data } = await shopify.get('/inventory_items.json', {
+      ids: ids.join(','),
+      limit: INVENTORY_ITEMS_PER_REQUEST,
+    });
+    for (const item of (data && data.inventory_items) || []) {
+      const entry = byInventoryItem.get(String(item.id));
+      const cost = Number(item.cost);
+      if (entry && item.cost !== null && Number.isFinite(cost)) {
+        entry.cost = cost;
+      }
+    }
+  }
+
+  await costStore.write({
+    variants,
+    source: 'shopify',
+    importedAt: new Date().toISOString(),
+  });
+  return getCostSummary();
+}
+
+// --------------------------------------------------
+// Import: CSV with a header row. Columns (any order): cost, and
+// variant_id or sku; optional product_id, price. Rows with a sku match
+// the variants from the last Shopify import.
+// replace: true starts from an empty cost table
+// -> { imported, unmatched: [line numbers], errors, summary }
+// --------------------------------------------------
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+async function importCostsFromCsv(csv, { replace = false } = {}) {
+  const [header, ...lines] = parseCsv(String(csv || ''));
+  const columns = (header || []).map((h) => h.trim().toLowerCase());
+  const col = (name) => columns.indexOf(name);
+
+  if (col('cost') === -1 || (col('variant_id') === -1 && col('sku') === -1)) {
+    return {
+      imported: 0,
+      unmatched: [],
+      errors: ['CSV header needs a cost column and a variant_id or sku column'],
+      summary: await getCostSummary(),
+    };
+  }
+
+  const current = await costStore.read();
+  const variants = replace ? {} : { ...current.variants };
+  const bySku = new Map();
+  for (const [id, v] of Object.entries(current.variants)) {
+    if (v.sku) bySku.set(v.sku, id);
+  }
+
+  let imported = 0;
+  const unmatched = [];
+  const errors = [];
+  lines.forEach((cells, i) => {
+    const line = i + 2;
+    const cell = (name) =>
+      col(name) === -1 ? '' : String(cells[col(name)] || '').trim();
+    const cost = Number(cell('cost'));
+    if (cell('cost') === '' || !Number.isFinite(cost) || cost < 0) {
+      errors.push(`line ${line}: cost must be a non-negative number`);
+      return;
+    }
+    const price = cell('price') === '' ? null : Number(cell('price'));
+    if (price !== null && (!Number.isFinite(price) || price < 0)) {
+      errors.push(`line ${line}: price must be a non-negative number`);
+      return;
+    }
+
+    const id = cell('variant_id') || bySku.get(cell('sku'));
+    if (!id) {
+      unmatched.push(line);
+      return;
+    }
+    const known = current.variants[id] || {};
+    variants[id] = {
+      productId: cell('product_id')
+        ? Number(cell('product_id'))
+        : known.productId || null,
+      sku: cell('sku') || known.sku || null,
+      title: known.title || null,
+      price: price ?? known.price ?? null,
+      cost,
+    };
+    imported++;
+  });
+
+  await costStore.write({
+    variants,
+    source: current.source && !replace ? `${current.source}+csv` : 'csv',
+    importedAt: new Date().toISOString(),
+  });
+  return { imported, unmatched, errors, summary: await getCostSummary() };
+}
+
+// --------------------------------------------------
+// Cost model
+// --------------------------------------------------
+
+// Sum of cost / sum of price over variants that have both (null = none)
+function costRatio(variants) {
+  let cost = 0;
+  let price = 0;
+  for (const v of variants) {
+    if (typeof v.cost === 'number' && v.price > 0) {
+      cost += v.cost;
+      price += v.price;
+    }
+  }
+  return price > 0 ? cost / price : null;
+}
+
+function averagePrice(variants) {
+  const priced = variants.filter((v) => v.price > 0);
+  return priced.length
+    ? priced.reduce((sum, v) => sum + v.price, 0) / priced.length
+    : null;
+}
+
+// Variants of the given products, or the whole catalog when none match
+function variantsFor(allVariants, productIds) {
+  if (productIds && productIds.length) {
+    const wanted = new Set(productIds.map(String));
+    const matching = allVariants.filter((v) => wanted.has(String(v.productId)));
+    if (matching.length) return matching;
+  }
+  return allVariants;
+}
+
+// -> { marginPercent, limit } where limit is the largest discountPercent /
+// amount that keeps the floor (null for offers that can't be capped), or
+// null when the offer can't be priced
+function evaluateOffer(rec, { orderValue, variants, config }) {
+  const offer = normalizeOffer(rec.offer);
+  const floor = config.minContributionMarginPercent / 100;
+  const shipCost = config.shippingCostPerOrder;
+  const shipCharged = config.shippingChargedPerOrder;
+  const order = Math.max(orderValue, offer.minimumSubtotal || 0);
+
+  const ratioOf = (productIds) =>
+    costRatio(variantsFor(variants, productIds)) ?? config.defaultCostRatio;
+  const margin = (revenue, costs) =>
+    revenue > 0 ? ((revenue - costs) / revenue) * 100 : -Infinity;
+  // Net revenue needed to cover `costs` at the floor
+  const revenueNeeded = (costs) => costs / (1 - floor);
+
+  if (offer.type === 'buy_x_get_y') {
+    const buyVariants = variantsFor(variants, offer.buyProductIds);
+    const getVariants = variantsFor(variants, offer.productIds);
+    const buyPrice = averagePrice(buyVariants);
+    const getPrice = averagePrice(getVariants);
+    const buyRatio = ratioOf(offer.buyProductIds);
+    const getRatio = ratioOf(offer.productIds);
+    if (!buyPrice || !getPrice || buyRatio === null || getRatio === null) {
+      return null;
+    }
+    const buyValue = offer.buyQuantity * buyPrice;
+    const getValue = offer.getQuantity * getPrice;
+    const revenue =
+      buyValue + getValue * (1 - (offer.getPercent || 100) / 100) + shipCharged;
+    const costs = buyValue * buyRatio + getValue * getRatio + shipCost;
+    return { marginPercent: margin(revenue, costs), limit: null };
+  }
+
+  const ratio = ratioOf(offer.productIds);
+  if (ratio === null) return null;
+  const costs = order * ratio + shipCost;
+
+  if (offer.type === 'free_shipping') {
+    return { marginPercent: margin(order, costs), limit: null };
+  }
+  if (offer.type === 'fixed_amount') {
+    const revenue = Math.max(0, order - offer.amount) + shipCharged;
+    return {
+      marginPercent: margin(revenue, costs),
+      limit: Math.floor(order + shipCharged - revenueNeeded(costs)),
+    };
+  }
+  const percent = rec.discountPercent || 0;
+  const revenue = order * (1 - percent / 100) + shipCharged;
+  return {
+    marginPercent: margin(revenue, costs),
+    limit: Math.floor((1 - (revenueNeeded(costs) - shipCharged) / order) * 100),
+  };
+}
+
+// --------------------------------------------------
+// Check / cap / flag a list of recommendations
+// customers: metrics for the recommended customers (averageOrderValue)
+// strategy: pricing strategy whose minimum discount a cap must keep
+// -> { recommendations, report }
+// --------------------------------------------------
+async function applyMarginFloor(
+  recommendations,
+  { customers = [], strategy } = {}
+) {
+  const config = await getMarginConfig();
+  const enabled = config.minContributionMarginPercent !== null;
+  const report = {
+    enabled,
+    floorPercent: config.minContributionMarginPercent,
+    action: config.action,
+    checked: 0,
+    passed: 0,
+    skipped: 0,
+    capped: [],
+    flagged: [],
+    removed: [],
+  };
+  if (!enabled) return { recommendations, report };
+
+  const { variants: variantMap } = await costStore.read();
+  const variants = Object.values(variantMap);
+  const byId = new Map(customers.map((c) => [String(c.id), c]));
+  const minPercent = strategy ? getDiscountRange(strategy).min : 0;
+
+  const result = [];
+  for (const rec of recommendations) {
+    const customer = byId.get(String(rec.customerId));
+    const orderValue =
+      customer && customer.averageOrderValue > 0
+        ? customer.averageOrderValue
+        : config.assumedOrderValue;
+
+    const evaluation = evaluateOffer(rec, { orderValue, variants, config });
+    if (!evaluation) {
+      report.skipped++;
+      result.push(rec);
+      continue;
+    }
+    report.checked++;
+
+    const marginPercent = round1(evaluation.marginPercent);
+    if (evaluation.marginPercent >= config.minContributionMarginPercent) {
+      report.passed++;
+      result.push(rec);
+      continue;
+    }
+
+    const { limit } = evaluation;
+    const entry = {
+      customerId: rec.customerId,
+      contributionMarginPercent: marginPercent,
+    };
+
+    if (config.action === 'flag' || limit === null) {
+      report.flagged.push({
+        ...entry,
+        reason:
+          limit === null && config.action === 'cap'
+            ? `${normalizeOffer(rec.offer).type} offers can't be capped`
+            : 'below margin floor',
+      });
+      result.push({
+        ...rec,
+        marginBreach: {
+          contributionMarginPercent: marginPercent,
+          floorPercent: config.minContributionMarginPercent,
+          ...(limit === null ? {} : { maxAllowed: Math.max(0, limit) }),
+        },
+      });
+      continue;
+    }
+
+    if (limit < 1) {
+      report.removed.push({
+        ...entry,
+        reason: 'no discount keeps the margin floor',
+      });
+      continue;
+    }
+
+    if (rec.offer && rec.offer.type === 'fixed_amount') {
+      report.capped.push({
+        ...entry,
+        field: 'offer.amount',
+        from: rec.offer.amount,
+        to: limit,
+      });
+      result.push({ ...rec, offer: { ...rec.offer, amount: limit } });
+    } else if (limit < minPercent) {
+      report.removed.push({
+        ...entry,
+        reason: `capped discount ${limit}% is below the ${strategy} minimum of ${minPercent}%`,
+      });
+    } else {
+      report.capped.push({
+        ...entry,
+        field: 'discountPercent',
+        from: rec.discountPercent,
+        to: limit,
+      });
+      result.push({
+        ...rec,
+        discountPercent: limit,
+        // One code = one percentage in Shopify: COMEBACK30 -> COMEBACK25
+        discountCode: recodeForPercent(rec.discountCode || 'OFFER', limit),
+      });
+    }
+  }
+
+  return { recommendations: result, report };
+}
+
+module.exports = {
+  MARGIN_ACTIONS,
+  validateMarginConfig,
+  getMarginConfig,
+  updateMarginConfig,
+  getCostSummary,
+  importCostsFromShopify,
+  importCostsFromCsv,
+  applyMarginFloor,
+};
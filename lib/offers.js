@@ -0,0 +1,392 @@
+// lib/offers.js
+// Offer types a recommendation / rule tier can carry beyond "discountPercent
+// off everything", and how each becomes a Shopify price rule and MailerLite
+// fields.
+//
+// offer = { type, ...fields }, optional (no offer = percentage off all):
+//   percentage     discountPercent off   productIds | collectionIds
+//   fixed_amount   amount off            productIds | collectionIds
+//   free_shipping  free shipping         maxShippingAmount
+//   buy_x_get_y    buyQuantity of buyProductIds | buyCollectionIds gets
+//                  getQuantity of productIds | collectionIds at getPercent
+//                  off (default 100 = free), allocationLimit per order
+// plus, except for buy_x_get_y, one minimum: minimumSubtotal (amount) or
+// minimumQuantity (items).
+//
+// discountPercent stays on every recommendation: the percentage for
+// 'percentage', a rough equivalent for reporting for the others.
+
+const OFFER_TYPES = [
+  'percentage',
+  'fixed_amount',
+  'free_shipping',
+  'buy_x_get_y',
+];
+
+const MINIMUM_FIELDS = ['minimumSubtotal', 'minimumQuantity'];
+const TARGET_FIELDS = ['productIds', 'collectionIds'];
+const OFFER_FIELDS = {
+  percentage: [...TARGET_FIELDS, ...MINIMUM_FIELDS],
+  fixed_amount: ['amount', ...TARGET_FIELDS, ...MINIMUM_FIELDS],
+  free_shipping: ['maxShippingAmount', ...MINIMUM_FIELDS],
+  buy_x_get_y: [
+    'buyProductIds',
+    'buyCollectionIds',
+    'buyQuantity',
+    ...TARGET_FIELDS,
+    'getQuantity',
+    'getPercent',
+    'allocationLimit',
+  ],
+};
+
+const MAX_IDS = 100;
+const MAX_AMOUNT = 10000;
+const MAX_QUANTITY = 100;
+
+const isIdList = (value) =>
+  Array.isArray(value) &&
+  value.length > 0 &&
+  value.length <= MAX_IDS &&
+  value.every((id) => /^\d+$/.test(String(id)));
+
+const isAmount = (value) =>
+  typeof value === 'number' &&
+  Number.isFinite(value) &&
+  value > 0 &&
+  value <= MAX_AMOUNT;
+
+const isQuantity = (value) =>
+  Number.isInteger(value) && value >= 1 && value <= MAX_QUANTITY;
+
+const money = (value) => (Math.round(value * 100) / 100).toFixed(2);
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateOffer(offer, path = 'offer') {
+  if (!offer || typeof offer !== 'object' || Array.isArray(offer)) {
+    return [`${path} must be an object`];
+  }
+  if (!OFFER_TYPES.includes(offer.type)) {
+    return [`${path}.type must be one of: ${OFFER_TYPES.join(', ')}`];
+  }
+
+  const errors = [];
+  const allowed = OFFER_FIELDS[offer.type];
+  for (const key of Object.keys(offer)) {
+    if (key !== 'type' && !allowed.includes(key)) {
+      errors.push(`${path}.${key} does not apply to ${offer.type} offers`);
+    }
+  }
+
+  const has = (field) => offer[field] !== undefined && offer[field] !== null;
+
+  for (const field of [
+    'productIds',
+    'collectionIds',
+    'buyProductIds',
+    'buyCollectionIds',
+  ]) {
+    if (has(field) && !isIdList(offer[field])) {
+      errors.push(
+        `${path}.${field} must be a list of 1-${MAX_IDS} Shopify ids`
+      );
+    }
+  }
+  for (const field of ['amount', 'minimumSubtotal', 'maxShippingAmount']) {
+    if (has(field) && !isAmount(offer[field])) {
+      errors.push(
+        `${path}.${field} must be an amount above 0 and up to ${MAX_AMOUNT}`
+      );
+    }
+  }
+  for (const field of [
+    'minimumQuantity',
+    'buyQuantity',
+    'getQuantity',
+    'allocationLimit',
+  ]) {
+    if (has(field) && !isQuantity(offer[field])) {
+      errors.push(
+        `${path}.${field} must be a whole number between 1 and ${MAX_QUANTITY}`
+      );
+    }
+  }
+
+  if (has('productIds') && has('collectionIds')) {
+    errors.push(`${path} can target productIds or collectionIds, not both`);
+  }
+  if (has('minimumSubtotal') && has('minimumQuantity')) {
+    errors.push(
+      `${path} can have minimumSubtotal or minimumQuantity, not both`
+    );
+  }
+
+  if (offer.type === 'fixed_amount' && !has('amount')) {
+    errors.push(`${path}.amount is required for fixed_amount offers`);
+  }
+  if (offer.type === 'buy_x_get_y') {
+    if (has('buyProductIds') === has('buyCollectionIds')) {
+      errors.push(
+        `${path} needs either buyProductIds or buyCollectionIds (what to buy)`
+      );
+    }
+    if (!has('productIds') && !has('collectionIds')) {
+      errors.push(`${path} needs productIds or collectionIds (what they get)`);
+    }
+    for (const field of ['buyQuantity', 'getQuantity']) {
+      if (!has(field)) {
+        errors.push(`${path}.${field} is required for buy_x_get_y offers`);
+      }
+    }
+    if (
+      has('getPercent') &&
+      (!Number.isInteger(offer.getPercent) ||
+        offer.getPercent < 1 ||
+        offer.getPercent > 100)
+    ) {
+      errors.push(
+        `${path}.getPercent must be a whole number between 1 and 100`
+      );
+    }
+  }
+
+  return errors;
+}
+
+// Every `offer` in a list of recommendations
+function validateRecommendationOffers(
+  recommendations,
+  label = 'recommendations'
+) {
+  const errors = [];
+  recommendations.forEach((rec, i) => {
+    if (rec && rec.offer !== undefined && rec.offer !== null) {
+      errors.push(...validateOffer(rec.offer, `${label}[${i}].offer`));
+    }
+  });
+  return errors;
+}
+
+// Valid offer -> canonical form (numeric ids, fixed key order, no unset
+// fields). No offer -> { type: 'percentage' }
+function normalizeOffer(offer) {
+  if (!offer) return { type: 'percentage' };
+  const normalized = { type: offer.type };
+  for (const field of OFFER_FIELDS[offer.type]) {
+    const value = offer[field];
+    if (value === undefined || value === null) continue;
+    normalized[field] = Array.isArray(value)
+      ? [...new Set(value.map(Number))].sort((a, b) => a - b)
+      : value;
+  }
+  return normalized;
+}
+
+// Plain percentage-off-everything: what every code was before offer types
+function isPlainPercentage(offer) {
+  return (
+    !offer || (offer.type === 'percentage' && Object.keys(offer).length === 1)
+  );
+}
+
+// Does this recommendation offer anything? (0% with no other offer = no)
+function hasOffer(rec) {
+  if (!rec) return false;
+  if (rec.offer && rec.offer.type !== 'percentage') return true;
+  return rec.discountPercent > 0;
+}
+
+// --------------------------------------------------
+// Strategy ranges (aiValidation.getDiscountRange) are in percent off, so
+// other offers are measured as a percent of an order:
+//   fixed_amount   amount / orderValue
+//   free_shipping  maxShippingAmount / orderValue (unbounded without one)
+//   buy_x_get_y    getPercent of getQuantity out of buyQuantity + getQuantity
+// orderValue is the customer's average order (or a typical one for rule
+// tiers). null when the offer can't be measured.
+// --------------------------------------------------
+function offerPercentOfOrder(offer, { discountPercent, orderValue } = {}) {
+  const o = normalizeOffer(offer);
+  const ofOrder = (amount) =>
+    orderValue > 0 && amount ? (amount / orderValue) * 100 : null;
+  if (o.type === 'fixed_amount') return ofOrder(o.amount);
+  if (o.type === 'free_shipping') return ofOrder(o.maxShippingAmount);
+  if (o.type === 'buy_x_get_y') {
+    return (
+      ((o.getPercent || 100) * o.getQuantity) / (o.buyQuantity + o.getQuantity)
+    );
+  }
+  return typeof discountPercent === 'number' ? discountPercent : null;
+}
+
+// Offer lowered to at most maxPercent of an order (see offerPercentOfOrder)
+// -> { offer, changed } or null when it can't be measured or nothing of it
+// would be left. Percentage offers carry no value of their own: the
+// caller bounds discountPercent.
+function boundOffer(offer, { maxPercent, orderValue }) {
+  const o = normalizeOffer(offer);
+  if (o.type === 'percentage') return { offer: o, changed: false };
+
+  const percent = offerPercentOfOrder(o, { orderValue });
+  if (percent === null) return null;
+  if (percent <= maxPercent) return { offer: o, changed: false };
+
+  if (o.type === 'buy_x_get_y') {
+    const getPercent = Math.floor(
+      (maxPercent * (o.buyQuantity + o.getQuantity)) / o.getQuantity
+    );
+    if (getPercent < 1) return null;
+    return { offer: { ...o, getPercent }, changed: true };
+  }
+  const field = o.type === 'fixed_amount' ? 'amount' : 'maxShippingAmount';
+  const amount = Math.floor(orderValue * maxPercent) / 100;
+  if (!(amount > 0)) return null;
+  return { offer: { ...o, [field]: amount }, changed: true };
+}
+
+// --------------------------------------------------
+// Shopify price rule fields (everything but title / customers / dates)
+// --------------------------------------------------
+function priceRuleFields(offer, percentage) {
+  const o = normalizeOffer(offer);
+  const fields = {
+    target_type: 'line_item',
+    target_selection: 'all',
+    allocation_method: 'across',
+    value_type: 'percentage',
+    value: `-${percentage}`,
+  };
+
+  if (o.type === 'fixed_amount') {
+    fields.value_type = 'fixed_amount';
+    fields.value = `-${money(o.amount)}`;
+  } else if (o.type === 'free_shipping') {
+    fields.target_type = 'shipping_line';
+    fields.allocation_method = 'each';
+    fields.value = '-100.0';
+    if (o.maxShippingAmount) {
+      fields.prerequisite_shipping_price_range = {
+        less_than_or_equal_to: money(o.maxShippingAmount),
+      };
+    }
+  } else if (o.type === 'buy_x_get_y') {
+    fields.allocation_method = 'each';
+    fields.value = `-${o.getPercent || 100}`;
+    if (o.buyProductIds) fields.prerequisite_product_ids = o.buyProductIds;
+    if (o.buyCollectionIds) {
+      fields.prerequisite_collection_ids = o.buyCollectionIds;
+    }
+    fields.prerequisite_to_entitlement_quantity_ratio = {
+      prerequisite_quantity: o.buyQuantity,
+      entitled_quantity: o.getQuantity,
+    };
+    if (o.allocationLimit) fields.allocation_limit = o.allocationLimit;
+  }
+
+  if (o.productIds || o.collectionIds) {
+    fields.target_selection = 'entitled';
+    if (o.productIds) fields.entitled_product_ids = o.productIds;
+    if (o.collectionIds) fields.entitled_collection_ids = o.collectionIds;
+  }
+  if (o.minimumSubtotal) {
+    fields.prerequisite_subtotal_range = {
+      greater_than_or_equal_to: money(o.minimumSubtotal),
+    };
+  }
+  if (o.minimumQuantity) {
+    fields.prerequisite_quantity_range = {
+      greater_than_or_equal_to: o.minimumQuantity,
+    };
+  }
+  return fields;
+}
+
+// An existing price rule gives this offer (value / type / target)?
+function matchesPriceRule(rule, offer, percentage) {
+  const fields = priceRuleFields(offer, percentage);
+  return (
+    Number(rule.value) === Number(fields.value) &&
+    (rule.value_type || 'percentage') === fields.value_type &&
+    (rule.target_type || 'line_item') === fields.target_type &&
+    (rule.target_selection || 'all') === fields.target_selection
+  );
+}
+
+// Best guess at the offer type of a price rule (for listings)
+function offerTypeOfPriceRule(rule) {
+  if (rule.target_type === 'shipping_line') return 'free_shipping';
+  if (rule.prerequisite_to_entitlement_quantity_ratio?.prerequisite_quantity) {
+    return 'buy_x_get_y';
+  }
+  return rule.value_type === 'fixed_amount' ? 'fixed_amount' : 'percentage';
+}
+
+// --------------------------------------------------
+// Customer-facing text, e.g. "$10.00 off orders of $50.00 or more"
+// --------------------------------------------------
+function describeOffer(offer, percentage) {
+  const o = normalizeOffer(offer);
+  let text;
+  if (o.type === 'fixed_amount') text = `$${money(o.amount)} off`;
+  else if (o.type === 'free_shipping') text = 'Free shipping';
+  else if (o.type === 'buy_x_get_y') {
+    const reward =
+      !o.getPercent || o.getPercent === 100 ? 'free' : `${o.getPercent}% off`;
+    text = `Buy ${o.buyQuantity}, get ${o.getQuantity} ${reward}`;
+  } else text = `${percentage}% off`;
+
+  if (o.type !== 'buy_x_get_y') {
+    if (o.productIds) text += ' selected products';
+    else if (o.collectionIds) text += ' selected collections';
+  }
+  if (o.minimumSubtotal) {
+    // "$10.00 off orders of ...", "Free shipping on orders of ..."
+    text += `${text.endsWith(' off') ? '' : ' on'} orders of $${money(
+      o.minimumSubtotal
+    )} or more`;
+  } else if (o.minimumQuantity) {
+    text += ` when you buy ${o.minimumQuantity} or more items`;
+  }
+  return text;
+}
+
+// --------------------------------------------------
+// MailerLite subscriber custom fields for a recommendation
+// (offer_type / offer_value / offer_summary must exist as fields in
+// MailerLite to show up in emails)
+// --------------------------------------------------
+function mailerLiteFields(rec) {
+  const o = normalizeOffer(rec.offer);
+  let value = '';
+  if (o.type === 'fixed_amount') value = money(o.amount);
+  else if (o.type === 'buy_x_get_y') value = String(o.getPercent || 100);
+  else if (o.type === 'percentage') value = String(rec.discountPercent ?? '');
+
+  return {
+    discount_code: rec.discountCode,
+    discount_percent: String(rec.discountPercent ?? ''),
+    offer_type: o.type,
+    offer_value: value,
+    offer_summary: describeOffer(o, rec.discountPercent),
+    messaging_angle: rec.messagingAngle || '',
+    expected_value: String(rec.expectedValue ?? ''),
+  };
+}
+
+module.exports = {
+  OFFER_TYPES,
+  validateOffer,
+  validateRecommendationOffers,
+  normalizeOffer,
+  isPlainPercentage,
+  hasOffer,
+  offerPercentOfOrder,
+  boundOffer,
+  priceRuleFields,
+  matchesPriceRule,
+  offerTypeOfPriceRule,
+  describeOffer,
+  mailerLiteFields,
+};
@@ -0,0 +1,111 @@
+// lib/orders.js
+// Order ingestion: pull order history from Shopify and roll it up per customer
+
+const shopify = require('./shopifyClient');
+
+// ✅ Hard ceiling on orders pulled per sync (protects memory on huge stores)
+const MAX_ORDERS_FETCHED = Number(process.env.MAX_ORDERS_FETCHED || '50000');
+
+// Only the fields we need for recency / frequency / monetary metrics
+const ORDER_FIELDS = [
+  'id',
+  'customer',
+  'created_at',
+  'updated_at',
+  'cancelled_at',
+  'total_price',
+  'financial_status',
+].join(',');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// --------------------------------------------------
+// Fetch orders from Shopify with pagination
+// NOTE: without the read_all_orders scope Shopify only returns the last
+// 60 days of orders, so older customers will show no order history.
+// --------------------------------------------------
+async function fetchShopifyOrdersPaginated({
+  limitTotal = MAX_ORDERS_FETCHED,
+  createdAtMin = null,
+  updatedAtMin = null,
+  onPage,
+} = {}) {
+  console.log('\n🧾 Starting Shopify orders pagination fetch...');
+  console.log(`➡️ Limit Total: ${limitTotal}`);
+
+  const allOrders = await shopify.paginate('/orders.json', {
+    resourceKey: 'orders',
+    fields: ORDER_FIELDS,
+    query: {
+      status: 'any',
+      created_at_min: createdAtMin,
+      updated_at_min: updatedAtMin,
+    },
+    limitTotal,
+    onPage: ({ count, total }) => {
+      console.log(
+        `📦 Orders received this page: ${count} (total so far: ${total})`
+      );
+      if (onPage) onPage({ count, total });
+    },
+  });
+
+  console.log(`✅ TOTAL ORDERS FETCHED: ${allOrders.length}`);
+
+  return allOrders;
+}
+
+// --------------------------------------------------
+// Roll orders up into per-customer purchase history stats
+// Returns a Map keyed by String(customerId)
+// --------------------------------------------------
+function buildOrderStatsByCustomer(orders) {
+  const datesByCustomer = new Map();
+  const revenueByCustomer = new Map();
+
+  for (const order of orders || []) {
+    const customerId = order.customer && order.customer.id;
+    if (!customerId || order.cancelled_at) continue;
+
+    const createdAt = new Date(order.created_at);
+    if (Number.isNaN(createdAt.getTime())) continue;
+
+    const key = String(customerId);
+    if (!datesByCustomer.has(key)) {
+      datesByCustomer.set(key, []);
+      revenueByCustomer.set(key, 0);
+    }
+    datesByCustomer.get(key).push(createdAt.getTime());
+    revenueByCustomer.set(
+      key,
+      revenueByCustomer.get(key) + parseFloat(order.total_price || '0')
+    );
+  }
+
+  const stats = new Map();
+  for (const [key, timestamps] of datesByCustomer.entries()) {
+    timestamps.sort((a, b) => a - b);
+
+    const intervals = [];
+    for (let i = 1; i < timestamps.length; i++) {
+      intervals.push((timestamps[i] - timestamps[i - 1]) / DAY_MS);
+    }
+
+    stats.set(key, {
+      orderCount: timestamps.length,
+      orderRevenue: revenueByCustomer.get(key),
+      firstOrderAt: timestamps[0],
+      lastOrderAt: timestamps[timestamps.length - 1],
+      interPurchaseDays: intervals,
+    });
+  }
+
+  return stats;
+}
+
+module.exports = {
+  MAX_ORDERS_FETCHED,
+  ORDER_FIELDS,
+  fetchShopifyOrdersPaginated,
+  buildOrderStatsByCustomer,
+};
@@ -0,0 +1,113 @@
+// lib/pii.js
+// PII minimization for prompts: customers leave the server as opaque tokens
+// ("c1", "c2", ...) carrying only allow-listed behavioral fields, in a
+// compact columnar JSON. Identities stay in a server-side map and are put
+// back onto the model's recommendations.
+//
+// AI_ALLOWED_FIELDS (comma list, dotted paths allowed) controls which
+// customer fields may be sent. Identity fields are never sent.
+
+const IDENTITY_FIELDS = [
+  'id',
+  'email',
+  'firstName',
+  'lastName',
+  'name',
+  'phone',
+];
+
+const DEFAULT_AI_ALLOWED_FIELDS = [
+  'totalOrders',
+  'totalSpent',
+  'averageOrderValue',
+  'daysSinceLastOrder',
+  'daysSinceFirstOrder',
+  'averageDaysBetweenOrders',
+  'rfm.score',
+  'predictedValue90',
+  'predictedValue365',
+  'probabilityAlive',
+  'churnRiskScore',
+  'churnRiskBand',
+  'expectedDaysBetweenOrders',
+];
+
+function loadAllowedFields() {
+  const raw = process.env.AI_ALLOWED_FIELDS;
+  if (!raw) return DEFAULT_AI_ALLOWED_FIELDS;
+  const fields = raw
+    .split(',')
+    .map((f) => f.trim())
+    .filter(Boolean);
+  const blocked = fields.filter((f) => IDENTITY_FIELDS.includes(f));
+  if (blocked.length) {
+    console.warn(
+      `AI_ALLOWED_FIELDS: identity fields are never sent, ignoring ${blocked.join(
+        ', '
+      )}`
+    );
+  }
+  return fields.filter((f) => !IDENTITY_FIELDS.includes(f));
+}
+
+const AI_ALLOWED_FIELDS = loadAllowedFields();
+
+function readField(customer, field) {
+  return field
+    .split('.')
+    .reduce((obj, key) => (obj == null ? undefined : obj[key]), customer);
+}
+
+// Floats to 2 decimals (saves tokens, the model doesn't need more)
+function compactValue(value) {
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    return Math.round(value * 100) / 100;
+  }
+  if (value === undefined) return null;
+  return value;
+}
+
+// --------------------------------------------------
+// customers -> { records: [{ token, values }], identities }
+// identities: Map token -> original customer
+// --------------------------------------------------
+function pseudonymizeCustomers(customers, fields = AI_ALLOWED_FIELDS) {
+  const identities = new Map();
+  const records = customers.map((customer, i) => {
+    const token = `c${i + 1}`;
+    identities.set(token, customer);
+    return {
+      token,
+      values: fields.map((f) => compactValue(readField(customer, f))),
+    };
+  });
+  return { records, identities };
+}
+
+// Columnar JSON: { note, columns, rows } (one line)
+function serializeForPrompt(records, fields = AI_ALLOWED_FIELDS) {
+  return JSON.stringify({
+    note: 'customerId values are pseudonymous tokens; return them unchanged',
+    columns: ['customerId', ...fields],
+    rows: records.map((r) => [r.token, ...r.values]),
+  });
+}
+
+// --------------------------------------------------
+// Model output -> real customer ids + emails
+// Unknown tokens are left as-is (the guardrails reject them)
+// --------------------------------------------------
+function restoreIdentities(recommendations, identities) {
+  return recommendations.map((rec) => {
+    const customer = identities.get(String(rec.customerId));
+    if (!customer) return rec;
+    return { ...rec, customerId: customer.id, email: customer.email };
+  });
+}
+
+module.exports = {
+  AI_ALLOWED_FIELDS,
+  pseudonymizeCustomers,
+  serializeForPrompt,
+  restoreIdentities,
+};
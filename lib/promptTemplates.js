@@ -0,0 +1,206 @@
+// lib/promptTemplates.js
+// Versioned prompt templates. Every AI route renders its prompts from here,
+// so a prompt can change without a code deploy.
+//
+// Each template has a read-only built-in v1 (lib/prompts/*) plus any
+// versions added through the API (v2, v3, ...), stored in
+// prompt-templates.json. One version per template is active. Placeholders
+// are {{variable}}; only the template's declared variables are allowed.
+// Responses record the version that produced them as "<name>@<version>".
+
+const { createJsonStore } = require('./jsonStore');
+
+const BUILT_IN = {};
+for (const template of [
+  require('./prompts/analyze'),
+  require('./prompts/ruleConfig'),
+  require('./prompts/glp1Plan'),
+]) {
+  BUILT_IN[template.name] = template;
+}
+const BUILT_IN_VERSION = 'v1';
+
+const store = createJsonStore('prompt-templates.json', { templates: {} });
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function placeholdersIn(text) {
+  return [...String(text).matchAll(PLACEHOLDER)].map((m) => m[1]);
+}
+
+function storedEntry(data, name) {
+  return (
+    data.templates[name] || { activeVersion: BUILT_IN_VERSION, versions: {} }
+  );
+}
+
+function resolveVersion(name, entry, version) {
+  if (version === BUILT_IN_VERSION) {
+    const { system, user } = BUILT_IN[name];
+    return { system, user, note: 'Built-in', createdAt: null, builtIn: true };
+  }
+  const stored = entry.versions[version];
+  return stored ? { ...stored, builtIn: false } : null;
+}
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateTemplateVersion(name, { system, user }) {
+  const errors = [];
+  const builtIn = BUILT_IN[name];
+  if (!builtIn) return [`Unknown prompt template "${name}"`];
+
+  if (typeof system !== 'string' || !system.trim()) {
+    errors.push('system must be a non-empty string');
+  }
+  if (typeof user !== 'string' || !user.trim()) {
+    errors.push('user must be a non-empty string');
+  }
+  if (errors.length) return errors;
+
+  const unknown = [
+    ...new Set(
+      [...placeholdersIn(system), ...placeholdersIn(user)].filter(
+        (v) => !builtIn.variables.includes(v)
+      )
+    ),
+  ];
+  if (unknown.length) {
+    errors.push(
+      `Unknown variables: ${unknown.join(', ')} (allowed: ${builtIn.variables.join(
+        ', '
+      )})`
+    );
+  }
+  return errors;
+}
+
+// --------------------------------------------------
+// Rendering
+// --------------------------------------------------
+function renderText(text, vars) {
+  return text.replace(PLACEHOLDER, (match, key) =>
+    vars[key] === undefined || vars[key] === null ? '' : String(vars[key])
+  );
+}
+
+// template from getActiveTemplate -> { systemPrompt, userPrompt }
+function renderTemplate(template, vars) {
+  return {
+    systemPrompt: renderText(template.system, vars),
+    userPrompt: renderText(template.user, vars),
+  };
+}
+
+// --------------------------------------------------
+// Registry
+// --------------------------------------------------
+async function listTemplates() {
+  const data = await store.read();
+  return Object.values(BUILT_IN).map((builtIn) => {
+    const entry = storedEntry(data, builtIn.name);
+    return {
+      name: builtIn.name,
+      description: builtIn.description,
+      variables: builtIn.variables,
+      activeVersion: entry.activeVersion,
+      versions: [
+        { version: BUILT_IN_VERSION, builtIn: true, note: 'Built-in' },
+        ...Object.entries(entry.versions).map(([version, v]) => ({
+          version,
+          builtIn: false,
+          note: v.note,
+          createdAt: v.createdAt,
+        })),
+      ],
+    };
+  });
+}
+
+async function getTemplate(name) {
+  if (!BUILT_IN[name]) return null;
+  const data = await store.read();
+  const entry = storedEntry(data, name);
+  const versions = {
+    [BUILT_IN_VERSION]: resolveVersion(name, entry, BUILT_IN_VERSION),
+  };
+  for (const version of Object.keys(entry.versions)) {
+    versions[version] = resolveVersion(name, entry, version);
+  }
+  return {
+    name,
+    description: BUILT_IN[name].description,
+    variables: BUILT_IN[name].variables,
+    activeVersion: entry.activeVersion,
+    versions,
+  };
+}
+
+// -> { name, version, id: 'analyze@v2', system, user }
+async function getActiveTemplate(name) {
+  if (!BUILT_IN[name]) throw new Error(`Unknown prompt template "${name}"`);
+  const data = await store.read();
+  const entry = storedEntry(data, name);
+  let version = entry.activeVersion;
+  let resolved = resolveVersion(name, entry, version);
+  if (!resolved) {
+    console.error(
+      `Prompt template ${name}@${version} is missing, using the built-in version`
+    );
+    version = BUILT_IN_VERSION;
+    resolved = resolveVersion(name, entry, version);
+  }
+  return {
+    name,
+    version,
+    id: `${name}@${version}`,
+    system: resolved.system,
+    user: resolved.user,
+  };
+}
+
+// Call validateTemplateVersion first
+async function createVersion(name, { system, user, note = '', activate }) {
+  const data = await store.read();
+  const entry = storedEntry(data, name);
+  const next =
+    Math.max(
+      1,
+      ...Object.keys(entry.versions).map((v) => Number(v.slice(1)) || 0)
+    ) + 1;
+  const version = `v${next}`;
+
+  entry.versions[version] = {
+    system,
+    user,
+    note,
+    createdAt: new Date().toISOString(),
+  };
+  if (activate) entry.activeVersion = version;
+  data.templates[name] = entry;
+  await store.write(data);
+  return { name, version, activeVersion: entry.activeVersion };
+}
+
+// Returns null if the template or version doesn't exist
+async function activateVersion(name, version) {
+  if (!BUILT_IN[name]) return null;
+  const data = await store.read();
+  const entry = storedEntry(data, name);
+  if (!resolveVersion(name, entry, version)) return null;
+  entry.activeVersion = version;
+  data.templates[name] = entry;
+  await store.write(data);
+  return { name, activeVersion: version };
+}
+
+module.exports = {
+  validateTemplateVersion,
+  renderTemplate,
+  listTemplates,
+  getTemplate,
+  getActiveTemplate,
+  createVersion,
+  activateVersion,
+};
@@ -0,0 +1,83 @@
+// lib/prompts/analyze.js
+// Built-in v1 of the /api/ai/analyze prompt (see lib/promptTemplates)
+
+module.exports = {
+  name: 'analyze',
+  description: 'Per-customer discount recommendations for a segment',
+  variables: [
+    'brandName',
+    'productDescription',
+    'monthlyRevenue',
+    'totalCustomers',
+    'activeCustomers',
+    'activeCustomerDays',
+    'currentRoas',
+    'brandNotes',
+    'segmentJson',
+    'strategyName',
+    'strategyDesc',
+    'discountMin',
+    'discountMax',
+  ],
+  system: `
+You are a pricing strategy AI for {{brandName}} ({{productDescription}}).
+You MUST ALWAYS respond with a single valid JSON object. Do NOT include explanations, markdown, or any text outside the JSON.
+The word "JSON" appears here to satisfy tooling requirements.`,
+  user: `
+CUSTOMER SEGMENT DATA (JSON):
+{{segmentJson}}
+
+PRICING STRATEGY: {{strategyName}}
+STRATEGY GOAL: {{strategyDesc}}
+
+BUSINESS CONTEXT:
+- Current monthly revenue: {{monthlyRevenue}}
+- Total customers: {{totalCustomers}}
+- Active customers: {{activeCustomers}} (ordered in the last {{activeCustomerDays}} days)
+- Current ROAS: {{currentRoas}}
+- Product: {{productDescription}}
+- Notes: {{brandNotes}}
+
+CUSTOMER FIELDS (when present):
+- predictedValue90 / predictedValue365: expected revenue from the customer over the next 90 / 365 days with no offer (BG/NBD + Gamma-Gamma model)
+- probabilityAlive: probability (0-1) the customer is still an active buyer
+- churnRiskScore / churnRiskBand: how overdue the customer is relative to their own usual purchase cadence (expectedDaysBetweenOrders); bands are healthy, cooling, at-risk, lapsed
+Use these to size discounts: customers likely to buy anyway (high probabilityAlive, high predicted value) need little or no discount; protect high future value, and spend deeper discounts only where they can change behaviour.
+
+TASK:
+Analyze this customer segment and provide:
+
+1. Recommended discount percentage for each customer ({{discountMin}}-{{discountMax}}%, whole numbers)
+2. Rationale for each discount level
+3. Expected impact on conversion/retention
+4. Personalized email messaging angle for each customer
+5. Overall campaign ROI projection
+
+RESPONSE FORMAT (STRICT JSON):
+
+{
+  "customerRecommendations": [
+    {
+      "customerId": "c1",
+      "discountPercent": 20,
+      "discountCode": "COMEBACK20",
+      "rationale": "explanation",
+      "messagingAngle": "personalized message approach",
+      "expectedValue": 45.50
+    }
+  ],
+  "campaignProjection": {
+    "expectedConversionRate": "15%",
+    "projectedRevenue": "$2,500",
+    "projectedROI": "3.2x",
+    "riskFactors": ["factor1", "factor2"]
+  },
+  "strategicInsights": ["insight1", "insight2", "insight3"]
+}
+
+CRITICAL:
+- Respond ONLY with valid JSON that matches this shape.
+- Do NOT wrap the JSON in markdown.
+- Do NOT add any keys other than the ones shown above, except where you need more detailed text in string fields.
+`,
+};
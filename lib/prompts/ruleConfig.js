@@ -0,0 +1,63 @@
+// lib/prompts/ruleConfig.js
+// Built-in v1 of the /api/reactivation/rule-config prompt
+
+module.exports = {
+  name: 'rule-config',
+  description: 'Tiered ruleConfig for the batch endpoint from aggregate stats',
+  variables: [
+    'brandName',
+    'productDescription',
+    'statsJson',
+    'strategyName',
+    'strategyDesc',
+    'churnRiskBands',
+    'discountMin',
+    'discountMax',
+  ],
+  system: `
+You are a pricing strategy AI for {{brandName}} ({{productDescription}}).
+You design discount rule tiers that a backend applies to every customer.
+You MUST ALWAYS respond with a single valid JSON object. Do NOT include explanations, markdown, or any text outside the JSON.`,
+  user: `
+CUSTOMER BASE STATS (JSON, aggregates only; days are days since last order):
+{{statsJson}}
+
+PRICING STRATEGY: {{strategyName}}
+STRATEGY GOAL: {{strategyDesc}}
+
+TASK:
+Design 2-6 rule tiers for this strategy. A customer gets the FIRST tier whose
+bounds all match, otherwise the default. Use the stats to put tier
+boundaries where customers actually are.
+
+Tier fields (all bounds optional, inclusive):
+- minTotalSpent / maxTotalSpent (dollars)
+- minDaysSinceLastOrder / maxDaysSinceLastOrder
+- churnRiskBands: any of {{churnRiskBands}}
+- discountPercent: whole number between {{discountMin}} and {{discountMax}} (0 = no offer)
+- discountCodePrefix: A-Z, 0-9, - or _ (the code becomes PREFIX + percent)
+- rationale, messagingAngle: short strings
+
+RESPONSE FORMAT (STRICT JSON):
+
+{
+  "tiers": [
+    {
+      "minTotalSpent": 100,
+      "minDaysSinceLastOrder": 60,
+      "maxDaysSinceLastOrder": 180,
+      "discountPercent": 15,
+      "discountCodePrefix": "VIPBACK",
+      "rationale": "explanation",
+      "messagingAngle": "message approach"
+    }
+  ],
+  "default": {
+    "discountPercent": 10,
+    "discountCodePrefix": "WINBACK",
+    "rationale": "explanation",
+    "messagingAngle": "message approach"
+  }
+}
+`,
+};
@@ -0,0 +1,309 @@
+// lib/rules.js
+// Rule tiers for /api/reactivation/batch: map each customer to a discount.
+// ruleConfigs can be written by hand or generated by
+// /api/reactivation/rule-config (lib/aiRules), checked by validateRuleConfig.
+//
+// ruleConfig = {
+//   tiers: [ { minTotalSpent, maxTotalSpent, minDaysSinceLastOrder,
+//              maxDaysSinceLastOrder, minPredictedValue365,
+//              maxPredictedValue365, minProbabilityAlive,
+//              maxProbabilityAlive, minChurnRiskScore, maxChurnRiskScore,
+//              churnRiskBands, discountPercent, discountCode,
+//              discountCodePrefix, offer, rationale, messagingAngle,
+//              expectedValue } ],
+//   default: { ...same offer fields, no bounds }
+// }
+// The first tier whose bounds all match wins. churnRiskBands is a band or
+// list of bands (healthy, cooling, at-risk, lapsed); churnRiskBand is
+// accepted as an alias. `offer` (lib/offers) turns the tier into a fixed
+// amount, free shipping, buy X get Y etc. instead of discountPercent off.
+
+const { CHURN_RISK_BANDS } = require('./churn');
+const offers = require('./offers');
+
+// Optional tier bounds: [min key, max key, customer field].
+// totalSpent / daysSinceLastOrder always apply (0..Infinity by default);
+// the others only constrain when the tier sets them.
+const OPTIONAL_RANGES = [
+  ['minPredictedValue365', 'maxPredictedValue365', 'predictedValue365'],
+  ['minProbabilityAlive', 'maxProbabilityAlive', 'probabilityAlive'],
+  ['minChurnRiskScore', 'maxChurnRiskScore', 'churnRiskScore'],
+];
+
+function matchesOptionalRanges(customer, tier) {
+  for (const [minKey, maxKey, field] of OPTIONAL_RANGES) {
+    const hasMin = typeof tier[minKey] === 'number';
+    const hasMax = typeof tier[maxKey] === 'number';
+    if (!hasMin && !hasMax) continue;
+
+    // A bound on a metric the customer doesn't have never matches
+    const value = customer[field];
+    if (typeof value !== 'number') return false;
+    if (hasMin && value < tier[minKey]) return false;
+    if (hasMax && value > tier[maxKey]) return false;
+  }
+  return true;
+}
+
+function matchesChurnRiskBand(customer, tier) {
+  const wanted = tier.churnRiskBands ?? tier.churnRiskBand;
+  if (wanted === undefined || wanted === null) return true;
+  const bands = Array.isArray(wanted) ? wanted : [wanted];
+  if (!bands.length) return true;
+  return bands.includes(customer.churnRiskBand);
+}
+
+function tierBounds(tier) {
+  return {
+    minTotalSpent:
+      typeof tier.minTotalSpent === 'number' ? tier.minTotalSpent : 0,
+    maxTotalSpent:
+      typeof tier.maxTotalSpent === 'number' ? tier.maxTotalSpent : Infinity,
+    minDays:
+      typeof tier.minDaysSinceLastOrder === 'number'
+        ? tier.minDaysSinceLastOrder
+        : 0,
+    maxDays:
+      typeof tier.maxDaysSinceLastOrder === 'number'
+        ? tier.maxDaysSinceLastOrder
+        : Infinity,
+  };
+}
+
+function tierMatches(customer, tier) {
+  const { minTotalSpent, maxTotalSpent, minDays, maxDays } = tierBounds(tier);
+  return (
+    customer.totalSpent >= minTotalSpent &&
+    customer.totalSpent <= maxTotalSpent &&
+    customer.daysSinceLastOrder >= minDays &&
+    customer.daysSinceLastOrder <= maxDays &&
+    matchesOptionalRanges(customer, tier) &&
+    matchesChurnRiskBand(customer, tier)
+  );
+}
+
+// Index of the first matching tier, 'default', or null
+function findMatchingTier(customer, ruleConfig) {
+  const tiers =
+    ruleConfig && Array.isArray(ruleConfig.tiers) ? ruleConfig.tiers : [];
+  const index = tiers.findIndex((tier) => tierMatches(customer, tier));
+  if (index !== -1) return index;
+  return ruleConfig && ruleConfig.default ? 'default' : null;
+}
+
+// --------------------------------------------------
+// Apply AI-derived RULES to a single customer
+// --------------------------------------------------
+function applyRuleConfigToCustomer(customer, ruleConfig) {
+  const tiers =
+    ruleConfig && Array.isArray(ruleConfig.tiers) ? ruleConfig.tiers : [];
+  const defaultTier =
+    ruleConfig && ruleConfig.default ? ruleConfig.default : null;
+
+  for (const tier of tiers) {
+    if (tierMatches(customer, tier)) {
+      const { minTotalSpent, maxTotalSpent, minDays, maxDays } =
+        tierBounds(tier);
+      const discountPercent = tier.discountPercent || 0;
+      const prefix = tier.discountCodePrefix || 'WINBACK';
+      const code =
+        tier.discountCode || `${prefix}${discountPercent}`.toUpperCase();
+
+      return {
+        customerId: customer.id,
+        email: customer.email,
+        discountPercent,
+        discountCode: code,
+        rationale:
+          tier.rationale ||
+          `Rule match: spent between ${minTotalSpent}–${maxTotalSpent}, inactive ${minDays}–${maxDays} days.`,
+        messagingAngle:
+          tier.messagingAngle ||
+          'Personalized win-back offer based on your purchase history.',
+        expectedValue:
+          typeof tier.expectedValue === 'number'
+            ? tier.expectedValue
+            : undefined,
+        ...(tier.offer ? { offer: offers.normalizeOffer(tier.offer) } : {}),
+      };
+    }
+  }
+
+  if (defaultTier) {
+    const discountPercent = defaultTier.discountPercent || 0;
+    const prefix = defaultTier.discountCodePrefix || 'WINBACK';
+    const code =
+      defaultTier.discountCode || `${prefix}${discountPercent}`.toUpperCase();
+
+    return {
+      customerId: customer.id,
+      email: customer.email,
+      discountPercent,
+      discountCode: code,
+      rationale: defaultTier.rationale || 'Default rule applied.',
+      messagingAngle:
+        defaultTier.messagingAngle ||
+        'We appreciate you and wanted to send you a special offer.',
+      expectedValue:
+        typeof defaultTier.expectedValue === 'number'
+          ? defaultTier.expectedValue
+          : undefined,
+      ...(defaultTier.offer
+        ? { offer: offers.normalizeOffer(defaultTier.offer) }
+        : {}),
+    };
+  }
+
+  return null;
+}
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// discountRange: { min, max } allowed discountPercent; tier offers other
+// than percentage must stay under max as a share of orderValue (a
+// typical order, see offers.offerPercentOfOrder)
+// --------------------------------------------------
+const MAX_TIERS = 10;
+
+const NUMBER_TIER_FIELDS = [
+  'minTotalSpent',
+  'maxTotalSpent',
+  'minDaysSinceLastOrder',
+  'maxDaysSinceLastOrder',
+  ...OPTIONAL_RANGES.flatMap(([minKey, maxKey]) => [minKey, maxKey]),
+  'expectedValue',
+];
+const STRING_TIER_FIELDS = ['rationale', 'messagingAngle'];
+const CODE_TIER_FIELDS = ['discountCode', 'discountCodePrefix'];
+
+// The offer fields of a tier (or the default)
+function validateTierOffer(tier, path, { discountRange, orderValue }, errors) {
+  if (
+    typeof tier.discountPercent !== 'number' ||
+    !Number.isFinite(tier.discountPercent)
+  ) {
+    errors.push(`${path}.discountPercent must be a number`);
+  } else if (
+    // 0% is always allowed: it means "no offer" (the batch skips it),
+    // unless `offer` gives something else (e.g. free shipping)
+    discountRange &&
+    tier.discountPercent !== 0 &&
+    (tier.discountPercent < discountRange.min ||
+      tier.discountPercent > discountRange.max)
+  ) {
+    errors.push(
+      `${path}.discountPercent must be between ${discountRange.min} and ${discountRange.max}`
+    );
+  }
+  for (const field of STRING_TIER_FIELDS) {
+    if (tier[field] !== undefined && typeof tier[field] !== 'string') {
+      errors.push(`${path}.${field} must be a string`);
+    }
+  }
+  if (tier.offer !== undefined && tier.offer !== null) {
+    const offerErrors = offers.validateOffer(tier.offer, `${path}.offer`);
+    errors.push(...offerErrors);
+    if (!offerErrors.length && discountRange) {
+      const percent = offers.offerPercentOfOrder(tier.offer, {
+        discountPercent: tier.discountPercent,
+        orderValue,
+      });
+      if (percent === null) {
+        errors.push(
+          `${path}.offer can't be checked against the ${discountRange.min}-${discountRange.max}% range (no typical order value, or free shipping without maxShippingAmount)`
+        );
+      } else if (percent > discountRange.max) {
+        errors.push(
+          `${path}.offer is worth ${Math.round(
+            percent
+          )}% of a typical order; it must stay within ${discountRange.max}%`
+        );
+      }
+    }
+  }
+  for (const field of CODE_TIER_FIELDS) {
+    if (tier[field] === undefined) continue;
+    if (
+      typeof tier[field] !== 'string' ||
+      !/^[A-Z0-9_-]{1,32}$/.test(tier[field])
+    ) {
+      errors.push(
+        `${path}.${field} must be 1-32 characters of A-Z, 0-9, - or _`
+      );
+    }
+  }
+}
+
+function validateRuleConfig(ruleConfig, { discountRange, orderValue } = {}) {
+  const errors = [];
+  if (!ruleConfig || typeof ruleConfig !== 'object') {
+    return ['ruleConfig must be an object'];
+  }
+
+  const { tiers } = ruleConfig;
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    errors.push('ruleConfig.tiers must be a non-empty array');
+  } else if (tiers.length > MAX_TIERS) {
+    errors.push(`ruleConfig.tiers can have at most ${MAX_TIERS} tiers`);
+  } else {
+    tiers.forEach((tier, i) => {
+      const path = `ruleConfig.tiers[${i}]`;
+      if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const field of NUMBER_TIER_FIELDS) {
+        if (tier[field] === undefined || tier[field] === null) continue;
+        if (typeof tier[field] !== 'number' || !Number.isFinite(tier[field])) {
+          errors.push(`${path}.${field} must be a number`);
+        }
+      }
+      for (const [minKey, maxKey] of [
+        ['minTotalSpent', 'maxTotalSpent'],
+        ['minDaysSinceLastOrder', 'maxDaysSinceLastOrder'],
+        ...OPTIONAL_RANGES,
+      ]) {
+        if (
+          typeof tier[minKey] === 'number' &&
+          typeof tier[maxKey] === 'number' &&
+          tier[minKey] > tier[maxKey]
+        ) {
+          errors.push(`${path}.${minKey} must not exceed ${maxKey}`);
+        }
+      }
+      const bands = tier.churnRiskBands ?? tier.churnRiskBand;
+      if (bands !== undefined && bands !== null) {
+        const list = Array.isArray(bands) ? bands : [bands];
+        if (!list.every((b) => CHURN_RISK_BANDS.includes(b))) {
+          errors.push(
+            `${path}.churnRiskBands must be one or more of: ${CHURN_RISK_BANDS.join(
+              ', '
+            )}`
+          );
+        }
+      }
+      validateTierOffer(tier, path, { discountRange, orderValue }, errors);
+    });
+  }
+
+  if (ruleConfig.default !== undefined && ruleConfig.default !== null) {
+    if (typeof ruleConfig.default !== 'object') {
+      errors.push('ruleConfig.default must be an object');
+    } else {
+      validateTierOffer(
+        ruleConfig.default,
+        'ruleConfig.default',
+        { discountRange, orderValue },
+        errors
+      );
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  applyRuleConfigToCustomer,
+  findMatchingTier,
+  validateRuleConfig,
+};
@@ -0,0 +1,376 @@
+// lib/segments.js
+// Saved customer segments defined in a small JSON condition language.
+//
+// A definition is either a group or a condition:
+//   { "all": [ ... ] }              every child must match (AND)
+//   { "any": [ ... ] }              at least one child matches (OR)
+//   { "not": { ... } }              negation
+//   { "field": "totalOrders", "op": "gte", "value": 2 }
+//
+// Fields / operators:
+//   number fields  eq, neq, gt, gte, lt, lte, between ([min, max]), exists
+//   string fields  eq, neq, in, notIn, contains, exists
+//   tags           hasAny, hasAll, hasNone (value: string or array)
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+// Customer fields a condition may reference
+const SEGMENT_FIELDS = {
+  totalOrders: 'number',
+  totalSpent: 'number',
+  averageOrderValue: 'number',
+  daysSinceLastOrder: 'number',
+  daysSinceFirstOrder: 'number',
+  orderFrequency: 'number',
+  averageDaysBetweenOrders: 'number',
+  'rfm.recency': 'number',
+  'rfm.frequency': 'number',
+  'rfm.monetary': 'number',
+  'rfm.total': 'number',
+  predictedPurchases90: 'number',
+  predictedPurchases365: 'number',
+  predictedValue90: 'number',
+  predictedValue365: 'number',
+  probabilityAlive: 'number',
+  expectedDaysBetweenOrders: 'number',
+  churnRiskScore: 'number',
+  churnRiskBand: 'string',
+  state: 'string',
+  email: 'string',
+  tags: 'tags',
+};
+
+const OPERATORS = {
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'exists'],
+  string: ['eq', 'neq', 'in', 'notIn', 'contains', 'exists'],
+  tags: ['hasAny', 'hasAll', 'hasNone'],
+};
+
+// Hard-coded dashboard segments (autoSelectForStrategy) as saved defaults
+const DEFAULT_SEGMENTS = {
+  'default-retention': {
+    id: 'default-retention',
+    name: 'Loyal & recent',
+    description: '2+ orders and ordered within the last 60 days.',
+    definition: {
+      all: [
+        { field: 'totalOrders', op: 'gte', value: 2 },
+        { field: 'daysSinceLastOrder', op: 'between', value: [0, 60] },
+      ],
+    },
+  },
+  'default-reactivation': {
+    id: 'default-reactivation',
+    name: 'Inactive / at risk',
+    description: 'No order in the last 60 days.',
+    definition: { field: 'daysSinceLastOrder', op: 'gt', value: 60 },
+  },
+  'default-upsell': {
+    id: 'default-upsell',
+    name: 'High value',
+    description: 'Spent over $100 or average order above $50.',
+    definition: {
+      any: [
+        { field: 'totalSpent', op: 'gt', value: 100 },
+        { field: 'averageOrderValue', op: 'gt', value: 50 },
+      ],
+    },
+  },
+  'default-acquisition': {
+    id: 'default-acquisition',
+    name: 'Never purchased / very cold',
+    description: 'No orders, or last order over a year ago.',
+    definition: {
+      any: [
+        { field: 'totalOrders', op: 'eq', value: 0 },
+        { field: 'daysSinceLastOrder', op: 'gt', value: 365 },
+      ],
+    },
+  },
+};
+
+const DEFAULT_STRATEGY_SEGMENTS = {
+  retention: 'default-retention',
+  reactivation: 'default-reactivation',
+  upsell: 'default-upsell',
+  acquisition: 'default-acquisition',
+};
+
+const store = createJsonStore('segments.json', {
+  segments: {},
+  strategySegments: {},
+  seeded: false,
+});
+
+// Seed the defaults the first time the store is used
+async function readStore() {
+  const data = await store.read();
+  if (!data.seeded) {
+    const now = new Date().toISOString();
+    for (const segment of Object.values(DEFAULT_SEGMENTS)) {
+      if (!data.segments[segment.id]) {
+        data.segments[segment.id] = {
+          ...segment,
+          createdAt: now,
+          updatedAt: now,
+        };
+      }
+    }
+    data.strategySegments = {
+      ...DEFAULT_STRATEGY_SEGMENTS,
+      ...data.strategySegments,
+    };
+    data.seeded = true;
+    await store.write(data);
+  }
+  return data;
+}
+
+// --------------------------------------------------
+// Validation: returns a list of error strings (empty = valid)
+// --------------------------------------------------
+function validateDefinition(node, path = 'definition', errors = []) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+
+  const groupKey = ['all', 'any', 'not'].find((k) => k in node);
+  if (groupKey === 'not') {
+    validateDefinition(node.not, `${path}.not`, errors);
+    return errors;
+  }
+  if (groupKey) {
+    const children = node[groupKey];
+    if (!Array.isArray(children) || children.length === 0) {
+      errors.push(`${path}.${groupKey} must be a non-empty array`);
+      return errors;
+    }
+    children.forEach((child, i) =>
+      validateDefinition(child, `${path}.${groupKey}[${i}]`, errors)
+    );
+    return errors;
+  }
+
+  const type = SEGMENT_FIELDS[node.field];
+  if (!type) {
+    errors.push(
+      `${path}.field must be one of: ${Object.keys(SEGMENT_FIELDS).join(', ')}`
+    );
+    return errors;
+  }
+  if (!OPERATORS[type].includes(node.op)) {
+    errors.push(
+      `${path}.op for ${node.field} must be one of: ${OPERATORS[type].join(
+        ', '
+      )}`
+    );
+    return errors;
+  }
+
+  const { op, value } = node;
+  if (op === 'exists') return errors;
+  if (type === 'number') {
+    if (op === 'between') {
+      if (
+        !Array.isArray(value) ||
+        value.length !== 2 ||
+        !value.every((v) => typeof v === 'number')
+      ) {
+        errors.push(`${path}.value must be [min, max] numbers for between`);
+      }
+    } else if (typeof value !== 'number') {
+      errors.push(`${path}.value must be a number`);
+    }
+  } else if (type === 'string') {
+    if (op === 'in' || op === 'notIn') {
+      if (!Array.isArray(value)) errors.push(`${path}.value must be an array`);
+    } else if (typeof value !== 'string') {
+      errors.push(`${path}.value must be a string`);
+    }
+  } else if (type === 'tags') {
+    const ok =
+      typeof value === 'string' ||
+      (Array.isArray(value) && value.every((v) => typeof v === 'string'));
+    if (!ok) errors.push(`${path}.value must be a tag or array of tags`);
+  }
+
+  return errors;
+}
+
+// --------------------------------------------------
+// Evaluation
+// --------------------------------------------------
+function readField(customer, field) {
+  return field
+    .split('.')
+    .reduce((obj, key) => (obj == null ? undefined : obj[key]), customer);
+}
+
+function toTagList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+}
+
+function evaluateCondition(node, customer) {
+  if ('all' in node) {
+    return node.all.every((c) => evaluateCondition(c, customer));
+  }
+  if ('any' in node) {
+    return node.any.some((c) => evaluateCondition(c, customer));
+  }
+  if ('not' in node) return !evaluateCondition(node.not, customer);
+
+  const type = SEGMENT_FIELDS[node.field];
+  const actual = readField(customer, node.field);
+  const { op, value } = node;
+
+  if (op === 'exists') {
+    const exists = actual !== null && actual !== undefined && actual !== '';
+    return value === false ? !exists : exists;
+  }
+
+  if (type === 'tags') {
+    const tags = toTagList(actual);
+    const wanted = toTagList(value);
+    if (op === 'hasAny') return wanted.some((t) => tags.includes(t));
+    if (op === 'hasAll') return wanted.every((t) => tags.includes(t));
+    if (op === 'hasNone') return !wanted.some((t) => tags.includes(t));
+    return false;
+  }
+
+  if (type === 'string') {
+    const a = String(actual ?? '').toLowerCase();
+    if (op === 'eq') return a === String(value).toLowerCase();
+    if (op === 'neq') return a !== String(value).toLowerCase();
+    const list = Array.isArray(value)
+      ? value.map((v) => String(v).toLowerCase())
+      : [];
+    if (op === 'in') return list.includes(a);
+    if (op === 'notIn') return !list.includes(a);
+    if (op === 'contains') return a.includes(String(value).toLowerCase());
+    return false;
+  }
+
+  // Numbers: a missing value never matches a comparison
+  if (typeof actual !== 'number' || Number.isNaN(actual)) return false;
+  switch (op) {
+    case 'eq':
+      return actual === value;
+    case 'neq':
+      return actual !== value;
+    case 'gt':
+      return actual > value;
+    case 'gte':
+      return actual >= value;
+    case 'lt':
+      return actual < value;
+    case 'lte':
+      return actual <= value;
+    case 'between':
+      return actual >= value[0] && actual <= value[1];
+    default:
+      return false;
+  }
+}
+
+function filterCustomers(customers, definition) {
+  return customers.filter((c) => evaluateCondition(definition, c));
+}
+
+// --------------------------------------------------
+// CRUD
+// --------------------------------------------------
+async function listSegments() {
+  const data = await readStore();
+  return Object.values(data.segments);
+}
+
+async function getSegment(id) {
+  const data = await readStore();
+  return data.segments[id] || null;
+}
+
+async function createSegment({ name, description = '', definition }) {
+  const data = await readStore();
+  const now = new Date().toISOString();
+  const segment = {
+    id: `seg_${crypto.randomBytes(6).toString('hex')}`,
+    name,
+    description,
+    definition,
+    createdAt: now,
+    updatedAt: now,
+  };
+  data.segments[segment.id] = segment;
+  await store.write(data);
+  return segment;
+}
+
+async function updateSegment(id, changes) {
+  const data = await readStore();
+  const existing = data.segments[id];
+  if (!existing) return null;
+
+  const updated = {
+    ...existing,
+    ...(changes.name !== undefined ? { name: changes.name } : {}),
+    ...(changes.description !== undefined
+      ? { description: changes.description }
+      : {}),
+    ...(changes.definition !== undefined
+      ? { definition: changes.definition }
+      : {}),
+    updatedAt: new Date().toISOString(),
+  };
+  data.segments[id] = updated;
+  await store.write(data);
+  return updated;
+}
+
+// Returns false if missing; strategies pointing at it are unlinked
+async function deleteSegment(id) {
+  const data = await readStore();
+  if (!data.segments[id]) return false;
+  delete data.segments[id];
+  for (const [strategy, segmentId] of Object.entries(data.strategySegments)) {
+    if (segmentId === id) delete data.strategySegments[strategy];
+  }
+  await store.write(data);
+  return true;
+}
+
+// --------------------------------------------------
+// Strategy -> segment mapping
+// --------------------------------------------------
+async function getStrategySegments() {
+  const data = await readStore();
+  return { ...data.strategySegments };
+}
+
+async function setStrategySegment(strategy, segmentId) {
+  const data = await readStore();
+  if (segmentId === null) {
+    delete data.strategySegments[strategy];
+  } else {
+    data.strategySegments[strategy] = segmentId;
+  }
+  await store.write(data);
+  return { ...data.strategySegments };
+}
+
+module.exports = {
+  SEGMENT_FIELDS,
+  OPERATORS,
+  validateDefinition,
+  evaluateCondition,
+  filterCustomers,
+  listSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  getStrategySegments,
+  setStrategySegment,
+};
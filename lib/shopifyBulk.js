@@ -0,0 +1,224 @@
+// lib/shopifyBulk.js
+// Shopify GraphQL bulk operation export of customers + their orders.
+// Used for full-list runs where paging 250 at a time would time out.
+// Output is normalized to the same shape as the REST customers/orders,
+// so it feeds the same metrics + rule pipeline.
+
+const fetch = require('node-fetch');
+const readline = require('readline');
+const shopify = require('./shopifyClient');
+
+const BULK_POLL_INTERVAL_MS = Number(
+  process.env.SHOPIFY_BULK_POLL_INTERVAL_MS || '3000'
+);
+const BULK_TIMEOUT_MINUTES = Number(
+  process.env.SHOPIFY_BULK_TIMEOUT_MINUTES || '30'
+);
+
+const CUSTOMERS_WITH_ORDERS_QUERY = `
+{
+  customers {
+    edges {
+      node {
+        id
+        email
+        firstName
+        lastName
+        numberOfOrders
+        amountSpent { amount }
+        tags
+        state
+        createdAt
+        updatedAt
+        orders {
+          edges {
+            node {
+              id
+              createdAt
+              updatedAt
+              cancelledAt
+              displayFinancialStatus
+              totalPriceSet { shopMoney { amount } }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const RUN_MUTATION = `
+mutation RunBulkQuery($query: String!) {
+  bulkOperationRunQuery(query: $query) {
+    bulkOperation { id status }
+    userErrors { field message }
+  }
+}`;
+
+const POLL_QUERY = `
+query BulkOperationStatus($id: ID!) {
+  node(id: $id) {
+    ... on BulkOperation {
+      id
+      status
+      errorCode
+      objectCount
+      url
+      partialDataUrl
+    }
+  }
+}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "gid://shopify/Customer/123" -> 123
+function gidToId(gid) {
+  const tail = String(gid || '')
+    .split('/')
+    .pop();
+  const numeric = Number(tail);
+  return Number.isSafeInteger(numeric) ? numeric : tail;
+}
+
+// --------------------------------------------------
+// GraphQL node -> REST-shaped objects
+// --------------------------------------------------
+function toRestCustomer(node) {
+  return {
+    id: gidToId(node.id),
+    email: node.email,
+    first_name: node.firstName,
+    last_name: node.lastName,
+    orders_count: Number(node.numberOfOrders || 0),
+    total_spent: node.amountSpent ? node.amountSpent.amount : '0.00',
+    tags: Array.isArray(node.tags) ? node.tags.join(', ') : node.tags || '',
+    state: node.state ? String(node.state).toLowerCase() : undefined,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+  };
+}
+
+function toRestOrder(node) {
+  return {
+    id: gidToId(node.id),
+    customer: { id: gidToId(node.__parentId) },
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    cancelled_at: node.cancelledAt,
+    total_price: node.totalPriceSet?.shopMoney?.amount || '0.00',
+    financial_status: node.displayFinancialStatus
+      ? String(node.displayFinancialStatus).toLowerCase()
+      : null,
+  };
+}
+
+// --------------------------------------------------
+// Start the bulk query
+// --------------------------------------------------
+async function startBulkOperation(query) {
+  const data = await shopify.graphql(RUN_MUTATION, { query });
+  const result = data.bulkOperationRunQuery;
+
+  if (result.userErrors && result.userErrors.length) {
+    throw new Error(
+      `Shopify bulk operation rejected: ${result.userErrors
+        .map((e) => e.message)
+        .join('; ')}`
+    );
+  }
+
+  return result.bulkOperation;
+}
+
+// --------------------------------------------------
+// Poll until the bulk operation finishes
+// --------------------------------------------------
+async function waitForBulkOperation(id, { onProgress } = {}) {
+  const deadline = Date.now() + BULK_TIMEOUT_MINUTES * 60 * 1000;
+
+  while (Date.now() < deadline) {
+    const data = await shopify.graphql(POLL_QUERY, { id });
+    const op = data.node;
+
+    console.log(
+      `⏳ Bulk operation ${op.status} (objects so far: ${op.objectCount})`
+    );
+    if (onProgress) {
+      onProgress({ status: op.status, objectCount: Number(op.objectCount) });
+    }
+
+    if (op.status === 'COMPLETED') return op;
+    if (['FAILED', 'CANCELED', 'EXPIRED'].includes(op.status)) {
+      throw new Error(
+        `Shopify bulk operation ${op.status}${
+          op.errorCode ? ` (${op.errorCode})` : ''
+        }`
+      );
+    }
+
+    await sleep(BULK_POLL_INTERVAL_MS);
+  }
+
+  throw new Error(
+    `Shopify bulk operation timed out after ${BULK_TIMEOUT_MINUTES} minutes`
+  );
+}
+
+// --------------------------------------------------
+// Stream-parse the JSONL result line by line (never buffered whole)
+// --------------------------------------------------
+async function streamJsonl(url, onLine) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to download bulk operation result: ${response.status}`
+    );
+  }
+
+  const lines = readline.createInterface({
+    input: response.body,
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (line.trim()) onLine(JSON.parse(line));
+  }
+}
+
+// --------------------------------------------------
+// Full export: customers + orders, REST-shaped
+// --------------------------------------------------
+async function exportCustomersWithOrders({ onProgress } = {}) {
+  console.log('\n📦 Starting Shopify bulk operation export…');
+
+  const started = await startBulkOperation(CUSTOMERS_WITH_ORDERS_QUERY);
+  console.log(`📦 Bulk operation started: ${started.id}`);
+
+  const finished = await waitForBulkOperation(started.id, { onProgress });
+
+  const customers = [];
+  const orders = [];
+
+  // No url means the query matched nothing
+  if (finished.url) {
+    await streamJsonl(finished.url, (node) => {
+      if (node.__parentId) orders.push(toRestOrder(node));
+      else customers.push(toRestCustomer(node));
+    });
+  }
+
+  console.log(
+    `✅ Bulk export parsed: ${customers.length} customers, ${orders.length} orders`
+  );
+
+  return {
+    bulkOperationId: finished.id,
+    objectCount: Number(finished.objectCount || 0),
+    customers,
+    orders,
+  };
+}
+
+module.exports = {
+  exportCustomersWithOrders,
+};
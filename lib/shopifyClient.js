@@ -0,0 +1,326 @@
+// lib/shopifyClient.js
+// Shared Shopify Admin API client used by every route.
+// - leaky-bucket throttling driven by X-Shopify-Shop-Api-Call-Limit
+// - retries with backoff on 429 / 5xx / network errors (honours Retry-After);
+//   POSTs (and GraphQL mutations) only on 429 and connection failures, so
+//   a create that went through before timing out is never replayed
+// - API version from SHOPIFY_API_VERSION
+// - Shopify error bodies normalized into ShopifyApiError
+
+const fetch = require('node-fetch');
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
+const SHOPIFY_MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES || '4');
+
+// REST bucket defaults (standard plans: 40 requests, leaking 2/second).
+// The real size is read back from every response header.
+const DEFAULT_BUCKET_SIZE = 40;
+const LEAK_PER_SECOND = Number(process.env.SHOPIFY_LEAK_RATE || '2');
+const BUCKET_HEADROOM = 4;
+
+// Safe to send twice: retried on any 5xx / network error
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Network errors raised before the request reached Shopify
+const CONNECT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+];
+
+const bucket = {
+  used: 0,
+  max: DEFAULT_BUCKET_SIZE,
+  updatedAt: Date.now(),
+};
+
+// --------------------------------------------------
+// Error type: every failed Shopify call surfaces as one of these
+// --------------------------------------------------
+class ShopifyApiError extends Error {
+  constructor({ status, method, path, errors, retryAfter = null }) {
+    super(
+      `Shopify API error ${status} on ${method} ${path}: ${formatErrors(
+        errors
+      )}`
+    );
+    this.name = 'ShopifyApiError';
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.errors = errors;
+    this.retryAfter = retryAfter;
+  }
+
+  toJSON() {
+    return {
+      type: this.name,
+      status: this.status,
+      method: this.method,
+      path: this.path,
+      errors: this.errors,
+      message: this.message,
+    };
+  }
+}
+
+// Shopify returns errors as a string, an array, or { field: [messages] }
+function formatErrors(errors) {
+  if (!errors) return 'Unknown error';
+  if (typeof errors === 'string') return errors;
+  if (Array.isArray(errors)) {
+    return errors.map((e) => (e && e.message) || String(e)).join('; ');
+  }
+  if (typeof errors === 'object') {
+    return Object.entries(errors)
+      .map(([field, messages]) =>
+        Array.isArray(messages)
+          ? `${field} ${messages.join(', ')}`
+          : `${field}: ${typeof messages === 'string' ? messages : JSON.stringify(messages)}`
+      )
+      .join('; ');
+  }
+  return String(errors);
+}
+
+async function parseErrorBody(response) {
+  const text = await response.text();
+  try {
+    const json = JSON.parse(text);
+    return json.errors || json.error || json;
+  } catch (e) {
+    return text || response.statusText;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isConfigured() {
+  return !!(process.env.SHOPIFY_STORE && process.env.SHOPIFY_API_KEY);
+}
+
+function adminUrl(path) {
+  const cleanPath = path.startsWith('/') ? path : `/${path}`;
+  return `https://${process.env.SHOPIFY_STORE}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}${cleanPath}`;
+}
+
+// --------------------------------------------------
+// Leaky bucket: wait until there is room for one more call
+// --------------------------------------------------
+async function takeBucketSlot() {
+  const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+  bucket.used = Math.max(0, bucket.used - elapsedSeconds * LEAK_PER_SECOND);
+  bucket.updatedAt = Date.now();
+
+  const limit = bucket.max - BUCKET_HEADROOM;
+  if (bucket.used >= limit) {
+    const waitMs = ((bucket.used - limit + 1) / LEAK_PER_SECOND) * 1000;
+    console.log(
+      `⏳ Shopify bucket nearly full, waiting ${Math.ceil(waitMs)}ms`
+    );
+    await sleep(waitMs);
+    return takeBucketSlot();
+  }
+
+  bucket.used += 1;
+}
+
+function updateBucketFromHeaders(headers) {
+  const header = headers.get('x-shopify-shop-api-call-limit');
+  if (!header) return;
+  const [used, max] = header.split('/').map(Number);
+  if (Number.isFinite(used) && Number.isFinite(max)) {
+    bucket.used = used;
+    bucket.max = max;
+    bucket.updatedAt = Date.now();
+  }
+}
+
+function backoffMs(attempt) {
+  return Math.min(30000, 500 * 2 ** attempt) + Math.floor(Math.random() * 250);
+}
+
+// --------------------------------------------------
+// Core request
+// Returns { data, status, headers, nextPageInfo }
+// idempotent: override for calls whose method says otherwise (a GraphQL
+// query is a POST that is safe to repeat)
+// --------------------------------------------------
+async function request(
+  method,
+  path,
+  { query, body, idempotent = IDEMPOTENT_METHODS.includes(method) } = {}
+) {
+  const qs = query
+    ? new URLSearchParams(
+        Object.entries(query).filter(
+          ([, v]) => v !== undefined && v !== null && v !== ''
+        )
+      ).toString()
+    : '';
+  const url = `${adminUrl(path)}${qs ? `?${qs}` : ''}`;
+
+  for (let attempt = 0; ; attempt++) {
+    await takeBucketSlot();
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'X-Shopify-Access-Token': process.env.SHOPIFY_API_KEY,
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        redirect: 'manual',
+      });
+    } catch (networkError) {
+      const neverSent = CONNECT_ERROR_CODES.includes(networkError.code);
+      if (attempt >= SHOPIFY_MAX_RETRIES || !(idempotent || neverSent)) {
+        throw networkError;
+      }
+      const waitMs = backoffMs(attempt);
+      console.warn(
+        `⚠️ Shopify network error on ${method} ${path} (${networkError.message}), retrying in ${waitMs}ms`
+      );
+      await sleep(waitMs);
+      continue;
+    }
+
+    updateBucketFromHeaders(response.headers);
+
+    // A 5xx on a create may still have created it: only 429s (rejected
+    // before processing) are retried for non-idempotent calls
+    const retryable =
+      response.status === 429 || (idempotent && response.status >= 500);
+    if (retryable && attempt < SHOPIFY_MAX_RETRIES) {
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      const waitMs = Number.isFinite(retryAfter)
+        ? retryAfter * 1000
+        : backoffMs(attempt);
+      if (response.status === 429) {
+        // Shopify says the bucket is full, trust it
+        bucket.used = bucket.max;
+        bucket.updatedAt = Date.now();
+      }
+      console.warn(
+        `⚠️ Shopify ${response.status} on ${method} ${path}, retry ${
+          attempt + 1
+        }/${SHOPIFY_MAX_RETRIES} in ${Math.ceil(waitMs)}ms`
+      );
+      await response.text();
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (!response.ok && !(response.status >= 300 && response.status < 400)) {
+      throw new ShopifyApiError({
+        status: response.status,
+        method,
+        path,
+        errors: await parseErrorBody(response),
+        retryAfter: response.headers.get('retry-after'),
+      });
+    }
+
+    const text = await response.text();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        data = text;
+      }
+    }
+
+    return {
+      data,
+      status: response.status,
+      headers: response.headers,
+      nextPageInfo: getNextPageInfo(response.headers.get('link')),
+    };
+  }
+}
+
+// --------------------------------------------------
+// Helper: extract page_info for rel="next" from a Shopify Link header
+// --------------------------------------------------
+function getNextPageInfo(linkHeader) {
+  if (!linkHeader) return null;
+  const nextLink = linkHeader.split(',').find((l) => l.includes('rel="next"'));
+  if (!nextLink) return null;
+  const match = nextLink.match(/page_info=([^&>]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// --------------------------------------------------
+// Cursor pagination over a REST list endpoint
+// Shopify only allows limit/fields alongside page_info, so the initial
+// filters are dropped after the first page.
+// --------------------------------------------------
+async function paginate(
+  path,
+  { resourceKey, query = {}, fields, limitTotal = Infinity, onPage } = {}
+) {
+  const items = [];
+  let pageInfo = null;
+
+  while (items.length < limitTotal) {
+    const perPage = Math.min(250, limitTotal - items.length);
+    const pageQuery = pageInfo
+      ? { limit: perPage, fields, page_info: pageInfo }
+      : { ...query, limit: perPage, fields };
+
+    const { data, nextPageInfo } = await request('GET', path, {
+      query: pageQuery,
+    });
+    const pageItems = (data && data[resourceKey]) || [];
+    items.push(...pageItems);
+
+    if (onPage) onPage({ count: pageItems.length, total: items.length });
+
+    pageInfo = nextPageInfo;
+    if (!pageInfo || pageItems.length === 0) break;
+  }
+
+  return items.slice(0, limitTotal);
+}
+
+// --------------------------------------------------
+// GraphQL Admin API call
+// Top-level `errors` become a ShopifyApiError; userErrors are left to callers
+// --------------------------------------------------
+async function graphql(query, variables = {}) {
+  const { data } = await request('POST', '/graphql.json', {
+    body: { query, variables },
+    idempotent: !/^\s*mutation\b/.test(query),
+  });
+
+  if (data && Array.isArray(data.errors) && data.errors.length) {
+    throw new ShopifyApiError({
+      status: 200,
+      method: 'POST',
+      path: '/graphql.json',
+      errors: data.errors,
+    });
+  }
+
+  return data ? data.data : null;
+}
+
+module.exports = {
+  SHOPIFY_API_VERSION,
+  ShopifyApiError,
+  isConfigured,
+  request,
+  get: (path, query) => request('GET', path, { query }),
+  post: (path, body) => request('POST', path, { body }),
+  put: (path, body) => request('PUT', path, { body }),
+  del: (path) => request('DELETE', path),
+  paginate,
+  graphql,
+  getNextPageInfo,
+};
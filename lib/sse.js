@@ -0,0 +1,108 @@
+// lib/sse.js
+// Server-Sent Events for long-running routes (/api/ai/analyze,
+// /api/reactivation/batch). A client opts in with `?stream=1` or
+// `Accept: text/event-stream` and then receives:
+//
+//   event: progress   { stage, ... }      any number, in order
+//   event: result     <the normal JSON response body>
+//   event: error      { error, status, ... }
+//
+// The stream ends after `result` or `error`. Without opting in the routes
+// answer with plain JSON as before. The stream only opens with the first
+// event, so errors raised before any progress (bad input etc.) are still
+// plain JSON with a real HTTP status.
+
+// Comment line every so often so proxies don't drop an idle stream
+const HEARTBEAT_MS = 15 * 1000;
+
+function wantsEventStream(req) {
+  const flag = String(req.query?.stream || '').toLowerCase();
+  if (flag === '1' || flag === 'true') return true;
+  return String(req.headers.accept || '').includes('text/event-stream');
+}
+
+// -> { send(event, data), progress(event), fail(status, body),
+//      finish(data), isClosed() }
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx: don't buffer the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let nextId = 1;
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_MS);
+
+  // The client went away: stop writing (the work itself keeps running)
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  function send(event, data) {
+    if (closed) return;
+    res.write(
+      `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+    );
+  }
+
+  function end() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+  }
+
+  return {
+    send,
+    // event: { stage, ... }
+    progress(event) {
+      send('progress', { ...event, at: new Date().toISOString() });
+    },
+    fail(status, body) {
+      send('error', { status, ...body });
+      end();
+    },
+    finish(data) {
+      send('result', data);
+      end();
+    },
+    isClosed: () => closed,
+  };
+}
+
+// --------------------------------------------------
+// Same calls for both modes; JSON clients just don't see progress
+// --------------------------------------------------
+function createResponder(req, res) {
+  const wantsStream = wantsEventStream(req);
+  let stream = null;
+  const open = () => stream || (stream = openEventStream(res));
+
+  return {
+    streaming: wantsStream,
+    progress(event) {
+      if (wantsStream) open().progress(event);
+    },
+    send(body) {
+      if (wantsStream) open().finish(body);
+      else res.json(body);
+    },
+    fail(status, body) {
+      if (stream) stream.fail(status, body);
+      else res.status(status).json(body);
+    },
+  };
+}
+
+module.exports = {
+  wantsEventStream,
+  createResponder,
+};
@@ -1,5 +1,5 @@
 // server.js
-// Dynamic Pricing AI Backend (OpenAI + Shopify + MailerLite)
+// Dynamic Pricing AI Backend (OpenAI / Anthropic + Shopify + MailerLite)
 
 const express = require('express');
 const cors = require('cors');
@@ -23,16 +23,44 @@ const MAX_CUSTOMERS_ANALYZED = Number(
 );
 
 // ✅ Max customers we send to OpenAI in a single analysis call
-// (Keeps prompts fast & cheap)
+// (Keeps prompts fast & cheap; bigger segments are analyzed in chunks)
 const MAX_CUSTOMERS_FOR_AI = Number(
   process.env.MAX_CUSTOMERS_FOR_AI || '250'
 );
 
-// ---- OpenAI client ----
-const OpenAI = require('openai');
-const openai = new OpenAI({
-  apiKey: OPENAI_API_KEY,
-});
+// Batch progress event every N MailerLite subscribers (?stream=1)
+const SUBSCRIBER_PROGRESS_EVERY = 25;
+
+// ---- LLM provider (OpenAI / Anthropic / offline stub, see lib/llm) ----
+const llm = require('./lib/llm');
+
+// ---- Shopify Admin API client (throttling, retries, API version) ----
+const shopify = require('./lib/shopifyClient');
+
+// ---- Local customer snapshot (Shopify customers + order history) ----
+const customerStore = require('./lib/customerStore');
+const { parseCustomerQuery, queryCustomers } = require('./lib/customerQuery');
+const segments = require('./lib/segments');
+const {
+  applyRuleConfigToCustomer,
+  validateRuleConfig,
+} = require('./lib/rules');
+const clv = require('./lib/clv');
+const aiAnalysis = require('./lib/aiAnalysis');
+const aiRules = require('./lib/aiRules');
+const brandProfile = require('./lib/brandProfile');
+const promptTemplates = require('./lib/promptTemplates');
+const { AI_ALLOWED_FIELDS } = require('./lib/pii');
+const aiCache = require('./lib/aiCache');
+const aiUsage = require('./lib/aiUsage');
+const sse = require('./lib/sse');
+const heuristicPricing = require('./lib/heuristicPricing');
+const discounts = require('./lib/discounts');
+const discountLifecycle = require('./lib/discountLifecycle');
+const discountJobs = require('./lib/discountJobs');
+const offers = require('./lib/offers');
+const margins = require('./lib/margins');
+const attribution = require('./lib/attribution');
 
 // Middleware
 app.use(cors());
@@ -56,7 +84,13 @@ app.use(
 // --------------------------------------------------
 app.get('/api/health', (req, res) => {
   const missingEnv = [];
-  if (!OPENAI_API_KEY) missingEnv.push('OPENAI_API_KEY');
+  if (!llm.isConfigured()) {
+    missingEnv.push(
+      llm.describe().provider === 'anthropic'
+        ? 'ANTHROPIC_API_KEY'
+        : 'OPENAI_API_KEY'
+    );
+  }
   if (!SHOPIFY_STORE) missingEnv.push('SHOPIFY_STORE');
   if (!SHOPIFY_API_KEY) missingEnv.push('SHOPIFY_API_KEY');
   if (!MAILERLITE_API_KEY) missingEnv.push('MAILERLITE_API_KEY');
@@ -69,7 +103,13 @@ app.get('/api/health', (req, res) => {
     hasShopifyStore: !!SHOPIFY_STORE,
     hasMailerliteKey: !!MAILERLITE_API_KEY,
     shopifyStore: SHOPIFY_STORE || null,
+    shopifyApiVersion: shopify.SHOPIFY_API_VERSION,
     openaiModel: OPENAI_MODEL,
+    ai: llm.describe(),
+    aiAllowedFields: AI_ALLOWED_FIELDS,
+    aiCache: aiCache.getStats(),
+    discountSweep: discountLifecycle.getSweepStatus(),
+    attribution: attribution.getAttributionStatus(),
     maxCustomersAnalyzed: MAX_CUSTOMERS_ANALYZED,
     maxCustomersForAI: MAX_CUSTOMERS_FOR_AI,
     missingEnv,
@@ -77,508 +117,1296 @@ app.get('/api/health', (req, res) => {
 });
 
 // --------------------------------------------------
-// Helper: fetch customers from Shopify with pagination
+// Customer snapshot sync
+// GET  /api/sync/status  -> last sync time + record counts
+// POST /api/sync         -> { mode: 'full' | 'incremental', useBulkOperation }
+// GET  /api/sync/:id     -> one sync's status / stats
+// A bulk-operation sync can take longer than a request may stay open: it
+// runs in the background and POST answers 202 { sync, statusUrl }.
 // --------------------------------------------------
-async function fetchShopifyCustomersPaginated(
-  limitTotal = MAX_CUSTOMERS_ANALYZED
-) {
-  console.log('\n📄 Starting Shopify pagination fetch...');
-  console.log(`➡️ Limit Total: ${limitTotal}`);
+app.get('/api/sync/status', async (req, res) => {
+  try {
+    res.json(await customerStore.getStatus());
+  } catch (error) {
+    console.error('Error reading sync status:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-  const allCustomers = [];
-  let pageInfo = null;
-  let done = false;
+app.post('/api/sync', async (req, res) => {
+  try {
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+      return res
+        .status(400)
+        .json({ error: 'Shopify credentials not configured' });
+    }
 
-  while (!done && allCustomers.length < limitTotal) {
-    const perPage = Math.min(250, limitTotal - allCustomers.length);
-    const baseUrl = `https://${SHOPIFY_STORE}.myshopify.com/admin/api/2024-10/customers.json`;
-    const url = pageInfo
-      ? `${baseUrl}?limit=${perPage}&page_info=${pageInfo}`
-      : `${baseUrl}?limit=${perPage}`;
+    const mode = req.body?.mode === 'full' ? 'full' : 'incremental';
+    const useBulkOperation =
+      req.body?.useBulkOperation === true ? true : undefined;
+
+    if (mode === 'full' && useBulkOperation) {
+      const sync = customerStore.startSync(mode, { useBulkOperation });
+      return res.status(202).json({
+        success: true,
+        mode,
+        sync,
+        statusUrl: `/api/sync/${sync.id}`,
+      });
+    }
 
-    console.log('-------------------------------------------');
-    console.log(`➡️ Fetching page (current count: ${allCustomers.length})`);
-    console.log(`URL: ${url}`);
+    const stats = await customerStore.sync(mode, { useBulkOperation });
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_API_KEY,
-        'Content-Type': 'application/json',
-      },
+    res.json({
+      success: true,
+      mode,
+      stats,
+      status: await customerStore.getStatus(),
     });
+  } catch (error) {
+    console.error('Error syncing customer snapshot:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.get('/api/sync/:id', (req, res) => {
+  const sync = customerStore.getSync(req.params.id);
+  if (!sync) {
+    return res.status(404).json({ error: 'Sync not found' });
+  }
+  res.json(sync);
+});
+
+// --------------------------------------------------
+// Shopify customers + order-history metrics (recency, RFM)
+// Served from the local snapshot; Shopify is only hit to sync it
+//
+// Query params (all optional):
+//   minSpent, maxSpent, minDaysSinceLastOrder, maxDaysSinceLastOrder,
+//   minOrders, maxOrders, orderCount, tags (comma list), tagMatch (any|all),
+//   state (comma list), churnRiskBand (comma list: healthy, cooling,
+//   at-risk, lapsed), search (email / name text),
+//   sort (e.g. -totalSpent), limit, cursor (from previous nextCursor),
+//   segmentId (only customers in a saved segment)
+// Cursors resume after the last customer returned, so a sync between
+// pages doesn't skip or repeat customers
+
+// --------------------------------------------------
+app.get('/api/shopify/customers', async (req, res) => {
+  try {
+    console.log('\n==============================');
+    console.log('📡  /api/shopify/customers HIT');
+    console.log('==============================');
+    console.log(`🔧 Shopify Store: ${SHOPIFY_STORE}`);
+    console.log(`🔧 MAX_CUSTOMERS_ANALYZED: ${MAX_CUSTOMERS_ANALYZED}`);
+    console.log('➡️ Reading customers from local snapshot…');
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Shopify API error: ${response.status} - ${errorText}`);
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+      return res
+        .status(400)
+        .json({ error: 'Shopify credentials not configured' });
     }
 
-    const data = await response.json();
-    const customers = data.customers || [];
-    console.log(`📦 Customers received this page: ${customers.length}`);
-    allCustomers.push(...customers);
+    const { options, error: queryError } = parseCustomerQuery(req.query, {
+      defaultLimit: MAX_CUSTOMERS_ANALYZED,
+      maxLimit: MAX_CUSTOMERS_ANALYZED,
+    });
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
 
-    // Parse Link header for pagination
-    const linkHeader = response.headers.get('link');
-    if (!linkHeader) {
-      done = true;
-    } else {
-      const links = linkHeader.split(',');
-      const nextLink = links.find((l) => l.includes('rel="next"'));
-      if (!nextLink) {
-        done = true;
-      } else {
-        const match = nextLink.match(/page_info=([^&>]+)/);
-        pageInfo = match ? match[1] : null;
-        if (!pageInfo) done = true;
+    let segment = null;
+    if (options.segmentId) {
+      segment = await segments.getSegment(options.segmentId);
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
       }
     }
+
+    // 🗄️ Sync only if the snapshot is missing or stale
+    await customerStore.ensureFresh();
+
+    let customers = await customerStore.getCustomersWithMetrics();
+    if (segment) {
+      customers = segments.filterCustomers(customers, segment.definition);
+    }
+
+    const result = queryCustomers(customers, options);
+
+    console.log(
+      `✅ FINAL CUSTOMERS RETURNED TO FRONTEND: ${result.customers.length} of ${result.total} matching`
+    );
+
+    res.json({
+      customers: result.customers,
+      total: result.total,
+      count: result.customers.length,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+      maxAnalyzed: MAX_CUSTOMERS_ANALYZED,
+    });
+  } catch (error) {
+    console.error('Error fetching Shopify customers:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
   }
+});
 
-  console.log(`\n✅ TOTAL RAW CUSTOMERS FETCHED: ${allCustomers.length}`);
-  console.log('--------------------------------------------------------');
+// --------------------------------------------------
+// Customer lifetime value (BG/NBD + Gamma-Gamma, see lib/clv.js)
+// GET /api/clv                 -> model status, fitted params, totals
+// GET /api/clv/customers/:id   -> predictions for one customer
+// Predictions also ride along on every customer object.
+// --------------------------------------------------
+app.get('/api/clv', async (req, res) => {
+  try {
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+      return res
+        .status(400)
+        .json({ error: 'Shopify credentials not configured' });
+    }
 
-  return allCustomers.slice(0, limitTotal);
-}
+    await customerStore.ensureFresh();
+    const customers = await customerStore.getCustomersWithMetrics();
+
+    res.json({
+      model: clv.getModelSummary(),
+      totalCustomers: customers.length,
+    });
+  } catch (error) {
+    console.error('Error reading CLV model:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.get('/api/clv/customers/:id', async (req, res) => {
+  try {
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+      return res
+        .status(400)
+        .json({ error: 'Shopify credentials not configured' });
+    }
+
+    await customerStore.ensureFresh();
+    const customers = await customerStore.getCustomersWithMetrics();
+    const customer = customers.find((c) => String(c.id) === req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json({
+      customerId: customer.id,
+      email: customer.email,
+      totalOrders: customer.totalOrders,
+      totalSpent: customer.totalSpent,
+      daysSinceLastOrder: customer.daysSinceLastOrder,
+      predictedPurchases90: customer.predictedPurchases90,
+      predictedPurchases365: customer.predictedPurchases365,
+      predictedValue90: customer.predictedValue90,
+      predictedValue365: customer.predictedValue365,
+      probabilityAlive: customer.probabilityAlive,
+      churnRiskScore: customer.churnRiskScore,
+      churnRiskBand: customer.churnRiskBand,
+      modelStatus: clv.getModelSummary().status,
+    });
+  } catch (error) {
+    console.error('Error reading customer CLV:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
 // --------------------------------------------------
-// Fetch Shopify customers + basic metrics (NO per-customer orders API)
+// Saved segments (JSON condition language, see lib/segments.js)
+// GET    /api/segments
+// POST   /api/segments                 { name, description, definition }
+// GET    /api/segments/:id
+// PUT    /api/segments/:id             { name?, description?, definition? }
+// DELETE /api/segments/:id
+// POST   /api/segments/evaluate        { definition } (ad-hoc preview)
+// POST   /api/segments/:id/evaluate    { includeCustomerIds = true }
+// GET    /api/strategies/segments
+// PUT    /api/strategies/:strategy/segment  { segmentId | null }
 // --------------------------------------------------
-app.get('/api/shopify/customers', async (req, res) => {
+async function evaluateSegmentDefinition(definition, { includeCustomerIds }) {
+  await customerStore.ensureFresh();
+  const customers = await customerStore.getCustomersWithMetrics();
+  const matching = segments.filterCustomers(customers, definition);
+
+  return {
+    count: matching.length,
+    totalCustomers: customers.length,
+    customerIds: includeCustomerIds ? matching.map((c) => c.id) : undefined,
+  };
+}
+
+app.get('/api/segments', async (req, res) => {
   try {
-    console.log('\n==============================');
-    console.log('📡  /api/shopify/customers HIT');
-    console.log('==============================');
-    console.log(`🔧 Shopify Store: ${SHOPIFY_STORE}`);
-    console.log(`🔧 MAX_CUSTOMERS_ANALYZED: ${MAX_CUSTOMERS_ANALYZED}`);
-    console.log('➡️ Fetching customers from Shopify with pagination…');
+    res.json({
+      segments: await segments.listSegments(),
+      fields: segments.SEGMENT_FIELDS,
+      operators: segments.OPERATORS,
+    });
+  } catch (error) {
+    console.error('Error listing segments:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
+app.post('/api/segments', async (req, res) => {
+  try {
+    const { name, description, definition } = req.body || {};
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const errors = segments.validateDefinition(definition);
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid segment definition', details: errors });
+    }
+
+    const segment = await segments.createSegment({
+      name,
+      description,
+      definition,
+    });
+    res.status(201).json(segment);
+  } catch (error) {
+    console.error('Error creating segment:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.post('/api/segments/evaluate', async (req, res) => {
+  try {
+    const { definition, includeCustomerIds = true } = req.body || {};
+
+    const errors = segments.validateDefinition(definition);
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid segment definition', details: errors });
+    }
     if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
       return res
         .status(400)
         .json({ error: 'Shopify credentials not configured' });
     }
 
-    // 🔁 Use paginated fetch up to MAX_CUSTOMERS_ANALYZED
-    const rawCustomers = await fetchShopifyCustomersPaginated(
-      MAX_CUSTOMERS_ANALYZED
+    res.json(
+      await evaluateSegmentDefinition(definition, { includeCustomerIds })
     );
+  } catch (error) {
+    console.error('Error evaluating segment definition:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-    console.log(
-      `\n🛒 RAW CUSTOMERS FROM SHOPIFY (Before Metrics): ${rawCustomers.length}`
+app.get('/api/segments/:id', async (req, res) => {
+  try {
+    const segment = await segments.getSegment(req.params.id);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    res.json(segment);
+  } catch (error) {
+    console.error('Error reading segment:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.put('/api/segments/:id', async (req, res) => {
+  try {
+    const { name, description, definition } = req.body || {};
+
+    if (definition !== undefined) {
+      const errors = segments.validateDefinition(definition);
+      if (errors.length) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid segment definition', details: errors });
+      }
+    }
+
+    const segment = await segments.updateSegment(req.params.id, {
+      name,
+      description,
+      definition,
+    });
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    res.json(segment);
+  } catch (error) {
+    console.error('Error updating segment:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.delete('/api/segments/:id', async (req, res) => {
+  try {
+    const deleted = await segments.deleteSegment(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.post('/api/segments/:id/evaluate', async (req, res) => {
+  try {
+    const { includeCustomerIds = true } = req.body || {};
+
+    const segment = await segments.getSegment(req.params.id);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+      return res
+        .status(400)
+        .json({ error: 'Shopify credentials not configured' });
+    }
+
+    const result = await evaluateSegmentDefinition(segment.definition, {
+      includeCustomerIds,
+    });
+    res.json({ segmentId: segment.id, name: segment.name, ...result });
+  } catch (error) {
+    console.error('Error evaluating segment:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.get('/api/strategies/segments', async (req, res) => {
+  try {
+    res.json({ strategySegments: await segments.getStrategySegments() });
+  } catch (error) {
+    console.error('Error reading strategy segments:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.put('/api/strategies/:strategy/segment', async (req, res) => {
+  try {
+    const { segmentId } = req.body || {};
+
+    if (segmentId !== null) {
+      if (!segmentId || !(await segments.getSegment(segmentId))) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+    }
+
+    const strategySegments = await segments.setStrategySegment(
+      req.params.strategy,
+      segmentId
     );
-    if (rawCustomers.length > 0) {
-      console.log('🔍 Sample Returned Customers (first 3):');
-      console.log(JSON.stringify(rawCustomers.slice(0, 3), null, 2));
+    res.json({ strategySegments });
+  } catch (error) {
+    console.error('Error linking strategy to segment:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+// --------------------------------------------------
+// Brand / business profile used in the AI prompts
+// GET /api/brand-profile  -> { profile, liveCounts }
+// PUT /api/brand-profile  { brandName, productDescription, monthlyRevenue,
+//                           currentRoas, activeCustomerDays, notes }
+// Customer counts are live from the snapshot, not stored
+// --------------------------------------------------
+app.get('/api/brand-profile', async (req, res) => {
+  try {
+    const profile = await brandProfile.getProfile();
+    const liveCounts = await brandProfile.getLiveCounts(
+      profile.activeCustomerDays
+    );
+    res.json({ profile, liveCounts });
+  } catch (error) {
+    console.error('Error reading brand profile:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.put('/api/brand-profile', async (req, res) => {
+  try {
+    const errors = brandProfile.validateProfileChanges(req.body);
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid profile', details: errors });
+    }
+    const profile = await brandProfile.updateProfile(req.body);
+    res.json({ profile });
+  } catch (error) {
+    console.error('Error updating brand profile:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+// --------------------------------------------------
+// Margin floor (lib/margins)
+// GET  /api/margin/config        -> { config, costs }
+// PUT  /api/margin/config        { minContributionMarginPercent, action,
+//                                  shippingCostPerOrder,
+//                                  shippingChargedPerOrder,
+//                                  assumedOrderValue, defaultCostRatio }
+// POST /api/margin/costs/import  { source: 'shopify' }
+//                                | { source: 'csv', csv, replace }
+// POST /api/margin/check         { recommendations, pricingStrategy }
+//                                -> what the floor would do to them
+//                                (customers from the snapshot)
+// --------------------------------------------------
+app.get('/api/margin/config', async (req, res) => {
+  try {
+    const [config, costs] = await Promise.all([
+      margins.getMarginConfig(),
+      margins.getCostSummary(),
+    ]);
+    res.json({ config, costs });
+  } catch (error) {
+    console.error('Error reading margin config:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.put('/api/margin/config', async (req, res) => {
+  try {
+    const errors = margins.validateMarginConfig(req.body);
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid margin config', details: errors });
+    }
+    const config = await margins.updateMarginConfig(req.body);
+    res.json({ config });
+  } catch (error) {
+    console.error('Error updating margin config:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.post('/api/margin/costs/import', async (req, res) => {
+  try {
+    const { source, csv, replace } = req.body || {};
+
+    if (source === 'shopify') {
+      if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+        return res
+          .status(400)
+          .json({ error: 'Shopify credentials not configured' });
+      }
+      const costs = await margins.importCostsFromShopify();
+      console.log(
+        `🧮 Product costs imported from Shopify: ${costs.variantsWithCost}/${costs.variants} variants with a cost`
+      );
+      return res.json({ costs });
+    }
+
+    if (source === 'csv') {
+      const errors = [];
+      if (typeof csv !== 'string' || !csv.trim()) {
+        errors.push('csv must be a non-empty string');
+      }
+      if (replace !== undefined && typeof replace !== 'boolean') {
+        errors.push('replace must be a boolean');
+      }
+      if (errors.length) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid cost import', details: errors });
+      }
+      const result = await margins.importCostsFromCsv(csv, { replace });
+      if (result.imported === 0 && result.errors.length) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid cost import', details: result.errors });
+      }
+      console.log(
+        `🧮 Product costs imported from CSV: ${result.imported} rows, ${result.unmatched.length} unmatched, ${result.errors.length} invalid`
+      );
+      return res.json(result);
+    }
+
+    res.status(400).json({ error: "source must be 'shopify' or 'csv'" });
+  } catch (error) {
+    console.error('Error importing product costs:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.post('/api/margin/check', async (req, res) => {
+  try {
+    const { recommendations, pricingStrategy } = req.body || {};
+    if (!Array.isArray(recommendations) || recommendations.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'recommendations must be a non-empty array' });
+    }
+    const errors = offers.validateRecommendationOffers(recommendations);
+    if (pricingStrategy !== undefined && typeof pricingStrategy !== 'string') {
+      errors.push('pricingStrategy must be a string');
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid offers', details: errors });
+    }
+
+    const result = await margins.applyMarginFloor(recommendations, {
+      customers: await customerStore.getCustomersWithMetrics(),
+      strategy: pricingStrategy,
+    });
+    res.json({
+      recommendations: result.recommendations,
+      marginReport: result.report,
+    });
+  } catch (error) {
+    console.error('Error checking margins:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+// --------------------------------------------------
+// Prompt templates (versioned; see lib/promptTemplates)
+// GET  /api/prompts                      -> templates + versions
+// GET  /api/prompts/:name                -> every version's text
+// POST /api/prompts/:name/versions       { system, user, note, activate }
+// PUT  /api/prompts/:name/active         { version }
+// --------------------------------------------------
+app.get('/api/prompts', async (req, res) => {
+  try {
+    res.json({ templates: await promptTemplates.listTemplates() });
+  } catch (error) {
+    console.error('Error listing prompt templates:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.get('/api/prompts/:name', async (req, res) => {
+  try {
+    const template = await promptTemplates.getTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json({ template });
+  } catch (error) {
+    console.error('Error reading prompt template:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.post('/api/prompts/:name/versions', async (req, res) => {
+  try {
+    if (!(await promptTemplates.getTemplate(req.params.name))) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    const { system, user, note, activate = false } = req.body || {};
+    const errors = promptTemplates.validateTemplateVersion(req.params.name, {
+      system,
+      user,
+    });
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid prompt template', details: errors });
+    }
+    const result = await promptTemplates.createVersion(req.params.name, {
+      system,
+      user,
+      note: typeof note === 'string' ? note : '',
+      activate: !!activate,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error creating prompt template version:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+app.put('/api/prompts/:name/active', async (req, res) => {
+  try {
+    const { version } = req.body || {};
+    const result = await promptTemplates.activateVersion(
+      req.params.name,
+      version
+    );
+    if (!result) {
+      return res
+        .status(404)
+        .json({ error: 'Prompt template or version not found' });
     }
+    res.json(result);
+  } catch (error) {
+    console.error('Error activating prompt template version:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-    console.log('➡️ Computing metrics directly from customer objects…');
+// --------------------------------------------------
+// AI usage + cost (lib/aiUsage)
+// GET /api/ai/usage?days=30 -> totals by UTC day and route, budget status
+// --------------------------------------------------
+app.get('/api/ai/usage', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 366) {
+      return res
+        .status(400)
+        .json({ error: 'days must be a whole number between 1 and 366' });
+    }
+    res.json(await aiUsage.getUsageSummary({ days }));
+  } catch (error) {
+    console.error('Error reading AI usage:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-    // ✅ No per-customer /orders calls (avoids 429 rate limits)
-    const customersWithMetrics = rawCustomers.map((customer) => {
-      const totalOrders = Number(customer.orders_count || 0);
-      const totalSpent = parseFloat(customer.total_spent || '0.00');
+// --------------------------------------------------
+// AI analysis for dynamic pricing
+// POST /api/ai/analyze (also /api/claude/analyze, used by the dashboards)
+// Segments over MAX_CUSTOMERS_FOR_AI are analyzed in chunks and merged;
+// the response's `chunks` reports how many ran / succeeded / failed.
+// Output is schema-checked and guard-railed; `validationReport` lists
+// every correction (see lib/aiValidation)
+// Answers are cached (lib/aiCache); `fromCache` says whether this one was.
+// Body `forceRefresh: true` skips the cache.
+// `?stream=1` streams progress (chunk-analyzed, with each chunk's
+// recommendations) as Server-Sent Events, see lib/sse
+//
+// Body `mode`:
+//   auto (default)  AI, falling back to lib/heuristicPricing when the AI
+//                   is not configured or fails (`fallbackReason` says why)
+//   ai              AI only, errors are returned
+//   heuristic       heuristic recommender only, no AI call
+// Spend caps (lib/aiUsage) are never bypassed by the fallback: 429.
+// Either way recommendations are held to the margin floor (lib/margins),
+// after the cache; `marginReport` lists what was capped / flagged.
+// --------------------------------------------------
+const ANALYZE_MODES = ['auto', 'ai', 'heuristic'];
 
-      const lastOrderDateRaw = customer.updated_at || customer.created_at;
-      const lastOrderDate = lastOrderDateRaw
-        ? new Date(lastOrderDateRaw)
-        : null;
+app.post(['/api/ai/analyze', '/api/claude/analyze'], async (req, res) => {
+  const reply = sse.createResponder(req, res);
+  try {
+    const {
+      customerSegment,
+      pricingStrategy,
+      strategyInfo,
+      forceRefresh,
+      mode = 'auto',
+    } = req.body || {};
 
-      const daysSinceLastOrder = lastOrderDate
-        ? Math.floor(
-            (Date.now() - lastOrderDate.getTime()) / (1000 * 60 * 60 * 24)
-          )
-        : 999;
+    if (!ANALYZE_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `mode must be one of: ${ANALYZE_MODES.join(', ')}`,
+      });
+    }
+
+    if (mode === 'ai' && !llm.isConfigured()) {
+      return res.status(400).json({ error: llm.notConfiguredMessage() });
+    }
+
+    if (!Array.isArray(customerSegment) || customerSegment.length === 0) {
+      return res.status(400).json({
+        error: 'customerSegment must be a non-empty array',
+      });
+    }
 
+    const withMarginFloor = async (analysis) => {
+      const { recommendations, report } = await margins.applyMarginFloor(
+        analysis.customerRecommendations || [],
+        { customers: customerSegment, strategy: pricingStrategy }
+      );
       return {
-        id: customer.id,
-        email: customer.email,
-        firstName: customer.first_name || 'Customer',
-        lastName: customer.last_name || '',
-        totalOrders,
-        totalSpent,
-        averageOrderValue: totalOrders > 0 ? totalSpent / totalOrders : 0,
-        daysSinceLastOrder,
-        lastOrderDate,
-        tags: customer.tags || '',
-        state: customer.state || 'active',
+        ...analysis,
+        customerRecommendations: recommendations,
+        marginReport: report,
       };
+    };
+
+    const sendHeuristic = async (fallbackReason) => {
+      if (fallbackReason) {
+        console.warn(
+          `AI analyze: using heuristic fallback (${fallbackReason})`
+        );
+        reply.progress({ stage: 'heuristic-fallback', reason: fallbackReason });
+      }
+      reply.send({
+        ...(await withMarginFloor(
+          heuristicPricing.analyzeSegmentHeuristically({
+            customers: customerSegment,
+            strategy: pricingStrategy,
+          })
+        )),
+        mode: 'heuristic',
+        fallbackReason: fallbackReason || null,
+        ai: null,
+        fromCache: false,
+        cachedAt: null,
+      });
+    };
+
+    if (mode === 'heuristic') return await sendHeuristic(null);
+    if (!llm.isConfigured())
+      return await sendHeuristic(llm.notConfiguredMessage());
+
+    const strategyName = strategyInfo?.name || pricingStrategy || 'Unknown';
+    const strategyDesc =
+      strategyInfo?.description ||
+      'No explicit strategy description was provided.';
+
+    const [template, context] = await Promise.all([
+      promptTemplates.getActiveTemplate('analyze'),
+      brandProfile.getPromptContext(),
+    ]);
+
+    const { provider, model } = llm.describe();
+    const cacheKey = aiCache.buildKey('analyze', {
+      segment: aiCache.normalizeSegment(customerSegment),
+      strategy: pricingStrategy || null,
+      strategyName,
+      strategyDesc,
+      context: aiCache.normalizeContext(context),
+      provider,
+      model,
+      promptVersion: template.id,
+      chunkSize: MAX_CUSTOMERS_FOR_AI,
     });
 
-    console.log(
-      `✅ FINAL CUSTOMERS RETURNED TO FRONTEND: ${customersWithMetrics.length}`
+    // 🔎 Large segments are split into MAX_CUSTOMERS_FOR_AI-sized chunks
+    let cached;
+    try {
+      cached = await aiCache.getOrCompute(
+        cacheKey,
+        () =>
+          aiAnalysis.analyzeSegment({
+            template,
+            context,
+            customers: customerSegment,
+            strategy: pricingStrategy,
+            strategyName,
+            strategyDesc,
+            chunkSize: MAX_CUSTOMERS_FOR_AI,
+            onProgress: reply.progress,
+            complete: async ({ systemPrompt, messages }) => {
+              const result = await llm.complete({
+                task: 'analyze',
+                route: req.path,
+                systemPrompt,
+                messages,
+                json: true,
+              });
+              return result.text;
+            },
+          }),
+        {
+          forceRefresh: forceRefresh === true,
+          // Partial answers (failed chunks) are worth retrying
+          shouldCache: (analysis) => analysis.chunks.failed === 0,
+        }
+      );
+    } catch (error) {
+      if (mode === 'ai' || error instanceof aiUsage.AiBudgetError) throw error;
+      console.error('AI analysis failed:', error);
+      return await sendHeuristic(
+        `AI analysis failed: ${error.message || 'Unknown error'}`
+      );
+    }
+
+    reply.send({
+      ...(await withMarginFloor(cached.value)),
+      mode: 'ai',
+      fallbackReason: null,
+      ai: { provider, model, promptVersion: template.id },
+      fromCache: cached.fromCache,
+      cachedAt: cached.cachedAt,
+    });
+  } catch (error) {
+    if (error instanceof aiUsage.AiBudgetError) {
+      return reply.fail(429, {
+        error: error.message,
+        budget: error.toJSON(),
+      });
+    }
+    console.error('Error with AI analysis:', error);
+    reply.fail(500, { error: error.message || 'Unknown error' });
+  }
+});
+
+// --------------------------------------------------
+// GLP-1 Breakfast Planner endpoint (Shopify-friendly)
+// POST /api/glp1/plan
+// Cached like /api/ai/analyze (`fromCache`, body `forceRefresh: true`)
+// --------------------------------------------------
+app.post('/api/glp1/plan', async (req, res) => {
+  try {
+    if (!llm.isConfigured()) {
+      return res.status(400).json({ error: llm.notConfiguredMessage() });
+    }
+
+    const { channel, profile, meta, forceRefresh } = req.body || {};
+
+    const medication = profile?.medication || 'GLP-1 medication';
+    const primaryGoal =
+      profile?.primaryGoal || 'Steady weight loss with muscle preservation';
+    const morningTime = profile?.morningTime || 'about 10 minutes';
+    const flavorPreference = profile?.flavorPreference || 'flexible';
+    const morningFeeling = profile?.morningFeeling || 'varies';
+    const dietaryConstraints = Array.isArray(profile?.dietaryConstraints)
+      ? profile.dietaryConstraints.join(', ')
+      : 'none specified';
+    const freeTextNotes = profile?.freeTextNotes || '';
+    const firstName = profile?.name || 'Friend';
+
+    const [template, profileData] = await Promise.all([
+      promptTemplates.getActiveTemplate('glp1-plan'),
+      brandProfile.getProfile(),
+    ]);
+    const brand = meta?.brand || profileData.brandName;
+
+    const vars = {
+      brand,
+      firstName,
+      medication,
+      primaryGoal,
+      morningTime,
+      flavorPreference,
+      morningFeeling,
+      dietaryConstraints,
+      freeTextNotes: freeTextNotes || 'none',
+      channel: channel || 'shopify-glp1-planner',
+    };
+    const { systemPrompt, userPrompt } = promptTemplates.renderTemplate(
+      template,
+      vars
     );
 
+    const { provider, model } = llm.describe();
+    const cacheKey = aiCache.buildKey('glp1-plan', {
+      vars,
+      provider,
+      model,
+      promptVersion: template.id,
+    });
+    const cached = await aiCache.getOrCompute(
+      cacheKey,
+      async () => {
+        const { text } = await llm.complete({
+          task: 'glp1-plan',
+          route: req.path,
+          systemPrompt,
+          messages: [{ role: 'user', content: userPrompt }],
+        });
+        return text;
+      },
+      { forceRefresh: forceRefresh === true }
+    );
+
+    // Frontend expects { planHtml: "..." }
     res.json({
-      customers: customersWithMetrics,
-      total: customersWithMetrics.length,
-      maxAnalyzed: MAX_CUSTOMERS_ANALYZED,
+      planHtml: cached.value,
+      promptVersion: template.id,
+      fromCache: cached.fromCache,
+      cachedAt: cached.cachedAt,
     });
   } catch (error) {
-    console.error('Error fetching Shopify customers:', error);
+    if (error instanceof aiUsage.AiBudgetError) {
+      return res
+        .status(429)
+        .json({ error: error.message, budget: error.toJSON() });
+    }
+    console.error('Error in /api/glp1/plan:', error);
     res.status(500).json({ error: error.message || 'Unknown error' });
   }
 });
 
 // --------------------------------------------------
-// OpenAI analysis for dynamic pricing (sample segment)
-// POST /api/ai/analyze
+// Create Shopify discount codes from AI recommendations
+// POST /api/shopify/discounts
+//   { recommendations, codeMode: 'unique' | 'shared', lockToCustomer,
+//     expiresInDays, idempotencyKey, dryRun, tierOffers, async,
+//     pricingStrategy }
+// 'unique' (default) issues one code per customer under a price rule per
+// tier; `issuedCodes` maps customerId -> code and `recommendations` come
+// back with those codes, ready for /api/mailerlite/campaign (lib/discounts)
+// lockToCustomer limits each tier's price rule to that tier's customers;
+// it is a tier-level restriction, not one code per customer.
+// idempotencyKey (or an Idempotency-Key header), one per campaign: re-runs
+// reuse the price rules and codes already created; a second request for a
+// key that is still running gets a 409. dryRun: true returns the planned
+// price rules / codes without creating anything.
+// Offer types (lib/offers): a recommendation's `offer`, overridden by
+// tierOffers { <discount code>: offer } for every recommendation with
+// that code; plain percentage off everything otherwise.
+// Codes are created through Shopify batch jobs (lib/discountBatches).
+// async: true answers 202 { job } right away and runs in the background
+// (lib/discountJobs): GET /api/shopify/discounts/jobs/:id for its
+// progress and, once completed, the usual response as `result`.
+// campaignName / campaignProjection (the analysis' projection) are kept
+// with the idempotencyKey's run for /api/attribution.
+// Recommendations below the margin floor (lib/margins) are capped or
+// flagged, tierOffers included, before anything is planned;
+// `marginReport` says which. With pricingStrategy, a percentage capped
+// below that strategy's minimum is removed instead.
 // --------------------------------------------------
-app.post('/api/ai/analyze', async (req, res) => {
+app.post('/api/shopify/discounts', async (req, res) => {
   try {
-    if (!OPENAI_API_KEY) {
+    const {
+      recommendations,
+      codeMode,
+      lockToCustomer,
+      expiresInDays,
+      dryRun,
+      tierOffers,
+      campaignName,
+      campaignProjection,
+      pricingStrategy,
+      async: runAsync,
+    } = req.body || {};
+    const idempotencyKey =
+      (req.body || {}).idempotencyKey ?? req.get('Idempotency-Key');
+
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+      return res
+        .status(400)
+        .json({ error: 'Shopify credentials not configured' });
+    }
+
+    if (!Array.isArray(recommendations) || recommendations.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'No recommendations provided to create discounts.' });
+    }
+
+    const errors = [
+      ...discounts.validateDiscountOptions({
+        codeMode,
+        lockToCustomer,
+        expiresInDays,
+        idempotencyKey,
+        dryRun,
+        tierOffers,
+        campaignName,
+        campaignProjection,
+      }),
+      ...offers.validateRecommendationOffers(recommendations),
+    ];
+    if (runAsync !== undefined && typeof runAsync !== 'boolean') {
+      errors.push('async must be a boolean');
+    }
+    if (pricingStrategy !== undefined && typeof pricingStrategy !== 'string') {
+      errors.push('pricingStrategy must be a string');
+    }
+    if (errors.length) {
       return res
         .status(400)
-        .json({ error: 'OpenAI API key (OPENAI_API_KEY) not configured' });
+        .json({ error: 'Invalid discount options', details: errors });
+    }
+
+    const conflict = await discounts.findRunConflict(idempotencyKey, {
+      codeMode,
+    });
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
     }
 
-    const { customerSegment, pricingStrategy, strategyInfo } = req.body || {};
+    // tierOffers are resolved onto the recommendations up front: the margin
+    // floor then checks the offers that will really be created, and a
+    // capped recommendation (COMEBACK30 -> COMEBACK22) keeps its offer
+    const options = {
+      codeMode,
+      lockToCustomer,
+      expiresInDays,
+      idempotencyKey,
+      campaignName,
+      campaignProjection,
+    };
 
-    if (!Array.isArray(customerSegment) || customerSegment.length === 0) {
+    const { recommendations: checked, report: marginReport } =
+      await margins.applyMarginFloor(
+        discounts.resolveOffers(recommendations, tierOffers),
+        {
+          customers: await customerStore.getCustomersWithMetrics(),
+          strategy: pricingStrategy,
+        }
+      );
+    if (checked.length === 0) {
       return res.status(400).json({
-        error: 'customerSegment must be a non-empty array',
+        error: 'No recommendations left after the margin floor',
+        marginReport,
       });
     }
 
-    // 🔎 Sample down to MAX_CUSTOMERS_FOR_AI for OpenAI prompt
-    let segment = customerSegment;
-    if (segment.length > MAX_CUSTOMERS_FOR_AI) {
+    // Dry runs are quick and write nothing: always answered inline
+    if (runAsync && !dryRun) {
+      const job = await discountJobs.startDiscountJob(checked, options);
       console.log(
-        `AI analyze: received ${segment.length} customers, sampling first ${MAX_CUSTOMERS_FOR_AI}`
+        `🏷️  Discount job ${job.id} queued (${checked.length} recommendations)`
       );
-      segment = segment.slice(0, MAX_CUSTOMERS_FOR_AI);
+      return res.status(202).json({
+        job,
+        marginReport,
+        statusUrl: `/api/shopify/discounts/jobs/${job.id}`,
+      });
     }
 
-    const strategyName = strategyInfo?.name || pricingStrategy || 'Unknown';
-    const strategyDesc =
-      strategyInfo?.description ||
-      'No explicit strategy description was provided.';
-
-    const systemPrompt = `
-You are a pricing strategy AI for Daily N'Oats, a low-carb oatmeal alternative company.
-You MUST ALWAYS respond with a single valid JSON object. Do NOT include explanations, markdown, or any text outside the JSON.
-The word "JSON" appears here to satisfy tooling requirements.`;
-
-    const userPrompt = `
-CUSTOMER SEGMENT DATA (JSON):
-${JSON.stringify(segment, null, 2)}
-
-PRICING STRATEGY: ${strategyName}
-STRATEGY GOAL: ${strategyDesc}
-
-BUSINESS CONTEXT:
-- Current monthly revenue: $12-15K
-- Total customers: 8,000
-- Active customers: 200
-- Current ROAS: 1.3
-- Product: Low-carb oatmeal alternative targeting keto and GLP-1 users
-
-TASK:
-Analyze this customer segment and provide:
-
-1. Recommended discount percentage for each customer (0-40%)
-2. Rationale for each discount level
-3. Expected impact on conversion/retention
-4. Personalized email messaging angle for each customer
-5. Overall campaign ROI projection
-
-RESPONSE FORMAT (STRICT JSON):
-
-{
-  "customerRecommendations": [
-    {
-      "customerId": "customer_id",
-      "email": "customer@example.com",
-      "discountPercent": 20,
-      "discountCode": "COMEBACK20",
-      "rationale": "explanation",
-      "messagingAngle": "personalized message approach",
-      "expectedValue": 45.50
-    }
-  ],
-  "campaignProjection": {
-    "expectedConversionRate": "15%",
-    "projectedRevenue": "$2,500",
-    "projectedROI": "3.2x",
-    "riskFactors": ["factor1", "factor2"]
-  },
-  "strategicInsights": ["insight1", "insight2", "insight3"]
-}
-
-CRITICAL:
-- Respond ONLY with valid JSON that matches this shape.
-- Do NOT wrap the JSON in markdown.
-- Do NOT add any keys other than the ones shown above, except where you need more detailed text in string fields.
-`;
-
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
+    const result = await discounts.createDiscountCodes(checked, {
+      ...options,
+      dryRun,
     });
 
-    const raw = completion.choices?.[0]?.message?.content;
-    if (!raw) {
-      throw new Error('No content returned from OpenAI');
+    if (result.dryRun) {
+      const toCreate = result.tiers.reduce((sum, t) => sum + t.toCreate, 0);
+      console.log(
+        `🏷️  Discount codes (dry run): ${toCreate} to create across ${result.tiers.length} tiers (${result.codeMode})`
+      );
+    } else {
+      const existing = result.createdCodes.filter(
+        (c) => c.status === 'existing'
+      ).length;
+      console.log(
+        `🏷️  Discount codes: ${
+          result.createdCodes.length - existing
+        } created, ${existing} reused, ${result.failedCodes.length} failed (${
+          result.codeMode
+        })`
+      );
     }
 
-    let analysis;
-    try {
-      analysis = JSON.parse(raw);
-    } catch (e) {
-      console.error('Failed to parse JSON from OpenAI response:', raw);
-      throw new Error('OpenAI did not return valid JSON.');
+    res.json({ ...result, marginReport });
+  } catch (error) {
+    if (error instanceof discounts.DiscountRunInFlightError) {
+      return res.status(409).json({ error: error.message });
     }
+    console.error('Error creating discount codes:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
+
+// --------------------------------------------------
+// Background discount jobs (lib/discountJobs)
+// GET /api/shopify/discounts/jobs      -> recent jobs, newest first
+// GET /api/shopify/discounts/jobs/:id  -> status, progress (batches,
+//     codes imported / failed) and `result` once completed
+// --------------------------------------------------
+app.get('/api/shopify/discounts/jobs', async (req, res) => {
+  try {
+    res.json({ jobs: await discountJobs.listJobs() });
+  } catch (error) {
+    console.error('Error listing discount jobs:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-    res.json(analysis);
+app.get('/api/shopify/discounts/jobs/:id', async (req, res) => {
+  try {
+    const job = await discountJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Discount job not found' });
+    }
+    res.json(job);
   } catch (error) {
-    console.error('Error with OpenAI analysis:', error);
+    console.error('Error reading discount job:', error);
     res.status(500).json({ error: error.message || 'Unknown error' });
   }
 });
 
 // --------------------------------------------------
-// GLP-1 Breakfast Planner endpoint (Shopify-friendly)
-// POST /api/glp1/plan
+// Lifecycle of the AI-created price rules (lib/discountLifecycle)
+// GET  /api/shopify/discounts/rules?status=active|scheduled|expired
+//      &includeCodes=false -> rules with their codes + redemption counts;
+//      offerType, and percentage or (fixed_amount rules) amount
+// POST /api/shopify/discounts/rules/bulk
+//      { action: 'expire' | 'extend' | 'delete', ids, days (extend) }
+// POST /api/shopify/discounts/sweep { minAgeDays, dryRun }
+//      -> deletes AI rules expired more than minAgeDays ago; joins a sweep
+//      already running with the same options, 409 if its options differ
 // --------------------------------------------------
-app.post('/api/glp1/plan', async (req, res) => {
+app.get('/api/shopify/discounts/rules', async (req, res) => {
   try {
-    if (!OPENAI_API_KEY) {
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
       return res
         .status(400)
-        .json({ error: 'OpenAI API key (OPENAI_API_KEY) not configured' });
+        .json({ error: 'Shopify credentials not configured' });
     }
 
-    const { channel, profile, meta } = req.body || {};
+    const status = req.query.status || undefined;
+    const errors = discountLifecycle.validateListOptions({ status });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
 
-    const medication = profile?.medication || 'GLP-1 medication';
-    const primaryGoal =
-      profile?.primaryGoal || 'Steady weight loss with muscle preservation';
-    const morningTime = profile?.morningTime || 'about 10 minutes';
-    const flavorPreference = profile?.flavorPreference || 'flexible';
-    const morningFeeling = profile?.morningFeeling || 'varies';
-    const dietaryConstraints = Array.isArray(profile?.dietaryConstraints)
-      ? profile.dietaryConstraints.join(', ')
-      : 'none specified';
-    const freeTextNotes = profile?.freeTextNotes || '';
-    const firstName = profile?.name || 'Friend';
+    res.json(
+      await discountLifecycle.listAiDiscounts({
+        status,
+        includeCodes: req.query.includeCodes !== 'false',
+      })
+    );
+  } catch (error) {
+    console.error('Error listing discount price rules:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-    const brand = meta?.brand || "Daily N'Oats";
-
-    const systemPrompt = `
-You are a nutrition-focused AI creating GLP-1 friendly *educational breakfast ideas* centered around a low-carb oatmeal alternative brand called "${brand}".
-You are NOT giving medical advice. You do NOT diagnose, treat, or prescribe. 
-Always remind the user to check with their clinician for medical questions.
-Your output must be HTML only (no markdown), suitable to drop directly into a Shopify page.
-Use clear headings, bullet lists, and short paragraphs. Keep it under ~1,200 words.
-Important constraints:
-- Always mention that this is not medical advice.
-- Emphasize protein, satiety, and gentle digestion for GLP-1 users.
-- Build around ${brand} as the breakfast anchor.
-`;
+app.post('/api/shopify/discounts/rules/bulk', async (req, res) => {
+  try {
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+      return res
+        .status(400)
+        .json({ error: 'Shopify credentials not configured' });
+    }
 
-    const userPrompt = `
-USER PROFILE:
-- First name: ${firstName}
-- GLP-1 medication: ${medication}
-- Primary goal: ${primaryGoal}
-- Morning time / complexity: ${morningTime}
-- Flavor / texture preferences: ${flavorPreference}
-- How mornings feel: ${morningFeeling}
-- Dietary constraints: ${dietaryConstraints}
-- Extra notes: ${freeTextNotes || 'none'}
-- Channel: ${channel || 'shopify-glp1-planner'}
-
-CONTEXT:
-This plan will appear on a Shopify landing or product page for ${brand}, a low-carb, GLP-1 friendly oatmeal alternative. 
-The user is likely trying to manage appetite, nausea, cravings, and blood sugar while on a GLP-1.
-
-TASK:
-Create a personalized *GLP-1 friendly breakfast plan* that:
-
-1. Starts with a short, empathetic intro addressing GLP-1 users by name ("Hi ${firstName}, …").
-2. Gives 2–3 specific breakfast "frameworks" built around ${brand}, including:
-   - How to prepare it (simple steps)
-   - Protein boosts (e.g., Greek yogurt, protein powder, nut butter, etc.)
-   - Optional toppings or variations that match their flavor preferences.
-3. Addresses their main goal (e.g., steady weight loss, nausea control, cravings, blood sugar).
-4. Includes a small "If you feel more nauseous" or "If you have no appetite" variation.
-5. Includes a simple, short "Shopping / Prep List" for the week.
-6. Ends with a clear disclaimer that this is *general educational information only* and not medical advice.
-
-OUTPUT FORMAT:
-Return ONLY HTML. No markdown, no JSON.
-Use this rough structure:
-
-<h3>Hi [First Name], here’s your GLP-1 friendly breakfast plan</h3>
-<p>Short intro...</p>
-
-<h4>1. Core Daily N'Oats Breakfast</h4>
-<p>...</p>
-<ul>...</ul>
-
-<h4>2. Alternate Option for Busy Mornings</h4>
-<p>...</p>
-<ul>...</ul>
-
-<h4>3. Gentle Option for Nauseous Mornings</h4>
-<p>...</p>
-<ul>...</ul>
-
-<h4>Weekly Shopping & Prep List</h4>
-<ul>...</ul>
-
-<p><em>Important: This is general educational information only and not medical advice. Always confirm with your clinician...</em></p>
-`;
+    const { action, ids, days } = req.body || {};
+    const errors = discountLifecycle.validateBulkAction({ action, ids, days });
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid bulk action', details: errors });
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
+    const result = await discountLifecycle.applyBulkAction({
+      action,
+      ids,
+      days,
     });
+    console.log(
+      `🏷️  Price rules ${action}: ${result.succeeded.length} done, ${result.failed.length} failed`
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Error in discount bulk action:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-    const content = completion.choices?.[0]?.message?.content;
-    if (!content) {
-      throw new Error('No content returned from OpenAI');
+app.post('/api/shopify/discounts/sweep', async (req, res) => {
+  try {
+    if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
+      return res
+        .status(400)
+        .json({ error: 'Shopify credentials not configured' });
     }
 
-    // Frontend expects { planHtml: "..." }
-    res.json({ planHtml: content });
+    const { minAgeDays, dryRun } = req.body || {};
+    const errors = discountLifecycle.validateSweepOptions({
+      minAgeDays,
+      dryRun,
+    });
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid sweep options', details: errors });
+    }
+
+    const result = await discountLifecycle.sweepExpiredRules({
+      minAgeDays,
+      dryRun,
+    });
+    console.log(
+      `🧹 Discount sweep${result.dryRun ? ' (dry run)' : ''}: ${
+        result.deleted.length
+      } expired price rules, ${result.failed.length} failed`
+    );
+    res.json(result);
   } catch (error) {
-    console.error('Error in /api/glp1/plan:', error);
+    if (error instanceof discountLifecycle.SweepInFlightError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error sweeping discount price rules:', error);
     res.status(500).json({ error: error.message || 'Unknown error' });
   }
 });
 
 // --------------------------------------------------
-// Create Shopify discount codes from AI recommendations
+// Campaign revenue attribution (lib/attribution)
+// POST /api/attribution/run             { idempotencyKey, includeFinal }
+//     scan orders for the campaigns' discount codes (all campaigns whose
+//     window is still open by default, or just idempotencyKey); joins a
+//     run already in progress with the same options, 409 otherwise
+// GET  /api/attribution/campaigns       -> stored reports, newest first
+// GET  /api/attribution/campaigns/:key  -> report with tiers, customers
+//     and the comparison against the AI's campaignProjection
 // --------------------------------------------------
-app.post('/api/shopify/discounts', async (req, res) => {
+app.post('/api/attribution/run', async (req, res) => {
   try {
-    const { recommendations } = req.body;
-
     if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
       return res
         .status(400)
         .json({ error: 'Shopify credentials not configured' });
     }
 
-    if (!Array.isArray(recommendations) || recommendations.length === 0) {
+    const { idempotencyKey, includeFinal } = req.body || {};
+    const errors = attribution.validateRunOptions({
+      idempotencyKey,
+      includeFinal,
+    });
+    if (errors.length) {
       return res
         .status(400)
-        .json({ error: 'No recommendations provided to create discounts.' });
+        .json({ error: 'Invalid attribution options', details: errors });
+    }
+    if (
+      idempotencyKey !== undefined &&
+      !(await discounts.getRuns())[idempotencyKey]
+    ) {
+      return res.status(404).json({ error: 'Campaign not found' });
     }
 
-    // Group recommendations by discount code to avoid duplicates
-    const uniqueCodes = {};
-    recommendations.forEach((rec) => {
-      if (rec.discountCode && typeof rec.discountPercent === 'number') {
-        if (!uniqueCodes[rec.discountCode]) {
-          uniqueCodes[rec.discountCode] = rec.discountPercent;
-        }
-      }
+    const result = await attribution.runAttribution({
+      idempotencyKey,
+      includeFinal,
     });
+    console.log(
+      `📈 Attribution: ${result.ordersAttributed} of ${result.ordersScanned} orders across ${result.campaigns.length} campaigns`
+    );
+    res.json(result);
+  } catch (error) {
+    if (error instanceof attribution.AttributionRunInFlightError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error running attribution:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-    const createdCodes = [];
-    const failedCodes = [];
-
-    for (const [code, percentage] of Object.entries(uniqueCodes)) {
-      try {
-        // Calculate expiration date (7 days from now)
-        const expirationDate = new Date();
-        expirationDate.setDate(expirationDate.getDate() + 7);
-
-        const discountPayload = {
-          price_rule: {
-            title: `${code} - AI Dynamic Pricing`,
-            target_type: 'line_item',
-            target_selection: 'all',
-            allocation_method: 'across',
-            value_type: 'percentage',
-            value: `-${percentage}`,
-            customer_selection: 'all',
-            once_per_customer: true,
-            usage_limit: 1,
-            starts_at: new Date().toISOString(),
-            ends_at: expirationDate.toISOString(),
-          },
-        };
-
-        // Create price rule
-        const priceRuleResponse = await fetch(
-          `https://${SHOPIFY_STORE}.myshopify.com/admin/api/2024-10/price_rules.json`,
-          {
-            method: 'POST',
-            headers: {
-              'X-Shopify-Access-Token': SHOPIFY_API_KEY,
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(discountPayload),
-          }
-        );
-
-        if (!priceRuleResponse.ok) {
-          const errorData = await priceRuleResponse.json();
-          throw new Error(
-            `Price rule creation failed: ${JSON.stringify(errorData)}`
-          );
-        }
-
-        const priceRuleData = await priceRuleResponse.json();
-        const priceRuleId = priceRuleData.price_rule.id;
-
-        // Create discount code linked to price rule
-        const discountCodeResponse = await fetch(
-          `https://${SHOPIFY_STORE}.myshopify.com/admin/api/2024-10/price_rules/${priceRuleId}/discount_codes.json`,
-          {
-            method: 'POST',
-            headers: {
-              'X-Shopify-Access-Token': SHOPIFY_API_KEY,
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              discount_code: {
-                code: code,
-              },
-            }),
-          }
-        );
-
-        if (!discountCodeResponse.ok) {
-          const errorData = await discountCodeResponse.json();
-          throw new Error(
-            `Discount code creation failed: ${JSON.stringify(errorData)}`
-          );
-        }
-
-        createdCodes.push({ code, percentage });
+app.get('/api/attribution/campaigns', async (req, res) => {
+  try {
+    res.json({ campaigns: await attribution.listCampaigns() });
+  } catch (error) {
+    console.error('Error listing campaign attribution:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
-        // Add small delay to avoid rate limiting
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      } catch (error) {
-        console.error(`Error creating discount code ${code}:`, error);
-        failedCodes.push({ code, error: error.message });
-      }
+app.get('/api/attribution/campaigns/:key', async (req, res) => {
+  try {
+    const campaign = await attribution.getCampaign(req.params.key);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign attribution not found' });
     }
-
-    res.json({ createdCodes, failedCodes });
+    res.json(campaign);
   } catch (error) {
-    console.error('Error creating discount codes:', error);
+    console.error('Error reading campaign attribution:', error);
     res.status(500).json({ error: error.message || 'Unknown error' });
   }
 });
 
 // --------------------------------------------------
 // Create MailerLite campaign from AI recommendations (selected subset)
+// Optional `issuedCodes` (customerId -> code, from /api/shopify/discounts)
+// replaces each subscriber's discount_code with their own code.
+// Subscriber fields come from lib/offers (offer_type, offer_value and
+// offer_summary, e.g. "Free shipping on orders of $50.00 or more", next to
+// discount_code / discount_percent); the email shows offer_summary.
 // --------------------------------------------------
 app.post('/api/mailerlite/campaign', async (req, res) => {
   try {
-    const { campaignName, pricingStrategy, selectedRecommendations } = req.body;
+    const {
+      campaignName,
+      pricingStrategy,
+      selectedRecommendations,
+      issuedCodes,
+    } = req.body;
 
     if (!MAILERLITE_API_KEY) {
       return res
@@ -595,6 +1423,16 @@ app.post('/api/mailerlite/campaign', async (req, res) => {
         .json({ error: 'No selected recommendations provided.' });
     }
 
+    const offerErrors = offers.validateRecommendationOffers(
+      selectedRecommendations,
+      'selectedRecommendations'
+    );
+    if (offerErrors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid offers', details: offerErrors });
+    }
+
     // Create a subscriber group for this campaign
     const groupResponse = await fetch(
       'https://connect.mailerlite.com/api/groups',
@@ -622,7 +1460,10 @@ app.post('/api/mailerlite/campaign', async (req, res) => {
 
     // Add subscribers to the group with custom fields
     let addedCount = 0;
-    for (const rec of selectedRecommendations) {
+    for (const rec of discounts.applyIssuedCodes(
+      selectedRecommendations,
+      issuedCodes
+    )) {
       try {
         await fetch('https://connect.mailerlite.com/api/subscribers', {
           method: 'POST',
@@ -634,12 +1475,7 @@ app.post('/api/mailerlite/campaign', async (req, res) => {
           body: JSON.stringify({
             email: rec.email,
             groups: [groupId],
-            fields: {
-              discount_code: rec.discountCode,
-              discount_percent: String(rec.discountPercent ?? ''),
-              messaging_angle: rec.messagingAngle || '',
-              expected_value: String(rec.expectedValue ?? ''),
-            },
+            fields: offers.mailerLiteFields(rec),
           }),
         });
         addedCount++;
@@ -683,7 +1519,7 @@ app.post('/api/mailerlite/campaign', async (req, res) => {
       <div class="discount-box">
         <p style="margin: 0, font-size: 18px;">Your Exclusive Discount</p>
         <div class="discount-code">{$discount_code}</div>
-        <p style="margin: 5px 0 0 0; color: #666;">Save {$discount_percent}% on your next order</p>
+        <p style="margin: 5px 0 0 0; color: #666;">{$offer_summary}</p>
       </div>
 
       <p><strong>Why Daily N'Oats?</strong></p>
@@ -750,86 +1586,98 @@ app.post('/api/mailerlite/campaign', async (req, res) => {
 });
 
 // --------------------------------------------------
-// NEW: Apply AI-derived RULES to ALL Shopify customers in batch
+// AI-generated ruleConfig for the batch endpoint
+// POST /api/reactivation/rule-config
+//   { pricingStrategy, strategyInfo, segmentId }
+// The model only sees aggregate spend / recency stats (no PII); the result
+// is validated against the tier format and previewed per tier
 // --------------------------------------------------
-function applyRuleConfigToCustomer(customer, ruleConfig) {
-  const tiers =
-    ruleConfig && Array.isArray(ruleConfig.tiers) ? ruleConfig.tiers : [];
-  const defaultTier =
-    ruleConfig && ruleConfig.default ? ruleConfig.default : null;
-
-  for (const tier of tiers) {
-    const minTotalSpent =
-      typeof tier.minTotalSpent === 'number' ? tier.minTotalSpent : 0;
-    const maxTotalSpent =
-      typeof tier.maxTotalSpent === 'number' ? tier.maxTotalSpent : Infinity;
-    const minDays =
-      typeof tier.minDaysSinceLastOrder === 'number'
-        ? tier.minDaysSinceLastOrder
-        : 0;
-    const maxDays =
-      typeof tier.maxDaysSinceLastOrder === 'number'
-        ? tier.maxDaysSinceLastOrder
-        : Infinity;
-
-    const matchesTotal =
-      customer.totalSpent >= minTotalSpent &&
-      customer.totalSpent <= maxTotalSpent;
-    const matchesDays =
-      customer.daysSinceLastOrder >= minDays &&
-      customer.daysSinceLastOrder <= maxDays;
-
-    if (matchesTotal && matchesDays) {
-      const discountPercent = tier.discountPercent || 0;
-      const prefix = tier.discountCodePrefix || 'WINBACK';
-      const code =
-        tier.discountCode || `${prefix}${discountPercent}`.toUpperCase();
+app.post('/api/reactivation/rule-config', async (req, res) => {
+  try {
+    if (!llm.isConfigured()) {
+      return res.status(400).json({ error: llm.notConfiguredMessage() });
+    }
 
-      return {
-        customerId: customer.id,
-        email: customer.email,
-        discountPercent,
-        discountCode: code,
-        rationale:
-          tier.rationale ||
-          `Rule match: spent between ${minTotalSpent}–${maxTotalSpent}, inactive ${minDays}–${maxDays} days.`,
-        messagingAngle:
-          tier.messagingAngle ||
-          'Personalized win-back offer based on your purchase history.',
-        expectedValue:
-          typeof tier.expectedValue === 'number'
-            ? tier.expectedValue
-            : undefined,
-      };
+    const {
+      pricingStrategy = 'reactivation',
+      strategyInfo,
+      segmentId,
+    } = req.body || {};
+
+    let segment = null;
+    if (segmentId) {
+      segment = await segments.getSegment(segmentId);
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
     }
-  }
 
-  if (defaultTier) {
-    const discountPercent = defaultTier.discountPercent || 0;
-    const prefix = defaultTier.discountCodePrefix || 'WINBACK';
-    const code =
-      defaultTier.discountCode || `${prefix}${discountPercent}`.toUpperCase();
+    await customerStore.ensureFresh();
+    let customers = await customerStore.getCustomersWithMetrics();
+    if (segment) {
+      customers = segments.filterCustomers(customers, segment.definition);
+    }
+    if (customers.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'No customers to build rules for.' });
+    }
 
-    return {
-      customerId: customer.id,
-      email: customer.email,
-      discountPercent,
-      discountCode: code,
-      rationale: defaultTier.rationale || 'Default rule applied.',
-      messagingAngle:
-        defaultTier.messagingAngle ||
-        'We appreciate you and wanted to send you a special offer.',
-      expectedValue:
-        typeof defaultTier.expectedValue === 'number'
-          ? defaultTier.expectedValue
-          : undefined,
-    };
-  }
+    const [template, context] = await Promise.all([
+      promptTemplates.getActiveTemplate('rule-config'),
+      brandProfile.getPromptContext(),
+    ]);
+
+    const result = await aiRules.generateRuleConfig({
+      template,
+      context,
+      customers,
+      strategy: pricingStrategy,
+      strategyName: strategyInfo?.name || pricingStrategy,
+      strategyDesc:
+        strategyInfo?.description ||
+        'No explicit strategy description was provided.',
+      complete: async ({ systemPrompt, messages }) => {
+        const { text } = await llm.complete({
+          task: 'rule-config',
+          route: req.path,
+          systemPrompt,
+          messages,
+          json: true,
+        });
+        return text;
+      },
+    });
 
-  return null;
-}
+    const { provider, model } = llm.describe();
+    res.json({
+      pricingStrategy,
+      segmentId: segment ? segment.id : null,
+      ...result,
+      ai: { provider, model, promptVersion: template.id },
+    });
+  } catch (error) {
+    if (error instanceof aiUsage.AiBudgetError) {
+      return res
+        .status(429)
+        .json({ error: error.message, budget: error.toJSON() });
+    }
+    console.error('Error generating ruleConfig:', error);
+    res.status(500).json({ error: error.message || 'Unknown error' });
+  }
+});
 
+// --------------------------------------------------
+// NEW: Apply AI-derived RULES to ALL Shopify customers in batch
+// `?stream=1` streams progress as Server-Sent Events (lib/sse): snapshot
+// pages fetched, recommendations generated, MailerLite subscribers added
+// useBulkOperation refreshes the snapshot with a bulk export first. Only
+// a stream stays open for that long: without one the export is started in
+// the background and the route answers 202 { sync, statusUrl }; re-run the
+// batch without useBulkOperation once the sync has completed.
+// --------------------------------------------------
 app.post('/api/reactivation/batch', async (req, res) => {
+  const reply = sse.createResponder(req, res);
   try {
     const {
       pricingStrategy = 'reactivation',
@@ -837,6 +1685,7 @@ app.post('/api/reactivation/batch', async (req, res) => {
       campaignName,
       maxCustomers,
       sendToMailerLite = false,
+      useBulkOperation = false,
     } = req.body || {};
 
     if (!ruleConfig) {
@@ -844,6 +1693,14 @@ app.post('/api/reactivation/batch', async (req, res) => {
         .status(400)
         .json({ error: 'ruleConfig is required to run batch reactivation.' });
     }
+    // Hand-written configs too: a bad offer type would otherwise only
+    // blow up after the customer sync
+    const ruleErrors = validateRuleConfig(ruleConfig);
+    if (ruleErrors.length) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid ruleConfig', details: ruleErrors });
+    }
 
     if (!SHOPIFY_API_KEY || !SHOPIFY_STORE) {
       return res
@@ -851,6 +1708,13 @@ app.post('/api/reactivation/batch', async (req, res) => {
         .json({ error: 'Shopify credentials not configured' });
     }
 
+    if (sendToMailerLite && !MAILERLITE_API_KEY) {
+      return res.status(400).json({
+        error:
+          'MAILERLITE_API_KEY not configured, cannot send directly to MailerLite.',
+      });
+    }
+
     const batchLimit = Math.min(
       Number(maxCustomers || 7000),
       Number(process.env.MAX_BATCH_CUSTOMERS || 10000)
@@ -861,62 +1725,77 @@ app.post('/api/reactivation/batch', async (req, res) => {
     console.log('========================================');
     console.log(`🔧 Shopify Store: ${SHOPIFY_STORE}`);
     console.log(`🔧 Batch limit: ${batchLimit}`);
+    console.log(`🔧 Bulk operation export: ${!!useBulkOperation}`);
     console.log('🔧 Using ruleConfig:');
     console.log(JSON.stringify(ruleConfig, null, 2));
 
-    const rawCustomers = await fetchShopifyCustomersPaginated(batchLimit);
-
-    console.log(`🛒 Customers fetched for batch: ${rawCustomers.length}`);
-
-    const customersWithMetrics = rawCustomers.map((customer) => {
-      const totalOrders = Number(customer.orders_count || 0);
-      const totalSpent = parseFloat(customer.total_spent || '0.00');
-      const lastOrderDateRaw = customer.updated_at || customer.created_at;
-      const lastOrderDate = lastOrderDateRaw
-        ? new Date(lastOrderDateRaw)
-        : null;
+    // 📦 Bulk operation: refresh the whole snapshot via one GraphQL export
+    // (no 250-per-page loop inside this request)
+    if (useBulkOperation && !reply.streaming) {
+      const sync = customerStore.startSync('full', { useBulkOperation: true });
+      console.log(`📦 Bulk snapshot sync ${sync.id} started in the background`);
+      return res.status(202).json({
+        success: true,
+        sync,
+        statusUrl: `/api/sync/${sync.id}`,
+        message:
+          'Bulk export started. Re-run the batch without useBulkOperation once the sync has completed.',
+      });
+    }
 
-      const daysSinceLastOrder = lastOrderDate
-        ? Math.floor(
-            (Date.now() - lastOrderDate.getTime()) / (1000 * 60 * 60 * 24)
-          )
-        : 999;
+    reply.progress({ stage: 'batch-started', batchLimit });
+    if (useBulkOperation) {
+      await customerStore.sync('full', {
+        useBulkOperation: true,
+        onProgress: reply.progress,
+      });
+    } else {
+      await customerStore.ensureFresh({ onProgress: reply.progress });
+    }
+    const customersWithMetrics = (
+      await customerStore.getCustomersWithMetrics()
+    ).slice(0, batchLimit);
 
-      return {
-        id: customer.id,
-        email: customer.email,
-        firstName: customer.first_name || 'Customer',
-        lastName: customer.last_name || '',
-        totalOrders,
-        totalSpent,
-        averageOrderValue: totalOrders > 0 ? totalSpent / totalOrders : 0,
-        daysSinceLastOrder,
-        lastOrderDate,
-        tags: customer.tags || '',
-        state: customer.state || 'active',
-      };
+    console.log(
+      `🛒 Customers loaded for batch: ${customersWithMetrics.length}`
+    );
+    reply.progress({
+      stage: 'customers-loaded',
+      customers: customersWithMetrics.length,
     });
 
-    const recommendations = [];
+    const ruleRecommendations = [];
     for (const c of customersWithMetrics) {
       const rec = applyRuleConfigToCustomer(c, ruleConfig);
-      if (rec && rec.discountPercent > 0 && rec.email) {
-        recommendations.push(rec);
+      if (rec && rec.email && offers.hasOffer(rec)) {
+        ruleRecommendations.push(rec);
       }
     }
 
+    // 🧮 Cap / flag offers below the margin floor (lib/margins)
+    const { recommendations, report: marginReport } =
+      await margins.applyMarginFloor(ruleRecommendations, {
+        customers: customersWithMetrics,
+        strategy: pricingStrategy,
+      });
+    reply.progress({
+      stage: 'margin-checked',
+      enabled: marginReport.enabled,
+      capped: marginReport.capped.length,
+      flagged: marginReport.flagged.length,
+      removed: marginReport.removed.length,
+    });
+
     console.log(`✅ Recommendations generated: ${recommendations.length}`);
+    reply.progress({
+      stage: 'recommendations-generated',
+      recommendations: recommendations.length,
+      sampleRecommendations: recommendations.slice(0, 20),
+    });
 
     let mailerLiteResult = null;
 
     if (sendToMailerLite) {
-      if (!MAILERLITE_API_KEY) {
-        return res.status(400).json({
-          error:
-            'MAILERLITE_API_KEY not configured, cannot send directly to MailerLite.',
-        });
-      }
-
       console.log('📨 Sending batch to MailerLite…');
 
       const groupResponse = await fetch(
@@ -947,7 +1826,10 @@ app.post('/api/reactivation/batch', async (req, res) => {
         );
       }
 
+      reply.progress({ stage: 'mailerlite-group-created', groupId });
+
       let addedCount = 0;
+      let processed = 0;
       for (const rec of recommendations) {
         try {
           await fetch('https://connect.mailerlite.com/api/subscribers', {
@@ -960,18 +1842,25 @@ app.post('/api/reactivation/batch', async (req, res) => {
             body: JSON.stringify({
               email: rec.email,
               groups: [groupId],
-              fields: {
-                discount_code: rec.discountCode,
-                discount_percent: String(rec.discountPercent ?? ''),
-                messaging_angle: rec.messagingAngle || '',
-                expected_value: String(rec.expectedValue ?? ''),
-              },
+              fields: offers.mailerLiteFields(rec),
             }),
           });
           addedCount++;
         } catch (err) {
           console.error(`Error adding subscriber in batch: ${rec.email}`, err);
         }
+        processed++;
+        if (
+          processed % SUBSCRIBER_PROGRESS_EVERY === 0 ||
+          processed === recommendations.length
+        ) {
+          reply.progress({
+            stage: 'subscribers-added',
+            added: addedCount,
+            processed,
+            total: recommendations.length,
+          });
+        }
       }
 
       mailerLiteResult = { groupId, addedCount };
@@ -980,17 +1869,18 @@ app.post('/api/reactivation/batch', async (req, res) => {
       );
     }
 
-    res.json({
+    reply.send({
       success: true,
       pricingStrategy,
       totalCustomersFetched: customersWithMetrics.length,
       totalRecommendations: recommendations.length,
       sampleRecommendations: recommendations.slice(0, 20),
+      marginReport,
       mailerLiteResult,
     });
   } catch (error) {
     console.error('Error in batch reactivation endpoint:', error);
-    res.status(500).json({ error: error.message || 'Unknown error' });
+    reply.fail(500, { error: error.message || 'Unknown error' });
   }
 });
 
@@ -1000,13 +1890,28 @@ app.post('/api/reactivation/batch', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Dynamic Pricing AI Backend running on port ${PORT}`);
   console.log('🔧 Environment check:');
-  console.log(`   - OpenAI configured: ${!!OPENAI_API_KEY}`);
+  const ai = llm.describe();
+  console.log(
+    `   - AI provider: ${ai.provider} (${ai.model}), configured: ${ai.configured}`
+  );
   console.log(
     `   - Shopify configured: ${!!SHOPIFY_API_KEY} (store: ${SHOPIFY_STORE})`
   );
   console.log(`   - MailerLite configured: ${!!MAILERLITE_API_KEY}`);
   console.log(`   - Max customers analyzed: ${MAX_CUSTOMERS_ANALYZED}`);
   console.log(`   - Max customers for AI analysis: ${MAX_CUSTOMERS_FOR_AI}`);
+  if (discountLifecycle.startSweepSchedule()) {
+    const sweep = discountLifecycle.getSweepStatus();
+    console.log(
+      `   - Discount sweep: every ${sweep.intervalHours}h, rules expired > ${sweep.minAgeDays} days`
+    );
+  }
+  if (attribution.startAttributionSchedule()) {
+    const status = attribution.getAttributionStatus();
+    console.log(
+      `   - Attribution: every ${status.intervalHours}h, ${status.windowDays}-day window`
+    );
+  }
 });
 
 module.exports = app;
\ No newline at end of file
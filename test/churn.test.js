@@ -0,0 +1,93 @@
+// test/churn.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { applyChurnRisk } = require('../lib/churn');
+const { buildOrderStatsByCustomer } = require('../lib/orders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function order(customerId, daysAgo, hour = 12) {
+  const createdAt = new Date(Date.now() - daysAgo * DAY_MS);
+  createdAt.setUTCHours(hour);
+  return {
+    customer: { id: customerId },
+    created_at: createdAt.toISOString(),
+    total_price: '20.00',
+  };
+}
+
+test('same-day repeat orders do not make a recent buyer look lapsed', () => {
+  const orders = [order(1, 3, 9), order(1, 3, 15), order(1, 3, 18)];
+  const [customer] = applyChurnRisk(
+    [{ id: 1, daysSinceLastOrder: 3 }],
+    buildOrderStatsByCustomer(orders)
+  );
+
+  assert.ok(customer.expectedDaysBetweenOrders >= 1);
+  assert.ok(Number.isFinite(customer.churnRiskScore));
+  assert.strictEqual(customer.churnRiskBand, 'healthy');
+});
+
+test('a store of same-day buyers still gets a usable population cadence', () => {
+  const orders = [
+    order(1, 40, 9),
+    order(1, 40, 10),
+    order(2, 2, 9),
+    order(2, 2, 11),
+    order(3, 5),
+  ];
+  const customers = applyChurnRisk(
+    [
+      { id: 1, daysSinceLastOrder: 40 },
+      { id: 2, daysSinceLastOrder: 2 },
+      { id: 3, daysSinceLastOrder: 5 },
+    ],
+    buildOrderStatsByCustomer(orders)
+  );
+
+  for (const customer of customers) {
+    assert.ok(customer.expectedDaysBetweenOrders > 0);
+  }
+  assert.strictEqual(customers[1].churnRiskBand, 'healthy');
+  assert.strictEqual(customers[2].churnRiskBand, 'healthy');
+  assert.strictEqual(customers[0].churnRiskBand, 'lapsed');
+});
+
+test('customers without orders are left unscored', () => {
+  const [customer] = applyChurnRisk(
+    [{ id: 9, daysSinceLastOrder: 999 }],
+    buildOrderStatsByCustomer([])
+  );
+
+  assert.strictEqual(customer.churnRiskScore, null);
+  assert.strictEqual(customer.churnRiskBand, null);
+});
+
+test('buyers whose last order is older than the fetched window can be lapsed', () => {
+  const { buildCustomersWithMetrics } = require('../lib/customerMetrics');
+  const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+  // Only the last 60 days of orders came back: customer 2's orders are
+  // older, so all we have is Shopify's counters and updated_at
+  const customers = buildCustomersWithMetrics(
+    [
+      { id: 1, orders_count: 2, total_spent: '40.00', updated_at: daysAgo(10) },
+      {
+        id: 2,
+        orders_count: 4,
+        total_spent: '90.00',
+        updated_at: daysAgo(200),
+      },
+      { id: 3, orders_count: 0, total_spent: '0.00', updated_at: daysAgo(5) },
+    ],
+    [order(1, 40), order(1, 10)]
+  );
+
+  const [recent, lapsed, neverOrdered] = customers;
+  assert.strictEqual(recent.churnRiskBand, 'healthy');
+  assert.strictEqual(lapsed.hasOrderHistory, false);
+  assert.strictEqual(lapsed.daysSinceLastOrder, 200);
+  assert.strictEqual(lapsed.churnRiskBand, 'lapsed');
+  assert.strictEqual(neverOrdered.churnRiskBand, null);
+});
@@ -0,0 +1,62 @@
+// test/customerQuery.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseCustomerQuery, queryCustomers } = require('../lib/customerQuery');
+
+const limits = { defaultLimit: 2, maxLimit: 10 };
+
+function page(customers, query) {
+  const { options, error } = parseCustomerQuery(query, limits);
+  assert.strictEqual(error, undefined);
+  return queryCustomers(customers, options);
+}
+
+const ids = (result) => result.customers.map((c) => c.id);
+
+test('a sync between pages neither skips nor repeats customers', () => {
+  const spend = [50, 40, 30, 20, 10];
+  const before = spend.map((totalSpent, i) => ({ id: i + 1, totalSpent }));
+  const first = page(before, { sort: '-totalSpent' });
+  assert.deepStrictEqual(ids(first), [1, 2]);
+
+  // The sync adds a bigger spender, which an offset would have repeated
+  // customer 2 for
+  const after = [{ id: 9, totalSpent: 99 }, ...before];
+  const second = page(after, {
+    sort: '-totalSpent',
+    cursor: first.nextCursor,
+  });
+  assert.deepStrictEqual(ids(second), [3, 4]);
+
+  const third = page(after, { sort: '-totalSpent', cursor: second.nextCursor });
+  assert.deepStrictEqual(ids(third), [5]);
+  assert.strictEqual(third.nextCursor, null);
+});
+
+test('ties and missing sort values page in id order', () => {
+  const customers = [
+    { id: 3, averageOrderValue: null },
+    { id: 1, averageOrderValue: 20 },
+    { id: 2, averageOrderValue: 20 },
+    { id: 4, averageOrderValue: null },
+  ];
+  const seen = [];
+  let cursor;
+  do {
+    const result = page(customers, { sort: 'averageOrderValue', cursor });
+    seen.push(...ids(result));
+    cursor = result.nextCursor;
+  } while (cursor);
+  assert.deepStrictEqual(seen, [1, 2, 3, 4]);
+});
+
+test('a cursor only works with the filters and sort that produced it', () => {
+  const customers = [1, 2, 3].map((id) => ({ id, totalSpent: id }));
+  const { nextCursor } = page(customers, { sort: 'totalSpent' });
+  const { error } = parseCustomerQuery(
+    { sort: '-totalSpent', cursor: nextCursor },
+    limits
+  );
+  assert.match(error, /Invalid cursor/);
+});
@@ -0,0 +1,104 @@
+// test/discountJobs.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discount-jobs-'));
+process.env.DATA_DIR = dataDir;
+process.env.DISCOUNT_BATCH_POLL_INTERVAL_MS = '1';
+
+// A job the previous process was running when it stopped
+const now = new Date().toISOString();
+fs.writeFileSync(
+  path.join(dataDir, 'discount-jobs.json'),
+  JSON.stringify({
+    jobs: [
+      {
+        id: 'dj_before_restart',
+        status: 'running',
+        bootId: 'previous-process',
+        createdAt: now,
+        updatedAt: now,
+        startedAt: now,
+        finishedAt: null,
+        request: {
+          recommendations: 1,
+          codeMode: 'unique',
+          idempotencyKey: 'restart',
+        },
+        progress: { batches: [] },
+        result: null,
+        error: null,
+      },
+    ],
+  })
+);
+
+const fakeShopify = require('./fakeShopify');
+const discountJobs = require('../lib/discountJobs');
+const { DiscountRunInFlightError } = require('../lib/discounts');
+
+const shop = fakeShopify.install();
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const recommendations = [
+  {
+    customerId: 1,
+    email: 'a@example.com',
+    discountPercent: 20,
+    discountCode: 'COMEBACK20',
+  },
+];
+
+async function waitForJob(id) {
+  for (let i = 0; i < 200; i++) {
+    const job = await discountJobs.getJob(id);
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error(`job ${id} did not finish`);
+}
+
+test('a job left running by a previous process reads as interrupted', async () => {
+  const job = await discountJobs.getJob('dj_before_restart');
+  assert.strictEqual(job.status, 'interrupted');
+  assert.strictEqual(job.bootId, undefined);
+
+  const [listed] = await discountJobs.listJobs();
+  assert.strictEqual(listed.status, 'interrupted');
+});
+
+test('a job runs to completion and keeps its result', async () => {
+  const job = await discountJobs.startDiscountJob(recommendations, {
+    idempotencyKey: 'restart',
+  });
+  assert.ok(['queued', 'running'].includes(job.status));
+
+  const done = await waitForJob(job.id);
+  assert.strictEqual(done.status, 'completed');
+  assert.strictEqual(done.result.createdCodes.length, 1);
+  assert.strictEqual(done.progress.tiersDone, 1);
+});
+
+test('a job for a key that is still running is refused up front', async () => {
+  let release;
+  const held = new Promise((resolve) => {
+    release = resolve;
+  });
+  shop.delay = () => held;
+
+  const job = await discountJobs.startDiscountJob(recommendations, {
+    idempotencyKey: 'busy',
+  });
+  await assert.rejects(
+    discountJobs.startDiscountJob(recommendations, { idempotencyKey: 'busy' }),
+    DiscountRunInFlightError
+  );
+
+  shop.delay = () => Promise.resolve();
+  release();
+  assert.strictEqual((await waitForJob(job.id)).status, 'completed');
+});
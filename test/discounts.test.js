@@ -0,0 +1,131 @@
+// test/discounts.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discounts-'));
+process.env.DATA_DIR = dataDir;
+process.env.DISCOUNT_BATCH_POLL_INTERVAL_MS = '1';
+
+const fakeShopify = require('./fakeShopify');
+const discounts = require('../lib/discounts');
+
+const shop = fakeShopify.install();
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const recommendations = [
+  {
+    customerId: 1,
+    email: 'a@example.com',
+    discountPercent: 20,
+    discountCode: 'COMEBACK20',
+  },
+  {
+    customerId: 2,
+    email: 'b@example.com',
+    discountPercent: 20,
+    discountCode: 'COMEBACK20',
+  },
+  {
+    customerId: 3,
+    email: 'c@example.com',
+    discountPercent: 10,
+    discountCode: 'WELCOME10',
+  },
+];
+
+const priceRulePosts = () =>
+  shop.posts.filter((p) => p === '/price_rules.json').length;
+
+test('a replayed idempotencyKey reuses the stored run', async () => {
+  const first = await discounts.createDiscountCodes(recommendations, {
+    idempotencyKey: 'replay',
+  });
+  assert.strictEqual(first.failedCodes.length, 0);
+  assert.ok(first.createdCodes.every((c) => c.status === 'created'));
+  const rulesCreated = priceRulePosts();
+  assert.strictEqual(rulesCreated, 2);
+
+  const second = await discounts.createDiscountCodes(recommendations, {
+    idempotencyKey: 'replay',
+  });
+  assert.deepStrictEqual(second.issuedCodes, first.issuedCodes);
+  assert.ok(second.createdCodes.every((c) => c.status === 'existing'));
+  assert.ok(second.tiers.every((t) => t.priceRuleAction === 'reused'));
+  assert.strictEqual(priceRulePosts(), rulesCreated);
+
+  const runs = await discounts.getRuns();
+  assert.deepStrictEqual(
+    Object.values(runs.replay.tiers)
+      .map((t) => t.tierCode)
+      .sort(),
+    ['COMEBACK20', 'WELCOME10']
+  );
+});
+
+test('a price rule created before the run was stored is found by title', async () => {
+  // A crash between creating the rule and recording it leaves only the
+  // rule in Shopify, titled with the key
+  const { data } = await require('../lib/shopifyClient').post(
+    '/price_rules.json',
+    {
+      price_rule: {
+        title: 'COMEBACK20 - AI Dynamic Pricing [recover]',
+        value_type: 'percentage',
+        value: '-20',
+        target_type: 'line_item',
+        target_selection: 'all',
+      },
+    }
+  );
+
+  const plan = await discounts.createDiscountCodes(
+    recommendations.slice(0, 1),
+    {
+      idempotencyKey: 'recover',
+      dryRun: true,
+    }
+  );
+  assert.strictEqual(plan.tiers[0].priceRule.action, 'reuse');
+  assert.strictEqual(plan.tiers[0].priceRule.id, data.price_rule.id);
+});
+
+test('a second run of a key that is still running is rejected', async () => {
+  let release;
+  const held = new Promise((resolve) => {
+    release = resolve;
+  });
+  shop.delay = () => held;
+
+  const first = discounts.createDiscountCodes(recommendations, {
+    idempotencyKey: 'concurrent',
+  });
+  assert.strictEqual(discounts.isRunInFlight('concurrent'), true);
+  assert.match(
+    await discounts.findRunConflict('concurrent'),
+    /already being run/
+  );
+  await assert.rejects(
+    discounts.createDiscountCodes(recommendations, {
+      idempotencyKey: 'concurrent',
+    }),
+    (error) =>
+      error instanceof discounts.DiscountRunInFlightError &&
+      error.status === 409
+  );
+  // Dry runs write nothing and aren't blocked
+  shop.delay = () => Promise.resolve();
+  const plan = await discounts.createDiscountCodes(recommendations, {
+    idempotencyKey: 'concurrent',
+    dryRun: true,
+  });
+  assert.strictEqual(plan.dryRun, true);
+  release();
+
+  const result = await first;
+  assert.strictEqual(result.failedCodes.length, 0);
+  assert.strictEqual(discounts.isRunInFlight('concurrent'), false);
+});
@@ -0,0 +1,123 @@
+// test/fakeShopify.js
+// In-memory stand-in for the Shopify calls lib/discounts and
+// lib/discountBatches make: price rules, discount codes and batch jobs.
+// install() swaps the shopifyClient helpers, so nothing leaves the process.
+
+const shopify = require('../lib/shopifyClient');
+
+function notFound(method, path) {
+  return new shopify.ShopifyApiError({
+    status: 404,
+    method,
+    path,
+    errors: 'Not Found',
+  });
+}
+
+function install() {
+  const state = {
+    rules: new Map(),
+    codes: new Map(), // code -> { id, priceRuleId }
+    batches: new Map(),
+    posts: [],
+    nextId: 1000,
+    // Awaited before every call; tests use it to hold a run open
+    delay: () => Promise.resolve(),
+  };
+  const headers = { get: () => null };
+  const reply = (data) => ({ status: 200, data, headers });
+
+  async function get(path, query = {}) {
+    await state.delay();
+    if (path === '/discount_codes/lookup.json') {
+      const found = state.codes.get(query.code);
+      if (!found) throw notFound('GET', path);
+      return reply({
+        discount_code: {
+          id: found.id,
+          price_rule_id: found.priceRuleId,
+          code: query.code,
+        },
+      });
+    }
+    let match = path.match(/^\/price_rules\/(\d+)\.json$/);
+    if (match) {
+      const rule = state.rules.get(Number(match[1]));
+      if (!rule) throw notFound('GET', path);
+      return reply({ price_rule: rule });
+    }
+    match = path.match(/^\/price_rules\/(\d+)\/batch\/(\d+)\.json$/);
+    if (match) {
+      const batch = state.batches.get(Number(match[2]));
+      return reply({ discount_code_creation: batch.job });
+    }
+    match = path.match(
+      /^\/price_rules\/(\d+)\/batch\/(\d+)\/discount_codes\.json$/
+    );
+    if (match) {
+      return reply({
+        discount_codes: state.batches.get(Number(match[2])).results,
+      });
+    }
+    throw notFound('GET', path);
+  }
+
+  async function post(path, body) {
+    await state.delay();
+    state.posts.push(path);
+    if (path === '/price_rules.json') {
+      const rule = { id: state.nextId++, ...body.price_rule };
+      state.rules.set(rule.id, rule);
+      return reply({ price_rule: rule });
+    }
+    const match = path.match(/^\/price_rules\/(\d+)\/batch\.json$/);
+    if (match) {
+      const priceRuleId = Number(match[1]);
+      const results = body.discount_codes.map(({ code }) => {
+        if (state.codes.has(code)) {
+          return { code, id: null, errors: { code: ['must be unique'] } };
+        }
+        const id = state.nextId++;
+        state.codes.set(code, { id, priceRuleId });
+        return { code, id, errors: {} };
+      });
+      const job = {
+        id: state.nextId++,
+        price_rule_id: priceRuleId,
+        status: 'completed',
+        codes_count: results.length,
+        imported_count: results.filter((r) => r.id).length,
+        failed_count: results.filter((r) => !r.id).length,
+      };
+      state.batches.set(job.id, { job, results });
+      return reply({ discount_code_creation: job });
+    }
+    throw notFound('POST', path);
+  }
+
+  async function put(path, body) {
+    await state.delay();
+    const match = path.match(/^\/price_rules\/(\d+)\.json$/);
+    const rule = match && state.rules.get(Number(match[1]));
+    if (!rule) throw notFound('PUT', path);
+    Object.assign(rule, body.price_rule);
+    return reply({ price_rule: rule });
+  }
+
+  async function paginate(path) {
+    await state.delay();
+    if (path === '/price_rules.json') return [...state.rules.values()];
+    const match = path.match(/^\/price_rules\/(\d+)\/discount_codes\.json$/);
+    if (match) {
+      return [...state.codes.entries()]
+        .filter(([, c]) => c.priceRuleId === Number(match[1]))
+        .map(([code, c]) => ({ id: c.id, code }));
+    }
+    return [];
+  }
+
+  Object.assign(shopify, { get, post, put, paginate });
+  return state;
+}
+
+module.exports = { install };
@@ -0,0 +1,77 @@
+// test/margins.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'margins-'));
+process.env.DATA_DIR = dataDir;
+
+const margins = require('../lib/margins');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Half the price is cost, so a 45% floor leaves room for a 9% discount
+// on a $40 order
+const customers = [{ id: 1, averageOrderValue: 40 }];
+const rec = {
+  customerId: 1,
+  email: 'a@example.com',
+  discountPercent: 20,
+  discountCode: 'COMEBACK20',
+};
+
+async function configure(action) {
+  await margins.updateMarginConfig({
+    minContributionMarginPercent: 45,
+    defaultCostRatio: 0.5,
+    action,
+  });
+}
+
+test('cap lowers the discount to the floor and recodes it', async () => {
+  await configure('cap');
+  const { recommendations, report } = await margins.applyMarginFloor([rec], {
+    customers,
+    strategy: 'retention',
+  });
+
+  assert.strictEqual(recommendations.length, 1);
+  assert.strictEqual(recommendations[0].discountPercent, 9);
+  assert.strictEqual(recommendations[0].discountCode, 'COMEBACK9');
+  assert.strictEqual(recommendations[0].marginBreach, undefined);
+  assert.deepStrictEqual(
+    report.capped.map((c) => [c.field, c.from, c.to]),
+    [['discountPercent', 20, 9]]
+  );
+});
+
+test('cap drops a recommendation capped below the strategy minimum', async () => {
+  await configure('cap');
+  const { recommendations, report } = await margins.applyMarginFloor([rec], {
+    customers,
+    strategy: 'reactivation',
+  });
+
+  assert.strictEqual(recommendations.length, 0);
+  assert.strictEqual(report.capped.length, 0);
+  assert.strictEqual(report.removed.length, 1);
+  assert.match(report.removed[0].reason, /below the reactivation minimum/);
+});
+
+test('flag keeps the offer and marks the breach', async () => {
+  await configure('flag');
+  const { recommendations, report } = await margins.applyMarginFloor([rec], {
+    customers,
+    strategy: 'reactivation',
+  });
+
+  assert.strictEqual(recommendations.length, 1);
+  assert.strictEqual(recommendations[0].discountPercent, 20);
+  assert.strictEqual(recommendations[0].discountCode, 'COMEBACK20');
+  assert.strictEqual(recommendations[0].marginBreach.floorPercent, 45);
+  assert.strictEqual(recommendations[0].marginBreach.maxAllowed, 9);
+  assert.strictEqual(report.flagged.length, 1);
+  assert.strictEqual(report.removed.length, 0);
+});